@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+/********************
+ * Batch-run planners on exported scenes
+ *
+ *   npm run plan -- [options] scene.json [more.json ...]
+ *
+ *   -a, --algo <list>     comma-separated algorithms (default: all of them)
+ *   -d, --diag            allow diagonal moves
+ *   -s, --seed <n>        seed for randomized planners (the RRT family)
+ *   -f, --format <fmt>    json | table (default: table)
+ *       --iterations <n>  sampling-planner iteration budget
+ *       --step <x>        sampling-planner step size, in cells
+ *       --radius <x>      RRT* / Informed RRT* rewire radius, in cells
+ *       --goal-bias <p>   probability of sampling the goal (0-1)
+ *       --no-anytime      stop sampling planners at their first solution
+ *       --optimal-order   visit waypoints in the cheapest order
+ *       --robot-radius <x>     inflate walls by the robot's radius, in cells
+ *       --clearance <x>        extra cost next to walls (clearance cost layer)
+ *       --clearance-range <x>  cells over which the clearance cost fades out
+ *       --corners <rule>       diagonal corner rule: allow | no-squeeze | no-cut
+ *       --cost-model <m>       diagonal step cost: octile (√2 × weight) | uniform
+ *       --heuristic <h>        auto | manhattan | euclidean | octile | chebyshev | zero
+ *       --epsilon <x>          weighted-A* factor (>= 1)
+ *       --turning-radius <x>   Hybrid A* minimum turning radius, in cells
+ *       --reverse              let Hybrid A* drive backwards
+ *       --reverse-penalty <x>  cost multiplier for reversing (>= 1)
+ *       --agent <profile>      terrain cost profile: robot | rover | amphibious
+ *       --no-path         omit the path from JSON output
+ *
+ * Options saved in a scene (`planner.options`) are used unless overridden.
+ * Scenes with waypoints are planned as multi-stop routes.
+ ********************/
+import { readFile } from "node:fs/promises";
+import { basename } from "node:path";
+import { parseArgs } from "node:util";
+import { SceneError, parseSceneText } from "../src/algorithms/scene.js";
+import { AgentProfiles, Algorithms, CornerRules, CostModels, DEFAULT_OPTIONS, Heuristics, MAX_SEED, normalizeSeed, plan, resolveAlgorithm } from "../src/algorithms/planners/index.js";
+
+function usage(msg) {
+  if (msg) console.error(`error: ${msg}`);
+  console.error("usage: npm run plan -- [-a A*,Dijkstra] [-d] [-s SEED] [-f json|table] [--iterations N] [--step X] [--radius X] [--goal-bias P] [--no-anytime] [--optimal-order] [--robot-radius X] [--clearance X] [--clearance-range X] [--corners RULE] [--cost-model M] [--heuristic H] [--epsilon X] [--turning-radius X] [--reverse] [--reverse-penalty X] [--agent PROFILE] [--no-path] scene.json ...");
+  process.exit(msg ? 2 : 0);
+}
+
+function parse() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      allowNegative: true,
+      options: {
+        algo: { type: "string", short: "a", default: Object.values(Algorithms).join(",") },
+        diag: { type: "boolean", short: "d" },
+        seed: { type: "string", short: "s" },
+        format: { type: "string", short: "f", default: "table" },
+        iterations: { type: "string" },
+        step: { type: "string" },
+        radius: { type: "string" },
+        "goal-bias": { type: "string" },
+        anytime: { type: "boolean" },
+        "optimal-order": { type: "boolean" },
+        "robot-radius": { type: "string" },
+        clearance: { type: "string" },
+        "clearance-range": { type: "string" },
+        corners: { type: "string" },
+        "cost-model": { type: "string" },
+        heuristic: { type: "string" },
+        epsilon: { type: "string" },
+        "turning-radius": { type: "string" },
+        reverse: { type: "boolean" },
+        "reverse-penalty": { type: "string" },
+        agent: { type: "string" },
+        path: { type: "boolean", default: true },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    });
+  } catch (err) {
+    usage(err.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) usage();
+  if (!positionals.length) usage("no scene files given");
+  if (!["json", "table"].includes(values.format)) usage(`unknown format "${values.format}"`);
+
+  const algorithms = values.algo.split(",").map((name) => {
+    const a = resolveAlgorithm(name.trim());
+    if (!a) usage(`unknown algorithm "${name}"`);
+    return a;
+  });
+  const options = {};
+  if (values.diag !== undefined) options.diag = values.diag;
+  if (values.seed !== undefined) {
+    const seed = normalizeSeed(values.seed);
+    if (seed === null) usage(`--seed must be an integer between 0 and ${MAX_SEED}`);
+    options.seed = seed;
+  }
+  if (values.iterations !== undefined) {
+    const n = Number(values.iterations);
+    if (!Number.isInteger(n) || n <= 0) usage("--iterations must be a positive integer");
+    options.iterations = n;
+  }
+  for (const flag of ["step", "radius"]) {
+    if (values[flag] === undefined) continue;
+    const x = Number(values[flag]);
+    if (!Number.isFinite(x) || x <= 0) usage(`--${flag} must be a positive number`);
+    options[flag] = x;
+  }
+  if (values["goal-bias"] !== undefined) {
+    const p = Number(values["goal-bias"]);
+    if (!(p >= 0 && p <= 1)) usage("--goal-bias must be a number between 0 and 1");
+    options.goalBias = p;
+  }
+  if (values.anytime !== undefined) options.anytime = values.anytime;
+  if (values["optimal-order"] !== undefined) options.optimalOrder = values["optimal-order"];
+  for (const [flag, key] of [["robot-radius", "robotRadius"], ["clearance", "clearanceWeight"]]) {
+    if (values[flag] === undefined) continue;
+    const x = Number(values[flag]);
+    if (!Number.isFinite(x) || x < 0) usage(`--${flag} must be a non-negative number`);
+    options[key] = x;
+  }
+  if (values["clearance-range"] !== undefined) {
+    const x = Number(values["clearance-range"]);
+    if (!Number.isFinite(x) || x <= 0) usage("--clearance-range must be a positive number");
+    options.clearanceRange = x;
+  }
+  for (const [flag, key, choices] of [["corners", "corners", CornerRules], ["cost-model", "costModel", CostModels], ["heuristic", "heuristic", Heuristics], ["agent", "agent", AgentProfiles]]) {
+    if (values[flag] === undefined) continue;
+    if (!Object.values(choices).includes(values[flag])) usage(`--${flag} must be one of ${Object.values(choices).join(", ")}`);
+    options[key] = values[flag];
+  }
+  if (values.epsilon !== undefined) {
+    const x = Number(values.epsilon);
+    if (!(x >= 1)) usage("--epsilon must be a number >= 1");
+    options.epsilon = x;
+  }
+  if (values["turning-radius"] !== undefined) {
+    const x = Number(values["turning-radius"]);
+    if (!Number.isFinite(x) || x <= 0) usage("--turning-radius must be a positive number");
+    options.turningRadius = x;
+  }
+  if (values.reverse !== undefined) options.reverse = values.reverse;
+  if (values["reverse-penalty"] !== undefined) {
+    const x = Number(values["reverse-penalty"]);
+    if (!(x >= 1)) usage("--reverse-penalty must be a number >= 1");
+    options.reversePenalty = x;
+  }
+  return { files: positionals, algorithms, options, format: values.format, withPath: values.path };
+}
+
+function formatTable(rows) {
+  const header = ["scene", "algorithm", "found", "cost", "cells", "length", "expansions", "ms"];
+  const body = rows.map((r) => [
+    r.scene,
+    r.algorithm,
+    r.error ? "error" : r.found ? "yes" : "no",
+    r.cost == null ? "-" : r.cost === Infinity ? "inf" : String(Math.round(r.cost * 100) / 100),
+    r.cells == null ? "-" : String(r.cells),
+    r.length == null ? "-" : r.length.toFixed(2),
+    r.expansions == null ? "-" : String(r.expansions),
+    r.timeMs == null ? "-" : r.timeMs.toFixed(1),
+  ]);
+  const widths = header.map((h, i) => Math.max(h.length, ...body.map((b) => b[i].length)));
+  const line = (cells) => cells.map((c, i) => c.padEnd(widths[i])).join("  ").trimEnd();
+  return [line(header), line(widths.map((w) => "-".repeat(w))), ...body.map(line)].join("\n");
+}
+
+async function main() {
+  const { files, algorithms, options, format, withPath } = parse();
+  const results = [];
+  let failed = false;
+
+  for (const file of files) {
+    let scene;
+    try {
+      scene = parseSceneText(await readFile(file, "utf8"));
+    } catch (err) {
+      failed = true;
+      const error = err instanceof SceneError ? err.errors.join("; ") : err.message;
+      results.push({ scene: basename(file), algorithm: "-", error });
+      continue;
+    }
+    for (const algorithm of algorithms) {
+      try {
+        const res = plan(scene, algorithm, options);
+        results.push({
+          scene: basename(file),
+          algorithm: res.algorithm,
+          found: res.found,
+          cost: res.cost,
+          cells: res.path.length,
+          length: res.length,
+          expansions: res.expansions,
+          timeMs: res.timeMs,
+          options: { ...DEFAULT_OPTIONS, ...scene.planner?.options, ...options },
+          ...(res.legs ? { order: res.order, ordering: res.ordering, legs: res.legs } : {}),
+          ...(res.improvements ? { improvements: res.improvements.map(({ iteration, cost }) => ({ iteration, cost })) } : {}),
+          ...(res.arrival != null ? { arrival: res.arrival, waits: res.waits } : {}),
+          ...(res.vehicle && res.found ? { reversals: res.reversals } : {}),
+          ...(withPath ? { path: res.path, ...(res.polyline ? { polyline: res.polyline } : {}), ...(res.poses ? { poses: res.poses } : {}) } : {}),
+        });
+      } catch (err) {
+        failed = true;
+        results.push({ scene: basename(file), algorithm, error: err.message });
+      }
+    }
+  }
+
+  if (format === "json") console.log(JSON.stringify({ overrides: options, results }, null, 2));
+  else {
+    console.log(formatTable(results));
+    for (const r of results) if (r.error) console.error(`${r.scene} (${r.algorithm}): ${r.error}`);
+  }
+  process.exitCode = failed ? 1 : 0;
+}
+
+main();
@@ -1,9 +1,21 @@
+import { Navigate, Route, Routes } from "react-router-dom";
 import PathPlanningVisualizer from "./algorithms/PathPlanningVisualizer";
+import Gallery from "./components/Gallery.jsx";
+import ScenarioLibrary from "./components/ScenarioLibrary.jsx";
+import SharedScene from "./components/SharedScene.jsx";
 
+// The editor stays mounted under its child routes, which render over it.
 export default function App() {
   return (
     <div className="h-screen w-screen">
-      <PathPlanningVisualizer />
+      <Routes>
+        <Route path="/" element={<PathPlanningVisualizer />}>
+          <Route path="gallery" element={<Gallery />} />
+          <Route path="share" element={<SharedScene />} />
+          <Route path="library" element={<ScenarioLibrary />} />
+        </Route>
+        <Route path="*" element={<Navigate to="/" replace />} />
+      </Routes>
     </div>
   );
 }
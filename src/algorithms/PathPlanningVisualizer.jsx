@@ -1,8 +1,9 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
-import { motion, AnimatePresence } from "framer-motion";
+import { Link, Outlet, useHref, useMatch } from "react-router-dom";
 import {
   Play,
-  Pause,
+  XCircle,
+  Columns2,
   RotateCcw,
   Flag,
   MapPinned,
@@ -17,493 +18,924 @@ import {
   Grid as GridIcon,
   Shuffle,
   Info,
+  Dices,
+  SkipForward,
+  Undo2,
+  Redo2,
+  BoxSelect,
+  Copy,
+  Scissors,
+  ClipboardPaste,
+  Trash2,
+  MapPin,
+  Route,
+  Users,
+  Forklift,
+  Bot,
+  Trees,
+  MoveRight,
+  Mountain,
+  Images,
+  Share2,
+  Check,
+  Library,
 } from "lucide-react";
+import {
+  AgentProfileLabels,
+  AgentProfiles,
+  Algorithms,
+  AlgorithmInfo,
+  CornerRules,
+  CostModels,
+  DEFAULT_OPTIONS,
+  DEFAULT_PROFILES,
+  DStarLite,
+  Directions,
+  EXACT_LIMIT,
+  FrameCursor,
+  HeuristicLabels,
+  Heuristics,
+  MAX_ELEVATION,
+  ObstacleModes,
+  TerrainLabels,
+  Terrains,
+  agentProfile,
+  applyCostmap,
+  clamp,
+  collisions,
+  costmapLayers,
+  hasTerrain,
+  heuristicName,
+  inadmissibility,
+  makeGrid,
+  normalizeSeed,
+  playbackBatch,
+  randomSeed,
+  resolveAlgorithm,
+  runAStar,
+  summarize,
+  timelineLength,
+} from "./planners/index.js";
+import { planInWorker } from "./planners/workerClient.js";
+import { FREE, WALL, generateMap } from "./generators/index.js";
+import { brushCells, copyRegion, floodCells, layerPaint, normRect, paintCells, pasteRegion, rectCells, strokeCells } from "./editing.js";
+import {
+  MAX_OBSTACLES,
+  MAX_OBSTACLE_POINTS,
+  MAX_SIZE,
+  MAX_WAYPOINTS,
+  MAX_WEIGHT,
+  MIN_SIZE,
+  MIN_WEIGHT,
+  SCENE_VERSION,
+  SceneError,
+  parseScene,
+  parseSceneText,
+  placeEndpoints,
+  serializeScene,
+} from "./scene.js";
+import { MAX_SHARE_LENGTH, encodeScene } from "./share.js";
+import { useAutosave } from "./useAutosave.js";
+import {
+  FileKinds,
+  IMPORT_ACCEPT,
+  fileKind,
+  gridToRaster,
+  parseMovingAIMap,
+  parseMovingAIScen,
+  parsePGM,
+  parseRosYaml,
+  readImageFile,
+  serializeMovingAIMap,
+  serializePGM,
+  serializeRosYaml,
+} from "./formats/index.js";
+import GridCanvas from "../components/GridCanvas.jsx";
+import PlaybackBar from "../components/PlaybackBar.jsx";
+import ComparisonView from "../components/ComparisonView.jsx";
+import MultiAgentView from "../components/MultiAgentView.jsx";
+import RunStats from "../components/RunStats.jsx";
+import GeneratorPanel from "../components/GeneratorPanel.jsx";
+import ErrorDialog from "../components/ErrorDialog.jsx";
+import RasterImportDialog from "../components/RasterImportDialog.jsx";
+import CostConvergence from "../components/CostConvergence.jsx";
 
 /********************
  * Autonomous Path Planning Visualizer
- * Single-file React app (drop into Next.js or Vite + Tailwind)
+ * React front-end (Vite + Tailwind); planners live in ./planners
  * Features:
- * - Algorithms: A*, Dijkstra, (grid-based) RRT* approximation
- * - Draw walls & weighted cells, drag start/goal
- * - Animate visited nodes and final path
+ * - Algorithms: A*, Dijkstra, BFS, DFS, Greedy Best-First, Bidirectional A*,
+ *   Jump Point Search, Theta*, Lazy Theta*, D* Lite, and continuous-space
+ *   RRT, RRT*, RRT-Connect and Informed RRT* with tree rendering, PRM and
+ *   artificial potential fields, and Hybrid A* for car-like vehicles
+ * - Draw walls & weighted cells (brush, line, rectangle, flood fill,
+ *   select/copy/paste) with undo/redo, drag start/goal (or their heading)
+ * - Terrain (road, grass, mud, water, restricted), one-way arrows and
+ *   elevation, costed per agent profile
+ * - Numbered waypoints, visited in the given or the cheapest order
+ * - Moving obstacles on scripted or patrol routes, avoided by Space-Time A*
+ * - Multi-agent mode: prioritized planning and Conflict-Based Search
+ * - Step-through playback of open/closed sets and final path
  * - Grid size + speed controls, diagonal toggle
- * - Random maze & random weights
- * - Export / Import scenarios (JSON)
+ * - Maze, cave and noise-terrain generators (animated), reproducible from a seed
+ * - Export / Import scenarios (JSON, including seed and planner options),
+ *   MovingAI .map/.scen, ROS occupancy grids and PNG/JPG images
  ********************/
 
-/******************** Helpers ********************/
-const DIRS4 = [
-  [1, 0],
-  [-1, 0],
-  [0, 1],
-  [0, -1],
-];
-const DIRS8 = [
-  ...DIRS4,
-  [1, 1],
-  [1, -1],
-  [-1, 1],
-  [-1, -1],
-];
-
-const clamp = (n, lo, hi) => Math.max(lo, Math.min(hi, n));
-const key = (r, c) => `${r},${c}`;
-const manhattan = (a, b) => Math.abs(a.r - b.r) + Math.abs(a.c - b.c);
-const euclid = (a, b) => Math.hypot(a.r - b.r, a.c - b.c);
-
-function inBounds(r, c, rows, cols) {
-  return r >= 0 && r < rows && c >= 0 && c < cols;
-}
+/******************** UI + State ********************/
+const DEFAULT_ROWS = 24;
+const DEFAULT_COLS = 38;
+const HISTORY_SIZE = 10;
+const ExportFormats = {
+  JSON: "Scene JSON",
+  MOVINGAI: "MovingAI .map",
+  ROS: "ROS PGM + YAML",
+  PNG: "PNG image",
+};
+const GENERATION_TICKS = 200; // animated map generation takes about this many frames
 
-function neighbors(r, c, rows, cols, diag) {
-  const dirs = diag ? DIRS8 : DIRS4;
-  const out = [];
-  for (const [dr, dc] of dirs) {
-    const nr = r + dr,
-      nc = c + dc;
-    if (inBounds(nr, nc, rows, cols)) out.push({ r: nr, c: nc });
-  }
-  return out;
+function download(name, data, type) {
+  const blob = data instanceof Blob ? data : new Blob([data], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(url);
 }
 
-class MinHeap {
-  constructor() {
-    this.a = [];
-  }
-  push(x) {
-    this.a.push(x);
-    this.#up(this.a.length - 1);
-  }
-  pop() {
-    if (!this.a.length) return null;
-    const top = this.a[0];
-    const last = this.a.pop();
-    if (this.a.length) {
-      this.a[0] = last;
-      this.#down(0);
-    }
-    return top;
-  }
-  get size() {
-    return this.a.length;
-  }
-  #up(i) {
-    const a = this.a;
-    while (i > 0) {
-      const p = (i - 1) >> 1;
-      if (a[p].prio <= a[i].prio) break;
-      [a[p], a[i]] = [a[i], a[p]];
-      i = p;
-    }
-  }
-  #down(i) {
-    const a = this.a,
-      n = a.length;
-    while (true) {
-      let l = i * 2 + 1,
-        r = l + 1,
-        m = i;
-      if (l < n && a[l].prio < a[m].prio) m = l;
-      if (r < n && a[r].prio < a[m].prio) m = r;
-      if (m === i) break;
-      [a[i], a[m]] = [a[m], a[i]];
-      i = m;
+// Applies ops[from..to) to a copy of `grid`, copying only the touched rows.
+function applyOps(grid, ops, from, to) {
+  const next = grid.slice();
+  const copied = new Set();
+  for (let i = from; i < to; i++) {
+    const { r, c, cell } = ops[i];
+    if (!copied.has(r)) {
+      next[r] = next[r].slice();
+      copied.add(r);
     }
+    next[r][c] = cell;
   }
+  return next;
 }
 
-function reconstruct(cameFrom, gkey) {
-  const path = [];
-  let cur = gkey;
-  if (!cameFrom[cur]) return path;
-  while (cur) {
-    const [r, c] = cur.split(",").map(Number);
-    path.push({ r, c });
-    cur = cameFrom[cur];
-  }
-  return path.reverse();
-}
+const Tools = {
+  WALL: "wall",
+  ERASE: "erase",
+  WEIGHT: "weight",
+  START: "start",
+  GOAL: "goal",
+  SELECT: "select",
+  WAYPOINT: "waypoint",
+  OBSTACLE: "obstacle",
+  TERRAIN: "terrain",
+  ONEWAY: "oneway",
+  ELEVATION: "elevation",
+};
 
-/******************** Algorithms ********************/
-function runDijkstra(grid, start, goal, diag) {
-  const rows = grid.length,
-    cols = grid[0].length;
-  const pq = new MinHeap();
-  const dist = {};
-  const came = {};
-  const visited = [];
-  const sKey = key(start.r, start.c);
-  dist[sKey] = 0;
-  pq.push({ prio: 0, node: sKey });
-
-  while (pq.size) {
-    const cur = pq.pop();
-    const [r, c] = cur.node.split(",").map(Number);
-    if (cur.prio !== dist[cur.node]) continue; // stale
-    visited.push({ r, c });
-    if (r === goal.r && c === goal.c) break;
-
-    for (const nb of neighbors(r, c, rows, cols, diag)) {
-      if (grid[nb.r][nb.c].wall) continue;
-      const w = grid[nb.r][nb.c].weight ?? 1;
-      const nk = key(nb.r, nb.c);
-      const alt = dist[cur.node] + w;
-      if (dist[nk] === undefined || alt < dist[nk]) {
-        dist[nk] = alt;
-        came[nk] = cur.node;
-        pq.push({ prio: alt, node: nk });
-      }
-    }
-  }
-  const gKey = key(goal.r, goal.c);
-  return { visited, path: reconstruct(came, gKey) };
-}
+// Tools that paint cells with the shapes below
+const PAINT_TOOLS = [Tools.WALL, Tools.ERASE, Tools.WEIGHT, Tools.TERRAIN, Tools.ONEWAY, Tools.ELEVATION];
 
-function runAStar(grid, start, goal, diag) {
-  const rows = grid.length,
-    cols = grid[0].length;
-  const pq = new MinHeap();
-  const g = {};
-  const f = {};
-  const came = {};
-  const visited = [];
-  const sKey = key(start.r, start.c);
-  g[sKey] = 0;
-  f[sKey] = (diag ? euclid : manhattan)(start, goal);
-  pq.push({ prio: f[sKey], node: sKey });
-
-  while (pq.size) {
-    const cur = pq.pop();
-    const [r, c] = cur.node.split(",").map(Number);
-    if (cur.prio !== f[cur.node]) continue; // stale
-    visited.push({ r, c });
-    if (r === goal.r && c === goal.c) break;
-
-    for (const nb of neighbors(r, c, rows, cols, diag)) {
-      if (grid[nb.r][nb.c].wall) continue;
-      const w = grid[nb.r][nb.c].weight ?? 1;
-      const nk = key(nb.r, nb.c);
-      const tentative = g[cur.node] + w;
-      if (g[nk] === undefined || tentative < g[nk]) {
-        g[nk] = tentative;
-        f[nk] = tentative + (diag ? euclid : manhattan)(nb, goal);
-        came[nk] = cur.node;
-        pq.push({ prio: f[nk], node: nk });
-      }
-    }
-  }
-  const gKey = key(goal.r, goal.c);
-  return { visited, path: reconstruct(came, gKey) };
-}
-
-// Lightweight grid-based RRT* approximation for demo purposes
-function runRRTStar(grid, start, goal, opts = {}) {
-  const rows = grid.length,
-    cols = grid[0].length;
-  const iterations = opts.iterations ?? 1500;
-  const radius = opts.radius ?? 4;
-  const step = opts.step ?? 2;
-  const goalBias = opts.goalBias ?? 0.08; // probability to sample goal
-
-  const nodes = [{ r: start.r, c: start.c, parent: -1, cost: 0 }];
-  const visited = [{ r: start.r, c: start.c }];
-
-  const idx = (r, c) => r * cols + c;
-  const isFree = (r, c) => inBounds(r, c, rows, cols) && !grid[r][c].wall;
-  const dist = (a, b) => Math.hypot(a.r - b.r, a.c - b.c);
-
-  function lineFree(a, b) {
-    // Bresenham-like discrete collision check along line
-    let x0 = a.r,
-      y0 = a.c,
-      x1 = b.r,
-      y1 = b.c;
-    const dx = Math.abs(x1 - x0);
-    const dy = Math.abs(y1 - y0);
-    const sx = x0 < x1 ? 1 : -1;
-    const sy = y0 < y1 ? 1 : -1;
-    let err = dx - dy;
-    while (true) {
-      if (!isFree(x0, y0)) return false;
-      if (x0 === x1 && y0 === y1) break;
-      const e2 = err * 2;
-      if (e2 > -dy) {
-        err -= dy;
-        x0 += sx;
-      }
-      if (e2 < dx) {
-        err += dx;
-        y0 += sy;
-      }
-    }
-    return true;
-  }
+// Terrain swatches, matching the ground colours GridCanvas draws
+const TERRAIN_SWATCHES = {
+  [Terrains.ROAD]: "bg-stone-600",
+  [Terrains.GRASS]: "bg-green-800",
+  [Terrains.MUD]: "bg-lime-900",
+  [Terrains.WATER]: "bg-blue-800",
+  [Terrains.RESTRICTED]: "bg-rose-900",
+};
 
-  function nearest(pt) {
-    let best = 0,
-      bestD = Infinity;
-    for (let i = 0; i < nodes.length; i++) {
-      const d = dist(pt, nodes[i]);
-      if (d < bestD) {
-        best = i;
-        bestD = d;
-      }
-    }
-    return best;
-  }
+const ARROW_LABELS = { [Directions.N]: "↑", [Directions.E]: "→", [Directions.S]: "↓", [Directions.W]: "←" };
 
-  function steer(from, to) {
-    const d = dist(from, to);
-    if (d <= step) return to;
-    const t = step / d;
-    return {
-      r: Math.round(from.r + (to.r - from.r) * t),
-      c: Math.round(from.c + (to.c - from.c) * t),
-    };
-  }
+// Route leg swatches, matching the leg colours GridCanvas draws
+const LEG_SWATCHES = ["bg-emerald-400", "bg-sky-400", "bg-amber-400", "bg-fuchsia-400", "bg-lime-400", "bg-rose-400", "bg-cyan-300", "bg-orange-300"];
 
-  let goalIndex = -1;
-
-  for (let it = 0; it < iterations; it++) {
-    const sample = Math.random() < goalBias
-      ? { r: goal.r, c: goal.c }
-      : { r: Math.floor(Math.random() * rows), c: Math.floor(Math.random() * cols) };
-    if (!isFree(sample.r, sample.c)) continue;
-
-    const ni = nearest(sample);
-    const newPt = steer(nodes[ni], sample);
-    if (!isFree(newPt.r, newPt.c)) continue;
-    if (!lineFree(nodes[ni], newPt)) continue;
-
-    // cost uses weight map to prefer low-cost corridors
-    const w = grid[newPt.r][newPt.c].weight ?? 1;
-    const newCost = nodes[ni].cost + w * dist(nodes[ni], newPt);
-
-    const node = { ...newPt, parent: ni, cost: newCost };
-    const newIndex = nodes.push(node) - 1;
-    visited.push({ r: node.r, c: node.c });
-
-    // rewire within radius
-    for (let j = 0; j < nodes.length - 1; j++) {
-      const nbh = nodes[j];
-      if (dist(nbh, node) <= radius && lineFree(node, nbh)) {
-        const wj = grid[nbh.r][nbh.c].weight ?? 1;
-        const alt = node.cost + wj * dist(node, nbh);
-        if (alt < nbh.cost) {
-          nbh.cost = alt;
-          nbh.parent = newIndex;
-        }
-      }
-    }
+// How the Wall/Erase/Weight tools apply paint
+const Shapes = {
+  BRUSH: "Brush",
+  LINE: "Line",
+  RECT: "Rect",
+  FILL: "Fill",
+};
 
-    if (dist(node, goal) <= step && lineFree(node, goal)) {
-      // connect to goal
-      const gIdx = nodes.push({ r: goal.r, c: goal.c, parent: newIndex, cost: node.cost }) - 1;
-      goalIndex = gIdx;
-      break;
-    }
-  }
+const UNDO_LIMIT = 100;
 
-  const path = [];
-  if (goalIndex !== -1) {
-    let cur = goalIndex;
-    while (cur !== -1) {
-      const n = nodes[cur];
-      path.push({ r: n.r, c: n.c });
-      cur = n.parent;
-    }
-    path.reverse();
-  }
+// Dragging from the start or goal sets its heading, in steps of this many
+// degrees, clockwise from east like the planners read it
+const HEADING_SNAP = 15;
 
-  return { visited, path };
+function headingTowards(from, to) {
+  const deg = (Math.atan2(to.r - from.r, to.c - from.c) * 180) / Math.PI;
+  return ((Math.round(deg / HEADING_SNAP) * HEADING_SNAP) % 360 + 360) % 360;
 }
 
-/******************** UI + State ********************/
-const DEFAULT_ROWS = 24;
-const DEFAULT_COLS = 38;
-
-function makeGrid(rows, cols) {
-  return Array.from({ length: rows }, () =>
-    Array.from({ length: cols }, () => ({ wall: false, weight: 1 }))
-  );
+// The options a D* Lite instance was built with, for the A* it is compared to.
+function dstarOptions(planner) {
+  return { diag: planner.diag, corners: planner.corners, costModel: planner.costModel, agent: planner.agent, profiles: planner.profiles };
 }
 
-const Tools = {
-  WALL: "wall",
-  ERASE: "erase",
-  WEIGHT: "weight",
-  START: "start",
-  GOAL: "goal",
+const CORNER_LABELS = {
+  [CornerRules.ALLOW]: "Cut any corner",
+  [CornerRules.NO_SQUEEZE]: "No squeezing between walls",
+  [CornerRules.NO_CUT]: "Never cut a wall corner",
 };
 
-const Algorithms = {
-  ASTAR: "A*",
-  DIJKSTRA: "Dijkstra",
-  RRTSTAR: "RRT*",
+// What the main area shows
+const Views = {
+  EDIT: "edit",
+  COMPARE: "compare",
+  AGENTS: "agents",
 };
 
+
 export default function PathPlanningVisualizer() {
   const [rows, setRows] = useState(DEFAULT_ROWS);
   const [cols, setCols] = useState(DEFAULT_COLS);
   const [grid, setGrid] = useState(() => makeGrid(DEFAULT_ROWS, DEFAULT_COLS));
   const [start, setStart] = useState({ r: 2, c: 2 });
   const [goal, setGoal] = useState({ r: DEFAULT_ROWS - 3, c: DEFAULT_COLS - 3 });
+  const [waypoints, setWaypoints] = useState([]);
+  // Dynamic obstacles { points, mode }, and the route of the one being drawn
+  const [obstacles, setObstacles] = useState([]);
+  const [obstacleDraft, setObstacleDraft] = useState(null);
+  const [obstacleMode, setObstacleMode] = useState(ObstacleModes.LOOP);
   const [tool, setTool] = useState(Tools.WALL);
   const [algo, setAlgo] = useState(Algorithms.ASTAR);
   const [diag, setDiag] = useState(false);
+  // Drives every random choice (RRT* sampling, map generators)
+  const [seed, setSeed] = useState(() => randomSeed());
+  // Remaining planner options, set by the sliders or an imported scene
+  const [params, setParams] = useState(DEFAULT_OPTIONS);
+  // Cost-map overlays: inflated zone and clearance cost
+  const [showInflated, setShowInflated] = useState(true);
+  const [showClearance, setShowClearance] = useState(true);
   const [speed, setSpeed] = useState(28); // ms per step
-  const [animating, setAnimating] = useState(false);
-  const [visited, setVisited] = useState([]);
-  const [path, setPath] = useState([]);
-  const [mouseDown, setMouseDown] = useState(false);
+  // Playback: `trace` is the planner result, `cursor` how many timeline
+  // entries (expansions, then path cells) are currently revealed.
+  const [trace, setTrace] = useState(null);
+  const [cursor, setCursor] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  // Non-null while a worker run is in flight: { expansions, fraction }
+  const [planning, setPlanning] = useState(null);
+  const abortRef = useRef(null);
+  // Live D* Lite instance kept between edits, and stats of its last repair
+  const dstarRef = useRef(null);
+  const [repair, setRepair] = useState(null);
+  // Last PRM roadmap and what it was built from; reused while only the
+  // start or goal moves.
+  const roadmapRef = useRef(null); // { grid, samples, neighbors, seed, agent, profiles, roadmap }
+  const [view, setView] = useState(Views.EDIT);
   const [weightBrush, setWeightBrush] = useState(5);
+  // Terrain layer brushes; "" / 0 clears the layer
+  const [terrainBrush, setTerrainBrush] = useState(Terrains.ROAD);
+  const [arrowBrush, setArrowBrush] = useState(Directions.E);
+  const [elevationBrush, setElevationBrush] = useState(3);
+  const [shape, setShape] = useState(Shapes.BRUSH);
+  const [brushRadius, setBrushRadius] = useState(0);
+  const [rectOutline, setRectOutline] = useState(false);
+  // Undo/redo snapshots of { grid, start, goal, waypoints, obstacles }; rows are shared between
+  // snapshots, so each one only costs the rows its edit touched.
+  const [undoStack, setUndoStack] = useState([]);
+  const [redoStack, setRedoStack] = useState([]);
+  // Current drag: { anchor, end } for line/rect/select previews
+  const [draft, setDraft] = useState(null);
+  const strokeRef = useRef(null);
+  const [selection, setSelection] = useState(null); // { r0, c0, r1, c1 }
+  const [clipboard, setClipboard] = useState(null); // 2D array of cells
+  const [pasting, setPasting] = useState(false);
+  const [hoverCell, setHoverCell] = useState(null);
+  // Newest-first stats of completed runs; non-optimal planners get a
+  // Dijkstra reference cost computed in the background for the gap column.
+  const [history, setHistory] = useState([]);
+  const runIdRef = useRef(0);
+  const refJobRef = useRef(null); // { ctrl, scene, key, result } of the background Dijkstra reference
+  // Non-null while a generated map is being drawn: { ops, pos, grid }
+  const [generation, setGeneration] = useState(null);
+  // { title, message, errors } shown in a dialog, e.g. for a rejected import
+  const [error, setError] = useState(null);
+  const [shared, setShared] = useState(false); // link just copied
+  const shareHref = useHref("/share");
+  // Set by loadScene() when the size changes so the size effect keeps the
+  // loaded grid instead of replacing it with a blank one.
+  const keepGridRef = useRef(false);
+  const [exportFormat, setExportFormat] = useState(ExportFormats.JSON);
+  // Raster waiting for threshold/downsampling settings (RasterImportDialog)
+  const [rasterSource, setRasterSource] = useState(null);
+  // Start/goal pairs from a MovingAI .scen file: { name, list, index }
+  const [scenarios, setScenarios] = useState(null);
+
+  const stepCount = trace ? trace.steps.length : 0;
+  const timelineEnd = trace ? timelineLength(trace) : 0;
+  const animating = planning !== null || generation !== null || (trace !== null && cursor < timelineEnd);
+  const options = { ...params, diag, seed };
+  // What Export, Share, the library and autosave write (serializeScene())
+  const sceneParts = useMemo(
+    () => ({ rows, cols, start, goal, waypoints, obstacles, grid, seed, planner: { algorithm: algo, options: { ...params, diag, seed } } }),
+    [rows, cols, start, goal, waypoints, obstacles, grid, seed, algo, params, diag]
+  );
+  // a share link being opened wins over the autosaved scene
+  const openingLink = useMatch("/share") !== null;
+  const savedAt = useAutosave(sceneParts, { onRestore: loadScene, skipRestore: openingLink });
+  const setParam = (k, v) => setParams((p) => ({ ...p, [k]: v }));
+  // The map the planners search: walls inflated by the robot radius and
+  // weights raised by the clearance cost (plan() derives the same grid)
+  const { robotRadius, clearanceWeight, clearanceRange, corners, costModel } = params;
+  const costmap = useMemo(() => costmapLayers(grid, { robotRadius, clearanceWeight, clearanceRange }), [grid, robotRadius, clearanceWeight, clearanceRange]);
+  const planGrid = useMemo(() => applyCostmap(grid, { robotRadius, clearanceWeight, clearanceRange }), [grid, robotRadius, clearanceWeight, clearanceRange]);
+  const admissibleWarning = AlgorithmInfo[algo].heuristic && AlgorithmInfo[algo].optimal ? inadmissibility(options) : null;
+  const costmapView = useMemo(() => ({ layers: costmap, inflated: showInflated, clearance: showClearance }), [costmap, showInflated, showClearance]);
+  const terrainInGrid = useMemo(() => hasTerrain(grid), [grid]);
+  const profile = agentProfile(params);
+  // Edits the active agent's terrain profile
+  const setProfile = (k, v) => setParams((p) => ({ ...p, profiles: { ...p.profiles, [p.agent]: { ...agentProfile(p), [k]: v } } }));
+  const blockedEnds = [start, goal].filter((p) => planGrid[p.r]?.[p.c]?.wall && !grid[p.r][p.c].wall);
 
   useEffect(() => {
+    if (keepGridRef.current) {
+      keepGridRef.current = false;
+      return;
+    }
+    abortRef.current?.abort();
+    dstarRef.current = null;
+    setRepair(null);
+    setGeneration(null);
+    setScenarios(null);
+    setUndoStack([]);
+    setRedoStack([]);
+    setSelection(null);
     setGrid(makeGrid(rows, cols));
     setStart({ r: 2, c: 2 });
     setGoal({ r: rows - 3, c: cols - 3 });
-    setVisited([]); setPath([]); setAnimating(false);
+    setWaypoints([]);
+    setObstacles([]);
+    setObstacleDraft(null);
+    setTrace(null); setCursor(0); setPlaying(false);
   }, [rows, cols]);
 
-  function mutateCell(r, c, fn) {
-    setGrid((g) => {
-      const ng = g.map((row) => row.slice());
-      ng[r][c] = { ...ng[r][c], ...fn(ng[r][c]) };
-      return ng;
-    });
+  useEffect(
+    () => () => {
+      abortRef.current?.abort();
+      refJobRef.current?.ctrl.abort();
+    },
+    []
+  );
+
+  // D* Lite: repair the live solution after wall/weight edits and compare the
+  // work against a from-scratch A* on the edited map.
+  useEffect(() => {
+    const planner = dstarRef.current;
+    if (!planner || planner.grid === planGrid) return;
+    if (planner.rows !== planGrid.length || planner.cols !== planGrid[0].length) {
+      dstarRef.current = null;
+      return;
+    }
+    const result = summarize(planGrid, Algorithms.DSTARLITE, planner.update(planGrid), { costModel: planner.costModel, agent: planner.agent, profiles: planner.profiles });
+    const full = runAStar(planGrid, planner.start, planner.goal, dstarOptions(planner)).steps.length;
+    setTrace(result);
+    setCursor(timelineLength(result));
+    setRepair({ expansions: result.expansions, touched: result.touched, changed: result.changed, full });
+  }, [planGrid]);
+
+  // Moving the start keeps the D* Lite search (key modifier km); anything
+  // else that changes the problem drops it.
+  useEffect(() => {
+    const planner = dstarRef.current;
+    if (!planner) return;
+    if (algo !== Algorithms.DSTARLITE || diag !== planner.diag || corners !== planner.corners || costModel !== planner.costModel || goal !== planner.goal || params.agent !== planner.agent || params.profiles !== planner.profiles) {
+      dstarRef.current = null;
+      setRepair(null);
+      return;
+    }
+    if (start === planner.start) return;
+    const result = summarize(planner.grid, Algorithms.DSTARLITE, planner.moveStart(start), { costModel: planner.costModel, agent: planner.agent, profiles: planner.profiles });
+    setTrace(result);
+    setCursor(timelineLength(result));
+    setRepair({ expansions: result.expansions, touched: result.touched, changed: 0, full: runAStar(planner.grid, start, goal, dstarOptions(planner)).steps.length });
+  }, [start, goal, algo, diag, corners, costModel, params.agent, params.profiles]);
+
+  useEffect(() => {
+    if (!shared) return;
+    const id = setTimeout(() => setShared(false), 2000);
+    return () => clearTimeout(id);
+  }, [shared]);
+
+  useEffect(() => {
+    if (!playing) return;
+    if (cursor >= timelineEnd) {
+      setPlaying(false);
+      return;
+    }
+    const id = setTimeout(() => {
+      const batch = playbackBatch(stepCount);
+      setCursor((n) => Math.min(timelineEnd, n + (n < stepCount ? batch : 1)));
+    }, speed);
+    return () => clearTimeout(id);
+  }, [playing, cursor, timelineEnd, stepCount, speed]);
+
+  useEffect(() => {
+    if (!generation) return;
+    const { ops, pos } = generation;
+    if (pos >= ops.length) {
+      setGeneration(null);
+      return;
+    }
+    const id = setTimeout(() => {
+      const end = Math.min(ops.length, pos + Math.ceil(ops.length / GENERATION_TICKS));
+      setGrid((g) => applyOps(g, ops, pos, end));
+      setGeneration((gen) => gen && { ...gen, pos: end });
+    }, speed);
+    return () => clearTimeout(id);
+  }, [generation, speed]);
+
+  /******************** Editing ********************/
+  // Call before any user edit so it can be undone in one step.
+  function checkpoint() {
+    setUndoStack((u) => [...u, { grid, start, goal, waypoints, obstacles }].slice(-UNDO_LIMIT));
+    setRedoStack([]);
+  }
+
+  function undo() {
+    if (animating || !undoStack.length) return;
+    const prev = undoStack[undoStack.length - 1];
+    setUndoStack((u) => u.slice(0, -1));
+    setRedoStack((rd) => [...rd, { grid, start, goal, waypoints, obstacles }]);
+    setGrid(prev.grid);
+    setStart(prev.start);
+    setGoal(prev.goal);
+    setWaypoints(prev.waypoints);
+    setObstacles(prev.obstacles);
   }
 
-  function handleCell(r, c) {
+  function redo() {
+    if (animating || !redoStack.length) return;
+    const next = redoStack[redoStack.length - 1];
+    setRedoStack((rd) => rd.slice(0, -1));
+    setUndoStack((u) => [...u, { grid, start, goal, waypoints, obstacles }]);
+    setGrid(next.grid);
+    setStart(next.start);
+    setGoal(next.goal);
+    setWaypoints(next.waypoints);
+    setObstacles(next.obstacles);
+  }
+
+  function paintValue() {
+    if (tool === Tools.WALL) return WALL;
+    if (tool === Tools.WEIGHT) return (cell) => ({ ...cell, wall: false, weight: clamp(weightBrush, MIN_WEIGHT, MAX_WEIGHT) });
+    if (tool === Tools.TERRAIN) return layerPaint("terrain", terrainBrush);
+    if (tool === Tools.ONEWAY) return layerPaint("oneWay", arrowBrush);
+    if (tool === Tools.ELEVATION) return layerPaint("elevation", elevationBrush);
+    return FREE;
+  }
+
+  function shapeCells(a, b) {
+    if (shape === Shapes.RECT) return rectCells(a, b, rectOutline);
+    return strokeCells(a, b, brushRadius, rows, cols);
+  }
+
+  function paintStart(r, c) {
     if (animating) return;
-    if (tool === Tools.START) {
-      setStart({ r, c });
+    const p = { r, c };
+    if (tool === Tools.SELECT) {
+      if (pasting && clipboard) {
+        checkpoint();
+        setGrid((g) => pasteRegion(g, clipboard, p));
+        return;
+      }
+      setSelection(null);
+      setDraft({ anchor: p, end: p });
+      strokeRef.current = { last: p };
       return;
     }
-    if (tool === Tools.GOAL) {
-      setGoal({ r, c });
+    if (tool === Tools.WAYPOINT) {
+      toggleWaypoint(p);
       return;
     }
-    if (tool === Tools.WALL) {
-      mutateCell(r, c, (cell) => ({ wall: true, weight: 1 }));
-    } else if (tool === Tools.ERASE) {
-      mutateCell(r, c, () => ({ wall: false, weight: 1 }));
-    } else if (tool === Tools.WEIGHT) {
-      mutateCell(r, c, () => ({ wall: false, weight: clamp(weightBrush, 1, 20) }));
+    if (tool === Tools.OBSTACLE) {
+      if (!grid[r][c].wall && (obstacleDraft?.length ?? 0) < MAX_OBSTACLE_POINTS) setObstacleDraft((d) => [...(d ?? []), p]);
+      return;
     }
+    checkpoint();
+    strokeRef.current = { last: p, anchor: p };
+    // a new position keeps the marker's heading
+    if (tool === Tools.START) setStart((s) => ({ ...s, ...p }));
+    else if (tool === Tools.GOAL) setGoal((g) => ({ ...g, ...p }));
+    else if (shape === Shapes.FILL) {
+      const cell = paintValue();
+      setGrid((g) => paintCells(g, floodCells(g, p), cell));
+      strokeRef.current = null;
+    } else if (shape === Shapes.BRUSH) {
+      const cell = paintValue();
+      setGrid((g) => paintCells(g, brushCells(p, brushRadius, rows, cols), cell));
+    } else setDraft({ anchor: p, end: p });
   }
 
-  function handleDrag(r, c) {
-    if (!mouseDown) return;
-    handleCell(r, c);
+  // GridCanvas reports every cell along the drag, so the brush leaves no gaps.
+  function paintMove(r, c) {
+    const stroke = strokeRef.current;
+    if (!stroke) return;
+    const p = { r, c };
+    stroke.last = p;
+    if (tool === Tools.START || tool === Tools.GOAL) {
+      const set = tool === Tools.START ? setStart : setGoal;
+      // kinematic planners: drag out the heading instead of moving the marker
+      if (!AlgorithmInfo[algo].kinematic) set(p);
+      else if (p.r !== stroke.anchor.r || p.c !== stroke.anchor.c) set((s) => ({ ...s, heading: headingTowards(stroke.anchor, p) }));
+    } else if (tool === Tools.SELECT || shape !== Shapes.BRUSH) setDraft((d) => d && { ...d, end: p });
+    else {
+      const cell = paintValue();
+      setGrid((g) => paintCells(g, brushCells(p, brushRadius, rows, cols), cell));
+    }
   }
 
-  function runOnce() {
-    if (animating) return;
-    let result;
-    if (algo === Algorithms.DIJKSTRA) result = runDijkstra(grid, start, goal, diag);
-    else if (algo === Algorithms.RRTSTAR) result = runRRTStar(grid, start, goal, { iterations: 2500, radius: 4, step: 2 });
-    else result = runAStar(grid, start, goal, diag);
-    setVisited(result.visited);
-    setPath(result.path);
+  function paintEnd() {
+    const stroke = strokeRef.current;
+    strokeRef.current = null;
+    if (!stroke || !draft) return;
+    setDraft(null);
+    if (tool === Tools.SELECT) setSelection(normRect(draft.anchor, draft.end));
+    else {
+      const cell = paintValue();
+      const cells = shapeCells(draft.anchor, draft.end);
+      setGrid((g) => paintCells(g, cells, cell));
+    }
   }
 
-  async function animate() {
-    if (animating) return;
-    setVisited([]);
-    setPath([]);
-    setAnimating(true);
-  
-    let result;
-    if (algo === Algorithms.DIJKSTRA) result = runDijkstra(grid, start, goal, diag);
-    else if (algo === Algorithms.RRTSTAR) result = runRRTStar(grid, start, goal, { iterations: 2500, radius: 4, step: 2 });
-    else result = runAStar(grid, start, goal, diag);
-  
-    // Animate visited in batches
-    const batchSize = 3; // try 3–5 for smoother performance
-    for (let i = 0; i < result.visited.length; i += batchSize) {
-      setVisited((v) => [...v, ...result.visited.slice(i, i + batchSize)]);
-      await new Promise((res) => setTimeout(res, speed));
+  // Clicking a waypoint removes it; clicking a free cell appends one.
+  function toggleWaypoint(p) {
+    const at = waypoints.findIndex((w) => w.r === p.r && w.c === p.c);
+    if (at === -1 && (grid[p.r][p.c].wall || waypoints.length >= MAX_WAYPOINTS)) return;
+    checkpoint();
+    setWaypoints((ws) => (at === -1 ? [...ws, p] : ws.filter((_, i) => i !== at)));
+  }
+
+  // Turns the drawn route into an obstacle (Enter); a single point stands still.
+  function finishObstacle() {
+    if (!obstacleDraft?.length || obstacles.length >= MAX_OBSTACLES) return;
+    checkpoint();
+    setObstacles((os) => [...os, { points: obstacleDraft, mode: obstacleMode }]);
+    setObstacleDraft(null);
+  }
+
+  function updateObstacles(fn) {
+    checkpoint();
+    setObstacles(fn);
+  }
+
+  function copySelection(cut) {
+    if (!selection) return;
+    setClipboard(copyRegion(grid, selection));
+    if (cut) {
+      checkpoint();
+      setGrid((g) => paintCells(g, rectCells({ r: selection.r0, c: selection.c0 }, { r: selection.r1, c: selection.c1 }), FREE));
     }
-  
-    // Animate path separately
-    for (let i = 0; i < result.path.length; i++) {
-      setPath((p) => [...p, result.path[i]]);
-      await new Promise((res) => setTimeout(res, speed));
+  }
+
+  function deleteSelection() {
+    if (!selection || animating) return;
+    checkpoint();
+    setGrid((g) => paintCells(g, rectCells({ r: selection.r0, c: selection.c0 }, { r: selection.r1, c: selection.c1 }), FREE));
+  }
+
+  function startPaste() {
+    if (!clipboard) return;
+    setTool(Tools.SELECT);
+    setSelection(null);
+    setPasting(true);
+  }
+
+  // Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z or Ctrl+Y redo, Ctrl+C/X/V and
+  // Delete for the selection, Escape to drop the selection or paste.
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.target.closest?.("input, textarea, select, [contenteditable]")) return;
+      const mod = e.ctrlKey || e.metaKey;
+      const k = e.key.toLowerCase();
+      if (mod && k === "z") (e.shiftKey ? redo : undo)();
+      else if (mod && k === "y") redo();
+      else if (mod && k === "v" && clipboard) startPaste();
+      else if (obstacleDraft && k === "enter") finishObstacle();
+      else if (obstacleDraft && k === "escape") setObstacleDraft(null);
+      else if (!selection && !pasting) return;
+      else if (mod && k === "c") copySelection(false);
+      else if (mod && k === "x") copySelection(true);
+      else if (k === "delete" || k === "backspace") deleteSelection();
+      else if (k === "escape") {
+        setPasting(false);
+        setSelection(null);
+      } else return;
+      e.preventDefault();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  });
+
+  const overlay = useMemo(() => {
+    if (draft) {
+      if (tool === Tools.SELECT) return { selection: normRect(draft.anchor, draft.end) };
+      if (shape === Shapes.RECT && !rectOutline) return { selection: normRect(draft.anchor, draft.end) };
+      return { cells: shape === Shapes.RECT ? rectCells(draft.anchor, draft.end, true) : strokeCells(draft.anchor, draft.end, brushRadius, rows, cols) };
     }
-  
-    setAnimating(false);
+    if (pasting && clipboard && hoverCell) {
+      return { ghost: { r0: hoverCell.r, c0: hoverCell.c, r1: hoverCell.r + clipboard.length - 1, c1: hoverCell.c + clipboard[0].length - 1 } };
+    }
+    return selection ? { selection } : null;
+  }, [draft, tool, shape, rectOutline, brushRadius, rows, cols, pasting, clipboard, hoverCell, selection]);
+
+  function recordRun(result, scene) {
+    const id = ++runIdRef.current;
+    const info = AlgorithmInfo[result.algorithm];
+    // an inadmissible heuristic or ε > 1 voids the A* family's guarantee
+    const needsRef = result.found && !(info.optimal && !(info.heuristic && inadmissibility(options)));
+    const entry = { ...result, id, diag, seed: info.randomized ? seed : null, epsilon: info.weighted && options.epsilon > 1 ? options.epsilon : null, refCost: needsRef ? undefined : result.found ? result.cost : null };
+    setHistory((h) => [entry, ...h].slice(0, HISTORY_SIZE));
+    if (!needsRef) return;
+    const setRef = (refCost) => setHistory((h) => h.map((e) => (e.id === id ? { ...e, refCost } : e)));
+    const refOptions = { diag, optimalOrder: params.optimalOrder, robotRadius, clearanceWeight, clearanceRange, corners, costModel, agent: params.agent, profiles: params.profiles };
+    const key = JSON.stringify(refOptions);
+    // runs on the same problem share one reference; any other aborts it, and
+    // the runs still waiting for it show no gap
+    let job = refJobRef.current;
+    const same = job && !job.ctrl.signal.aborted && job.key === key && ["grid", "start", "goal", "waypoints", "obstacles"].every((k) => job.scene[k] === scene[k]);
+    if (!same) {
+      job?.ctrl.abort();
+      const ctrl = new AbortController();
+      job = { ctrl, scene, key, result: planInWorker(scene, Algorithms.DIJKSTRA, refOptions, { signal: ctrl.signal }) };
+      refJobRef.current = job;
+    }
+    job.result.then((ref) => setRef(ref.found ? ref.cost : null), () => setRef(null));
+  }
+
+  // Plans off the main thread. Partial traces are shown as they stream in;
+  // once done, `thenPlay` replays from the start, otherwise jumps to the end.
+  async function startPlan(thenPlay) {
+    if (playing || planning) return;
+    setRepair(null);
+    dstarRef.current = null;
+    if (algo === Algorithms.DSTARLITE && !waypoints.length) {
+      // stateful, so it stays on the main thread; repairs are small
+      const planner = new DStarLite(planGrid, start, goal, { diag, corners, costModel, agent: params.agent, profiles: params.profiles });
+      const t0 = performance.now();
+      const result = { ...summarize(planGrid, algo, planner.plan(), { costModel, agent: params.agent, profiles: params.profiles }), timeMs: performance.now() - t0 };
+      dstarRef.current = planner;
+      recordRun(result, { grid, start, goal });
+      setTrace(result);
+      setCursor(thenPlay ? 0 : timelineLength(result));
+      setPlaying(thenPlay);
+      return;
+    }
+    const ctrl = new AbortController();
+    abortRef.current = ctrl;
+    setTrace(null);
+    setCursor(0);
+    setPlanning({ expansions: 0, fraction: null });
+    let partial = [];
+    const scene = { grid, start, goal, waypoints, obstacles };
+    const rm = roadmapRef.current;
+    const reuse = algo === Algorithms.PRM && rm && rm.grid === planGrid && rm.samples === params.samples && rm.neighbors === params.neighbors && rm.seed === seed && rm.agent === params.agent && rm.profiles === params.profiles;
+    try {
+      const result = await planInWorker(scene, algo, reuse ? { ...options, roadmap: rm.roadmap } : options, {
+        signal: ctrl.signal,
+        onProgress: (p) => {
+          partial = partial.concat(p.steps);
+          setPlanning({ expansions: p.expansions, fraction: p.fraction });
+          setTrace({ steps: partial, path: [] });
+          setCursor(partial.length);
+        },
+      });
+      if (result.roadmap) roadmapRef.current = { grid: planGrid, samples: params.samples, neighbors: params.neighbors, seed, agent: params.agent, profiles: params.profiles, roadmap: result.roadmap };
+      setTrace(result);
+      setCursor(thenPlay ? 0 : timelineLength(result));
+      setPlaying(thenPlay);
+      recordRun(result, scene);
+    } catch (err) {
+      if (err.name !== "AbortError") console.error("Planning failed", err);
+    } finally {
+      if (abortRef.current === ctrl) {
+        abortRef.current = null;
+        setPlanning(null);
+      }
+    }
+  }
+
+  function runOnce() {
+    startPlan(false);
+  }
+
+  function animate() {
+    startPlan(true);
+  }
+
+  function cancelPlan() {
+    abortRef.current?.abort();
+    abortRef.current = null;
+    setPlanning(null);
+  }
+
+  function togglePlay() {
+    if (planning) return;
+    if (!trace) return animate();
+    if (cursor >= timelineEnd) setCursor(0);
+    setPlaying((p) => !p);
+  }
+
+  function stepBy(delta) {
+    if (!trace) return;
+    setPlaying(false);
+    setCursor((n) => clamp(n + delta, 0, timelineEnd));
+  }
+
+  function seek(n) {
+    setPlaying(false);
+    setCursor(clamp(n, 0, timelineEnd));
   }
 
   function reset() {
-    setVisited([]);
-    setPath([]);
-    setAnimating(false);
+    cancelPlan();
+    dstarRef.current = null;
+    setRepair(null);
+    setTrace(null);
+    setCursor(0);
+    setPlaying(false);
   }
 
   function clearAll() {
+    checkpoint();
     setGrid(makeGrid(rows, cols));
     reset();
   }
 
-  function exportJSON() {
-    const data = { rows, cols, start, goal, grid };
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = "path_planner_scene.json";
-    a.click();
-    URL.revokeObjectURL(url);
-  }
-
-  function importJSON(e) {
-    const file = e.target.files?.[0];
-    if (!file) return;
-    const reader = new FileReader();
-    reader.onload = () => {
-      try {
-        const data = JSON.parse(reader.result);
-        if (!data.grid || !data.rows || !data.cols) return;
-        setRows(data.rows);
-        setCols(data.cols);
-        setGrid(data.grid);
-        setStart(data.start);
-        setGoal(data.goal);
-        reset();
-      } catch (err) {
-        console.error("Invalid JSON", err);
+  function exportScene() {
+    if (exportFormat === ExportFormats.MOVINGAI) {
+      download("path_planner_map.map", serializeMovingAIMap(grid), "text/plain");
+    } else if (exportFormat === ExportFormats.ROS) {
+      download("path_planner_map.pgm", serializePGM(grid), "image/x-portable-graymap");
+      download("path_planner_map.yaml", serializeRosYaml("path_planner_map.pgm"), "text/yaml");
+    } else if (exportFormat === ExportFormats.PNG) {
+      const { width, height, data } = gridToRaster(grid);
+      const canvas = document.createElement("canvas");
+      canvas.width = width;
+      canvas.height = height;
+      const img = new ImageData(width, height);
+      for (let i = 0; i < data.length; i++) {
+        img.data[4 * i] = img.data[4 * i + 1] = img.data[4 * i + 2] = data[i];
+        img.data[4 * i + 3] = 255;
       }
-    };
-    reader.readAsText(file);
-  }
-
-  function randomMaze(density = 0.28) {
-    setGrid((g) =>
-      g.map((row, r) =>
-        row.map((cell, c) => {
-          if ((r === start.r && c === start.c) || (r === goal.r && c === goal.c)) return { wall: false, weight: 1 };
-          return Math.random() < density ? { wall: true, weight: 1 } : { wall: false, weight: 1 };
-        })
-      )
-    );
+      canvas.getContext("2d").putImageData(img, 0, 0);
+      canvas.toBlob((blob) => blob && download("path_planner_map.png", blob));
+    } else {
+      download("path_planner_scene.json", JSON.stringify(serializeScene(sceneParts), null, 2), "application/json");
+    }
+  }
+
+  // Copies a link that reopens this scene (see share.js).
+  async function shareScene() {
+    let url;
+    try {
+      url = new URL(`${shareHref}#${await encodeScene(serializeScene(sceneParts))}`, window.location.origin).href;
+    } catch (err) {
+      console.error("Share failed", err);
+      setError({ title: "Could not share", message: "No link was made for this scene:", errors: [err.message] });
+      return;
+    }
+    if (url.length > MAX_SHARE_LENGTH) {
+      setError({
+        title: "Could not share",
+        message: "This scene is too large for a link:",
+        errors: [`the link would be ${url.length} characters, more than ${MAX_SHARE_LENGTH}; use Export to send it as a file`],
+      });
+      return;
+    }
+    try {
+      await navigator.clipboard.writeText(url);
+      setShared(true);
+    } catch {
+      window.prompt("Copy this link to share the scene:", url);
+    }
+  }
+
+  // Accepts scene JSON, MovingAI .map/.scen, ROS .pgm/.png + .yaml and
+  // plain images; several files can be picked at once (e.g. PGM + YAML).
+  async function importFiles(e) {
+    const files = Array.from(e.target.files ?? []);
+    e.target.value = ""; // allow re-importing the same file after fixing it
+    if (!files.length) return;
+    const byKind = {};
+    for (const f of files) (byKind[fileKind(f.name) ?? "unsupported"] ??= []).push(f);
+    const names = files.map((f) => f.name).join(", ");
+    try {
+      if (byKind.unsupported) throw new SceneError(byKind.unsupported.map((f) => `${f.name}: unsupported file type`));
+      if (byKind[FileKinds.SCENE]) {
+        loadScene(parseSceneText(await byKind[FileKinds.SCENE][0].text()));
+      } else if (byKind[FileKinds.MOVINGAI_MAP]) {
+        loadMap(parseMovingAIMap(await byKind[FileKinds.MOVINGAI_MAP][0].text()));
+      }
+      if (byKind[FileKinds.MOVINGAI_SCEN]) {
+        const file = byKind[FileKinds.MOVINGAI_SCEN][0];
+        const list = parseMovingAIScen(await file.text());
+        // the map may have been loaded together with the scenarios
+        const dims = byKind[FileKinds.MOVINGAI_MAP] ? null : { rows, cols };
+        loadScenarios(file.name, list, dims);
+      }
+      const yaml = byKind[FileKinds.YAML]?.[0];
+      const meta = yaml ? parseRosYaml(await yaml.text()) : null;
+      if (byKind[FileKinds.PGM]) {
+        const file = byKind[FileKinds.PGM][0];
+        const pgm = parsePGM(new Uint8Array(await file.arrayBuffer()));
+        setRasterSource({ name: file.name, mode: "ros", raster: pgm, maxval: pgm.maxval, meta });
+      } else if (byKind[FileKinds.IMAGE]) {
+        const file = byKind[FileKinds.IMAGE][0];
+        setRasterSource({ name: file.name, mode: meta ? "ros" : "image", raster: await readImageFile(file), meta });
+      } else if (yaml && !byKind[FileKinds.SCENE] && !byKind[FileKinds.MOVINGAI_MAP]) {
+        throw new SceneError([`${yaml.name}: select the map image (${meta.image || "PGM"}) together with its YAML file`]);
+      }
+    } catch (err) {
+      if (!(err instanceof SceneError)) console.error("Import failed", err);
+      setError({
+        title: "Could not import",
+        message: `${names} was not loaded:`,
+        errors: err instanceof SceneError ? err.errors : [err.message],
+      });
+    }
+  }
+
+  // Maps without endpoints or planner settings (MovingAI, ROS, images):
+  // keep the current start/goal where they still fit and validate as a scene.
+  function loadMap({ rows: r, cols: c, grid: g }) {
+    const ends = placeEndpoints(g, start, goal);
+    loadScene(parseScene({ version: SCENE_VERSION, rows: r, cols: c, grid: g, ...ends }));
+  }
+
+  function loadScenarios(name, list, dims) {
+    const fits = list.filter((s) => !dims || (s.width === dims.cols && s.height === dims.rows));
+    if (!fits.length) {
+      throw new SceneError([`${name}: no scenario matches the current ${dims.rows}×${dims.cols} map; load its .map first or together`]);
+    }
+    setScenarios({ name, list: fits, index: 0 });
+    applyScenario(fits[0]);
+  }
+
+  function applyScenario(s) {
     reset();
+    setStart(s.start);
+    setGoal(s.goal);
   }
 
-  function randomWeights(prob = 0.25) {
-    setGrid((g) =>
-      g.map((row, r) =>
-        row.map((cell, c) => {
-          if (cell.wall) return { wall: true, weight: 1 };
-          if (Math.random() < prob) return { wall: false, weight: 6 + Math.floor(Math.random() * 8) };
-          return { wall: false, weight: 1 };
-        })
-      )
-    );
+  // Installs a validated scene (see scene.js).
+  function loadScene(scene) {
     reset();
+    setGeneration(null);
+    setScenarios(null);
+    setUndoStack([]);
+    setRedoStack([]);
+    setSelection(null);
+    if (scene.rows !== rows || scene.cols !== cols) keepGridRef.current = true;
+    setRows(scene.rows);
+    setCols(scene.cols);
+    setGrid(scene.grid);
+    setStart(scene.start);
+    setGoal(scene.goal);
+    setWaypoints(scene.waypoints ?? []);
+    setObstacles(scene.obstacles ?? []);
+    setObstacleDraft(null);
+    const saved = scene.planner?.options;
+    if (saved) {
+      setParams({ ...DEFAULT_OPTIONS, ...saved });
+      setDiag(Boolean(saved.diag));
+    }
+    const algorithm = resolveAlgorithm(scene.planner?.algorithm);
+    if (algorithm) setAlgo(algorithm);
+    const savedSeed = normalizeSeed(scene.seed ?? saved?.seed);
+    if (savedSeed !== null) setSeed(savedSeed);
+  }
+
+  function generate(kind, params, { connected, animate }) {
+    if (planning || generation) return;
+    reset();
+    checkpoint();
+    const res = generateMap(kind, grid, { ...params, start, goal, seed, connected, record: animate });
+    if (animate && res.ops.length) {
+      setGrid(res.initial);
+      setGeneration({ ops: res.ops, pos: 0, grid: res.grid });
+    } else {
+      setGrid(res.grid);
+    }
   }
 
-  const visitedSet = useMemo(() => new Set(visited.map((v) => key(v.r, v.c))), [visited]);
-  const pathSet = useMemo(() => new Set(path.map((p) => key(p.r, p.c))), [path]);
+  function finishGeneration() {
+    if (!generation) return;
+    setGrid(generation.grid);
+    setGeneration(null);
+  }
+
+  // One FrameCursor per trace; seeking is incremental so playback only
+  // touches the cells that changed since the previous tick.
+  const frameCursor = useMemo(() => (trace ? new FrameCursor(trace, rows, cols) : null), [trace, rows, cols]);
+  const frame = useMemo(() => frameCursor?.seek(cursor) ?? null, [frameCursor, cursor]);
+  // Obstacles move on the playback clock, together with the robot once the
+  // path is being revealed (any-angle paths have no per-tick cells).
+  const robot = frame && frame.pathShown > 0 && !trace.polyline ? trace.path[frame.pathShown - 1] : null;
+  const movers = obstacles.length || obstacleDraft ? { list: obstacles, draft: obstacleDraft, time: frame?.tick ?? 0, robot } : null;
+  const hits = useMemo(() => (trace?.found && !trace.polyline && !trace.poses && obstacles.length ? collisions(trace.path, obstacles) : []), [trace, obstacles]);
 
   return (
     <div className="min-h-screen w-full bg-slate-950 text-slate-100 px-4 py-6">
@@ -520,207 +952,707 @@ export default function PathPlanningVisualizer() {
           <div className="flex items-center gap-2">
             <button
               onClick={animate}
-              disabled={animating}
+              disabled={playing || planning !== null || view !== Views.EDIT}
               className="inline-flex items-center gap-2 rounded-2xl px-4 py-2 bg-emerald-500 hover:bg-emerald-400 active:scale-[.98] shadow-lg shadow-emerald-500/20 disabled:opacity-50"
             >
               <Play className="h-4 w-4" /> Animate
             </button>
             <button
               onClick={runOnce}
-              className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 bg-sky-500 hover:bg-sky-400 active:scale-[.98] shadow-lg shadow-sky-500/20"
+              disabled={playing || planning !== null || view !== Views.EDIT}
+              className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 bg-sky-500 hover:bg-sky-400 active:scale-[.98] shadow-lg shadow-sky-500/20 disabled:opacity-50"
             >
               <Zap className="h-4 w-4" /> Compute
             </button>
+            {planning && (
+              <button
+                onClick={reset}
+                className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 bg-rose-600 hover:bg-rose-500 active:scale-[.98]"
+              >
+                <XCircle className="h-4 w-4" /> Cancel
+              </button>
+            )}
             <button
               onClick={reset}
               className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 bg-slate-800 hover:bg-slate-700"
             >
               <RotateCcw className="h-4 w-4" /> Reset
             </button>
+            <button
+              onClick={() => {
+                reset();
+                setView((v) => (v === Views.COMPARE ? Views.EDIT : Views.COMPARE));
+              }}
+              className={`inline-flex items-center gap-2 rounded-2xl px-3 py-2 ${view === Views.COMPARE ? "bg-white text-slate-900" : "bg-slate-800 hover:bg-slate-700"}`}
+            >
+              <Columns2 className="h-4 w-4" /> Compare
+            </button>
+            <button
+              onClick={() => {
+                reset();
+                setView((v) => (v === Views.AGENTS ? Views.EDIT : Views.AGENTS));
+              }}
+              className={`inline-flex items-center gap-2 rounded-2xl px-3 py-2 ${view === Views.AGENTS ? "bg-white text-slate-900" : "bg-slate-800 hover:bg-slate-700"}`}
+            >
+              <Users className="h-4 w-4" /> Agents
+            </button>
             <button
               onClick={clearAll}
               className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 bg-slate-800 hover:bg-slate-700"
             >
               <Eraser className="h-4 w-4" /> Clear
             </button>
+            <Link
+              to="/gallery"
+              className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 bg-slate-800 hover:bg-slate-700"
+            >
+              <Images className="h-4 w-4" /> Gallery
+            </Link>
+            <Link
+              to="/library"
+              className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 bg-slate-800 hover:bg-slate-700"
+              title={savedAt ? `Autosaved in this browser at ${new Date(savedAt).toLocaleTimeString()}` : "Scenes saved in this browser"}
+            >
+              <Library className="h-4 w-4" /> Library
+            </Link>
           </div>
         </header>
 
-        {/* Controls */}
-        <section className="grid md:grid-cols-3 gap-4 mb-6">
-          <div className="rounded-2xl bg-slate-900/70 border border-slate-800 p-4">
-            <h2 className="font-semibold mb-3 flex items-center gap-2"><Settings className="h-4 w-4"/> Planner</h2>
-            <div className="grid grid-cols-2 gap-2 text-sm">
-              {Object.values(Algorithms).map((a) => (
+        {view === Views.COMPARE ? (
+          <ComparisonView grid={grid} start={start} goal={goal} waypoints={waypoints} obstacles={obstacles} options={options} speed={speed} onClose={() => setView(Views.EDIT)} />
+        ) : view === Views.AGENTS ? (
+          <MultiAgentView grid={grid} start={start} goal={goal} seed={seed} diag={diag} speed={speed} onClose={() => setView(Views.EDIT)} />
+        ) : (
+          <>
+            {/* Controls */}
+            <section className="grid md:grid-cols-3 gap-4 mb-6">
+              <div className="rounded-2xl bg-slate-900/70 border border-slate-800 p-4">
+                <h2 className="font-semibold mb-3 flex items-center gap-2"><Settings className="h-4 w-4"/> Planner</h2>
+                <div className="grid grid-cols-2 gap-2 text-sm">
+                  {Object.values(Algorithms).map((a) => (
+                    <button
+                      key={a}
+                      onClick={() => setAlgo(a)}
+                      className={`rounded-xl px-3 py-2 border ${
+                        algo === a
+                          ? "bg-white text-slate-900 border-white"
+                          : "bg-slate-800 border-slate-700 hover:bg-slate-700"
+                      }`}
+                    >
+                      {a}
+                      {!AlgorithmInfo[a].weights && <span className="ml-1 text-[10px] opacity-60" title="Ignores cell weights">(unweighted)</span>}
+                    </button>
+                  ))}
+                </div>
+                {AlgorithmInfo[algo].note && (
+                  <p className="mt-3 text-xs text-amber-300/90 flex items-start gap-1.5">
+                    <Info className="h-3.5 w-3.5 mt-0.5 shrink-0"/> {AlgorithmInfo[algo].note}
+                  </p>
+                )}
+                <div className="mt-4 flex items-center justify-between text-sm">
+                  <label className="flex items-center gap-2">
+                    <input type="checkbox" className="accent-emerald-500" checked={diag} onChange={(e) => setDiag(e.target.checked)} />
+                    Allow diagonals
+                  </label>
+                  <div className="flex items-center gap-2">
+                    <span>Speed</span>
+                    <input
+                      type="range"
+                      min={4}
+                      max={100}
+                      value={100-speed}
+                      onChange={(e) => setSpeed(100-Number(e.target.value))}
+                    />
+                  </div>
+                </div>
+                {(diag || AlgorithmInfo[algo].heuristic) && (
+                  <div className="mt-3 space-y-2">
+                    {diag && (
+                      <label className="flex items-center justify-between gap-2 text-xs" title="What a diagonal step into a cell costs">
+                        <span>Diagonal step cost</span>
+                        <select
+                          value={costModel}
+                          onChange={(e) => setParam("costModel", e.target.value)}
+                          className="rounded-lg bg-slate-800 border border-slate-700 px-2 py-1"
+                        >
+                          <option value={CostModels.OCTILE}>√2 × weight</option>
+                          <option value={CostModels.UNIFORM}>weight (same as straight)</option>
+                        </select>
+                      </label>
+                    )}
+                    {AlgorithmInfo[algo].heuristic && (
+                      <label className="flex items-center justify-between gap-2 text-xs" title="Estimate of the remaining cost; Auto picks the tightest admissible one">
+                        <span>Heuristic</span>
+                        <select
+                          value={params.heuristic}
+                          onChange={(e) => setParam("heuristic", e.target.value)}
+                          className="rounded-lg bg-slate-800 border border-slate-700 px-2 py-1"
+                        >
+                          {Object.values(Heuristics).map((h) => (
+                            <option key={h} value={h}>
+                              {h === Heuristics.AUTO ? `Auto (${HeuristicLabels[heuristicName({ ...options, heuristic: h })]})` : HeuristicLabels[h]}
+                            </option>
+                          ))}
+                        </select>
+                      </label>
+                    )}
+                    {AlgorithmInfo[algo].weighted && (
+                      <ParamSlider label="Weight ε" value={params.epsilon} min={1} max={5} step={0.1} onChange={(v) => setParam("epsilon", v)} title="Weighted A*: f = g + ε·h; the path costs at most ε times the optimum"/>
+                    )}
+                  </div>
+                )}
+                <div className="mt-3 flex items-center gap-2 text-sm">
+                  <SeedInput value={seed} onCommit={setSeed}/>
+                  <button
+                    onClick={() => setSeed(randomSeed())}
+                    title="Re-roll seed"
+                    className="inline-flex items-center gap-1.5 rounded-xl px-3 py-2 bg-slate-800 hover:bg-slate-700"
+                  >
+                    <Dices className="h-4 w-4"/> Re-roll
+                  </button>
+                </div>
+                {AlgorithmInfo[algo].sampling && (
+                  <div className="mt-3 space-y-2">
+                    <ParamSlider label="Step size" value={params.step} min={0.5} max={10} step={0.5} onChange={(v) => setParam("step", v)} title="Longest edge a new vertex may add, in cells"/>
+                    {AlgorithmInfo[algo].rewire && (
+                      <ParamSlider label="Rewire radius" value={params.radius} min={1} max={20} step={0.5} onChange={(v) => setParam("radius", v)} title="Neighbours within this distance are considered as parents and rewired (never below the step size)"/>
+                    )}
+                    <ParamSlider label="Goal bias" value={params.goalBias} min={0} max={0.5} step={0.01} onChange={(v) => setParam("goalBias", v)} title="Probability of sampling the goal instead of a random point"/>
+                    <ParamSlider label="Iterations" value={params.iterations} min={100} max={20000} step={100} onChange={(v) => setParam("iterations", v)} title="Sampling budget"/>
+                    <label className="flex items-center gap-2 text-xs">
+                      <input type="checkbox" className="accent-emerald-500" checked={params.anytime} onChange={(e) => setParam("anytime", e.target.checked)} />
+                      Keep improving after the first solution
+                    </label>
+                  </div>
+                )}
+                {AlgorithmInfo[algo].roadmap && (
+                  <div className="mt-3 space-y-2">
+                    <ParamSlider label="Samples" value={params.samples} min={20} max={3000} step={10} onChange={(v) => setParam("samples", v)} title="Free cells sampled as roadmap nodes"/>
+                    <ParamSlider label="Neighbours (k)" value={params.neighbors} min={1} max={30} step={1} onChange={(v) => setParam("neighbors", v)} title="Each node is linked to its k nearest nodes in line of sight"/>
+                  </div>
+                )}
+                {AlgorithmInfo[algo].kinematic && (
+                  <div className="mt-3 space-y-2">
+                    <ParamSlider label="Turning radius" value={params.turningRadius} min={1} max={10} step={0.5} onChange={(v) => setParam("turningRadius", v)} title="Tightest circle the vehicle can drive, in cells"/>
+                    <ParamSlider label="Vehicle length" value={params.vehicleLength} min={1} max={6} step={0.5} onChange={(v) => setParam("vehicleLength", v)} title="Footprint length in cells, centred on the pose"/>
+                    <ParamSlider label="Vehicle width" value={params.vehicleWidth} min={0.5} max={3} step={0.5} onChange={(v) => setParam("vehicleWidth", v)} title="Footprint width in cells"/>
+                    <label className="flex items-center gap-2 text-xs">
+                      <input type="checkbox" className="accent-emerald-500" checked={params.reverse} onChange={(e) => setParam("reverse", e.target.checked)} />
+                      Allow reversing (Reeds-Shepp)
+                    </label>
+                    {params.reverse && (
+                      <ParamSlider label="Reverse penalty" value={params.reversePenalty} min={1} max={10} step={0.5} onChange={(v) => setParam("reversePenalty", v)} title="Cost multiplier for distance driven backwards"/>
+                    )}
+                    <div className="flex items-center justify-between gap-2 text-xs text-slate-400 tabular-nums">
+                      <span>
+                        Start {start.heading ?? 0}° · goal {goal.heading === undefined ? "any heading" : `${goal.heading}°`}
+                      </span>
+                      {goal.heading !== undefined && (
+                        <button
+                          onClick={() => {
+                            checkpoint();
+                            setGoal((g) => ({ r: g.r, c: g.c }));
+                          }}
+                          title="Accept any heading at the goal"
+                          className="rounded-lg px-2 py-1 bg-slate-800 hover:bg-slate-700"
+                        >
+                          Any goal heading
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                )}
+                {AlgorithmInfo[algo].potential && (
+                  <div className="mt-3 space-y-2">
+                    <ParamSlider label="Attraction" value={params.attract} min={0.1} max={10} step={0.1} onChange={(v) => setParam("attract", v)} title="Gain of the conic pull towards the goal"/>
+                    <ParamSlider label="Repulsion" value={params.repulse} min={0} max={100} step={1} onChange={(v) => setParam("repulse", v)} title="Gain of the push away from walls"/>
+                    <ParamSlider label="Influence" value={params.influence} min={1} max={15} step={0.5} onChange={(v) => setParam("influence", v)} title="Walls farther than this (in cells) do not repel"/>
+                  </div>
+                )}
+              </div>
+
+              <div className="rounded-2xl bg-slate-900/70 border border-slate-800 p-4">
+                <h2 className="font-semibold mb-3 flex items-center gap-2"><Bot className="h-4 w-4"/> Robot</h2>
+                <div className="space-y-2">
+                  <ParamSlider label="Radius" value={robotRadius} min={0} max={5} step={0.5} onChange={(v) => setParam("robotRadius", v)} title="Footprint radius in cells; walls are inflated by it so the robot plans as a point"/>
+                  <ParamSlider label="Clearance cost" value={clearanceWeight} min={0} max={20} step={1} onChange={(v) => setParam("clearanceWeight", v)} title="Extra cost of a cell right next to the inflated zone; 0 turns the clearance layer off"/>
+                  <ParamSlider label="Clearance range" value={clearanceRange} min={1} max={10} step={0.5} onChange={(v) => setParam("clearanceRange", v)} title="Distance (in cells) over which the clearance cost falls to 0"/>
+                </div>
+                <label className="mt-3 flex items-center justify-between gap-2 text-xs" title="When a diagonal move may pass the corner of a wall">
+                  <span>Diagonal corners</span>
+                  <select
+                    value={corners}
+                    disabled={!diag}
+                    onChange={(e) => setParam("corners", e.target.value)}
+                    className="rounded-lg bg-slate-800 border border-slate-700 px-2 py-1 disabled:opacity-50"
+                  >
+                    {Object.values(CornerRules).map((k) => (
+                      <option key={k} value={k}>{CORNER_LABELS[k]}</option>
+                    ))}
+                  </select>
+                </label>
+                <div className="mt-3 flex items-center gap-4 text-xs">
+                  <label className="flex items-center gap-2">
+                    <input type="checkbox" className="accent-emerald-500" checked={showInflated} onChange={(e) => setShowInflated(e.target.checked)} />
+                    Show inflated zone
+                  </label>
+                  <label className="flex items-center gap-2">
+                    <input type="checkbox" className="accent-emerald-500" checked={showClearance} onChange={(e) => setShowClearance(e.target.checked)} />
+                    Show clearance cost
+                  </label>
+                </div>
+              </div>
+
+              <div className="rounded-2xl bg-slate-900/70 border border-slate-800 p-4">
+                <h2 className="font-semibold mb-3 flex items-center gap-2"><Trees className="h-4 w-4"/> Terrain</h2>
+                <label className="flex items-center justify-between gap-2 text-xs" title="Whose costs the planners use">
+                  <span>Agent profile</span>
+                  <select
+                    value={params.agent}
+                    onChange={(e) => setParam("agent", e.target.value)}
+                    className="rounded-lg bg-slate-800 border border-slate-700 px-2 py-1"
+                  >
+                    {Object.values(AgentProfiles).map((a) => (
+                      <option key={a} value={a}>{AgentProfileLabels[a]}</option>
+                    ))}
+                  </select>
+                </label>
+                <div className="mt-3 space-y-1.5 text-xs">
+                  {Object.values(Terrains).map((t) => (
+                    <div key={t} className="flex items-center justify-between gap-2" title={`Factor on the weight of ${TerrainLabels[t].toLowerCase()} cells`}>
+                      <span className="flex items-center gap-1.5 w-24">
+                        <span className={`inline-block h-2.5 w-2.5 rounded-sm ${TERRAIN_SWATCHES[t]}`}/> {TerrainLabels[t]}
+                      </span>
+                      <input
+                        type="number"
+                        min={1}
+                        step={0.5}
+                        value={profile[t] ?? ""}
+                        disabled={profile[t] == null}
+                        onChange={(e) => {
+                          const v = Number(e.target.value);
+                          if (e.target.value !== "" && v >= 1) setProfile(t, v);
+                        }}
+                        className="w-16 rounded-lg bg-slate-800 border border-slate-700 px-2 py-0.5 tabular-nums disabled:opacity-40"
+                      />
+                      <label className="flex items-center gap-1.5">
+                        <input type="checkbox" className="accent-rose-500" checked={profile[t] == null} onChange={(e) => setProfile(t, e.target.checked ? null : DEFAULT_PROFILES[params.agent][t] ?? 1)} />
+                        Impassable
+                      </label>
+                    </div>
+                  ))}
+                </div>
+                <div className="mt-3 space-y-2">
+                  <ParamSlider label="Uphill" value={profile.uphill} min={0} max={10} step={0.5} onChange={(v) => setProfile("uphill", v)} title="Extra cost per elevation level climbed"/>
+                  <ParamSlider label="Downhill" value={profile.downhill} min={0} max={10} step={0.5} onChange={(v) => setProfile("downhill", v)} title="Extra cost per elevation level descended"/>
+                </div>
                 <button
-                  key={a}
-                  onClick={() => setAlgo(a)}
-                  className={`rounded-xl px-3 py-2 border ${
-                    algo === a
-                      ? "bg-white text-slate-900 border-white"
-                      : "bg-slate-800 border-slate-700 hover:bg-slate-700"
-                  }`}
+                  onClick={() => setParams((p) => ({ ...p, profiles: { ...p.profiles, [p.agent]: DEFAULT_PROFILES[p.agent] } }))}
+                  className="mt-3 rounded-lg px-2 py-1 text-xs bg-slate-800 hover:bg-slate-700"
                 >
-                  {a}
+                  Reset {AgentProfileLabels[params.agent].toLowerCase()} costs
                 </button>
-              ))}
-            </div>
-            <div className="mt-4 flex items-center justify-between text-sm">
-              <label className="flex items-center gap-2">
-                <input type="checkbox" className="accent-emerald-500" checked={diag} onChange={(e) => setDiag(e.target.checked)} />
-                Allow diagonals
-              </label>
-              <div className="flex items-center gap-2">
-                <span>Speed</span>
-                <input
-                  type="range"
-                  min={4}
-                  max={100}
-                  value={100-speed}
-                  onChange={(e) => setSpeed(100-Number(e.target.value))}
-                />
+                {terrainInGrid && !AlgorithmInfo[algo].terrain && (
+                  <p className="mt-3 text-xs text-amber-300/90 flex items-start gap-1.5">
+                    <Info className="h-3.5 w-3.5 mt-0.5 shrink-0"/> {algo} ignores terrain, slopes and one-way arrows; its cost is still reported under this profile. A*, Dijkstra and the RRT family plan with them.
+                  </p>
+                )}
               </div>
-            </div>
-          </div>
-
-          <div className="rounded-2xl bg-slate-900/70 border border-slate-800 p-4">
-            <h2 className="font-semibold mb-3 flex items-center gap-2"><GridIcon className="h-4 w-4"/> Grid</h2>
-            <div className="grid grid-cols-2 gap-2 text-sm">
-              <label className="flex items-center justify-between gap-2 bg-slate-800 rounded-xl px-3 py-2">
-                <span>Rows</span>
-                <input
-                  type="number"
-                  min={8}
-                  max={60}
-                  value={rows}
-                  onChange={(e) => setRows(clamp(parseInt(e.target.value || "0"), 8, 60))}
-                  className="w-20 bg-transparent outline-none text-right"
-                />
-              </label>
-              <label className="flex items-center justify-between gap-2 bg-slate-800 rounded-xl px-3 py-2">
-                <span>Cols</span>
-                <input
-                  type="number"
-                  min={8}
-                  max={80}
-                  value={cols}
-                  onChange={(e) => setCols(clamp(parseInt(e.target.value || "0"), 8, 80))}
-                  className="w-20 bg-transparent outline-none text-right"
-                />
-              </label>
-            </div>
-            <div className="mt-3 grid grid-cols-2 gap-2 text-sm">
-              <button onClick={() => randomMaze(0.28)} className="rounded-xl px-3 py-2 bg-slate-800 hover:bg-slate-700">Random maze</button>
-              <button onClick={() => randomWeights(0.3)} className="rounded-xl px-3 py-2 bg-slate-800 hover:bg-slate-700">Random weights</button>
-            </div>
-          </div>
 
-          <div className="rounded-2xl bg-slate-900/70 border border-slate-800 p-4">
-            <h2 className="font-semibold mb-3 flex items-center gap-2"><MousePointer2 className="h-4 w-4"/> Tools</h2>
-            <div className="grid grid-cols-5 gap-2 text-xs">
-              <ToolButton label="Start" active={tool===Tools.START} onClick={()=>setTool(Tools.START)} icon={<Flag className="h-4 w-4"/>}/>
-              <ToolButton label="Goal" active={tool===Tools.GOAL} onClick={()=>setTool(Tools.GOAL)} icon={<MapPinned className="h-4 w-4"/>}/>
-              <ToolButton label="Wall" active={tool===Tools.WALL} onClick={()=>setTool(Tools.WALL)} icon={<Square className="h-4 w-4"/>}/>
-              <ToolButton label="Erase" active={tool===Tools.ERASE} onClick={()=>setTool(Tools.ERASE)} icon={<Eraser className="h-4 w-4"/>}/>
-              <ToolButton label="Weight" active={tool===Tools.WEIGHT} onClick={()=>setTool(Tools.WEIGHT)} icon={<Zap className="h-4 w-4"/>}/>
-            </div>
-            {tool===Tools.WEIGHT && (
-              <div className="mt-3 text-sm flex items-center justify-between gap-2">
-                <span>Weight brush</span>
-                <input type="range" min={2} max={20} value={weightBrush} onChange={(e)=>setWeightBrush(Number(e.target.value))}/>
-                <span className="tabular-nums bg-slate-800 rounded px-2 py-1">{weightBrush}</span>
-              </div>
-            )}
-            <div className="mt-3 text-xs text-slate-400">
-              Tip: Click to paint. Hold & drag to draw. Use Start/Goal tools to place endpoints.
-            </div>
-          </div>
-        </section>
-
-        {/* Grid */}
-        <section className="rounded-2xl bg-slate-900/60 border border-slate-800 p-3">
-          <div
-            className="select-none"
-            onMouseLeave={() => setMouseDown(false)}
-          >
-            <div className="grid" style={{ gridTemplateColumns: `repeat(${cols}, minmax(0, 1fr))` }}>
-              {grid.map((row, r) =>
-                row.map((cell, c) => {
-                  const k = key(r, c);
-                  const isStart = r === start.r && c === start.c;
-                  const isGoal = r === goal.r && c === goal.c;
-                  const v = visitedSet.has(k);
-                  const p = pathSet.has(k);
-                  const base = cell.wall
-                    ? "bg-slate-500"
-                    : cell.weight > 1
-                    ? "bg-amber-900/30"
-                    : "bg-slate-900";
-                  const overlay = p
-                    ? "!bg-emerald-400"
-                    : v
-                    ? "bg-sky-700/30"
-                    : "";
-                  return (
-                    <div
-                      key={k}
-                      className={`aspect-square border border-slate-800 ${base} ${overlay} relative cursor-crosshair`}
-                      onMouseDown={() => {
-                        setMouseDown(true);
-                        handleCell(r, c);
+              <div className="rounded-2xl bg-slate-900/70 border border-slate-800 p-4">
+                <h2 className="font-semibold mb-3 flex items-center gap-2"><GridIcon className="h-4 w-4"/> Grid</h2>
+                <div className="grid grid-cols-2 gap-2 text-sm">
+                  <SizeInput label="Rows" value={rows} onCommit={setRows}/>
+                  <SizeInput label="Cols" value={cols} onCommit={setCols}/>
+                </div>
+                {scenarios && (
+                  <label className="mt-3 flex items-center gap-2 text-xs">
+                    <span className="shrink-0" title={scenarios.name}>Scenario</span>
+                    <select
+                      value={scenarios.index}
+                      onChange={(e) => {
+                        const index = Number(e.target.value);
+                        setScenarios((s) => ({ ...s, index }));
+                        applyScenario(scenarios.list[index]);
                       }}
-                      onMouseUp={() => setMouseDown(false)}
-                      onMouseEnter={() => handleDrag(r, c)}
-                      onClick={() => handleCell(r, c)}
-                      title={`r${r} c${c}${cell.wall?" wall":""}${cell.weight>1?` w=${cell.weight}`:""}`}
+                      className="flex-1 min-w-0 rounded-lg bg-slate-800 border border-slate-700 px-2 py-1"
                     >
-                      {p && <div className="absolute inset-0 bg-emerald-400 z-10"></div>}
-                      {v && !p && <div className="absolute inset-0 bg-sky-700/30 z-10"></div>}
+                      {scenarios.list.map((s, i) => (
+                        <option key={i} value={i}>
+                          #{i + 1} · bucket {s.bucket} · optimal {s.optimal.toFixed(2)}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                )}
+                <GeneratorPanel disabled={planning !== null || generation !== null} onGenerate={generate}/>
+              </div>
 
-                      {isStart && (
-                        <div className="absolute inset-0 flex items-center justify-center text-sky-500 text-[10px] z-10">
-                          <Flag className="h-4 w-4"/>
-                        </div>
-                      )}
-                      {isGoal && (
-                        <div className="absolute inset-0 flex items-center justify-center text-pink-400 text-[10px] z-10">
-                          <MapPinned className="h-4 w-4"/>
-                        </div>
-                      )}
-                      {!cell.wall && cell.weight>1 && (
-                        <span className="absolute bottom-0 right-0 text-[10px] text-amber-400/90 p-0.5">{cell.weight}</span>
-                      )}
+              <div className="rounded-2xl bg-slate-900/70 border border-slate-800 p-4">
+                <h2 className="font-semibold mb-3 flex items-center gap-2"><MousePointer2 className="h-4 w-4"/> Tools</h2>
+                <div className="grid grid-cols-4 gap-2 text-xs">
+                  <ToolButton label="Start" active={tool===Tools.START} onClick={()=>setTool(Tools.START)} icon={<Flag className="h-4 w-4"/>}/>
+                  <ToolButton label="Goal" active={tool===Tools.GOAL} onClick={()=>setTool(Tools.GOAL)} icon={<MapPinned className="h-4 w-4"/>}/>
+                  <ToolButton label="Wall" active={tool===Tools.WALL} onClick={()=>setTool(Tools.WALL)} icon={<Square className="h-4 w-4"/>}/>
+                  <ToolButton label="Erase" active={tool===Tools.ERASE} onClick={()=>setTool(Tools.ERASE)} icon={<Eraser className="h-4 w-4"/>}/>
+                  <ToolButton label="Weight" active={tool===Tools.WEIGHT} onClick={()=>setTool(Tools.WEIGHT)} icon={<Zap className="h-4 w-4"/>}/>
+                  <ToolButton label="Select" active={tool===Tools.SELECT} onClick={()=>{ setTool(Tools.SELECT); setPasting(false); }} icon={<BoxSelect className="h-4 w-4"/>}/>
+                  <ToolButton label="Waypoint" active={tool===Tools.WAYPOINT} onClick={()=>setTool(Tools.WAYPOINT)} icon={<MapPin className="h-4 w-4"/>}/>
+                  <ToolButton label="Obstacle" active={tool===Tools.OBSTACLE} onClick={()=>setTool(Tools.OBSTACLE)} icon={<Forklift className="h-4 w-4"/>}/>
+                  <ToolButton label="Terrain" active={tool===Tools.TERRAIN} onClick={()=>setTool(Tools.TERRAIN)} icon={<Trees className="h-4 w-4"/>}/>
+                  <ToolButton label="One-way" active={tool===Tools.ONEWAY} onClick={()=>setTool(Tools.ONEWAY)} icon={<MoveRight className="h-4 w-4"/>}/>
+                  <ToolButton label="Elevation" active={tool===Tools.ELEVATION} onClick={()=>setTool(Tools.ELEVATION)} icon={<Mountain className="h-4 w-4"/>}/>
+                </div>
+                {PAINT_TOOLS.includes(tool) && (
+                  <div className="mt-3 space-y-2 text-sm">
+                    <div className="grid grid-cols-4 gap-1 rounded-xl bg-slate-800 p-1 text-xs">
+                      {Object.values(Shapes).map((s) => (
+                        <button key={s} onClick={()=>setShape(s)} className={`rounded-lg py-1 ${shape===s?"bg-slate-950 text-emerald-300":"hover:bg-slate-700"}`}>{s}</button>
+                      ))}
+                    </div>
+                    {shape !== Shapes.FILL && shape !== Shapes.RECT && (
+                      <div className="flex items-center justify-between gap-2">
+                        <span>Brush radius</span>
+                        <input type="range" min={0} max={8} value={brushRadius} onChange={(e)=>setBrushRadius(Number(e.target.value))}/>
+                        <span className="tabular-nums bg-slate-800 rounded px-2 py-1">{brushRadius}</span>
+                      </div>
+                    )}
+                    {shape === Shapes.RECT && (
+                      <label className="flex items-center gap-2 text-xs">
+                        <input type="checkbox" className="accent-emerald-500" checked={rectOutline} onChange={(e)=>setRectOutline(e.target.checked)}/>
+                        Outline only
+                      </label>
+                    )}
+                  </div>
+                )}
+                {tool===Tools.WEIGHT && (
+                  <div className="mt-3 text-sm flex items-center justify-between gap-2">
+                    <span>Weight brush</span>
+                    <input type="range" min={2} max={MAX_WEIGHT} value={weightBrush} onChange={(e)=>setWeightBrush(Number(e.target.value))}/>
+                    <span className="tabular-nums bg-slate-800 rounded px-2 py-1">{weightBrush}</span>
+                  </div>
+                )}
+                {tool===Tools.TERRAIN && (
+                  <div className="mt-3 grid grid-cols-3 gap-1 rounded-xl bg-slate-800 p-1 text-xs">
+                    {["", ...Object.values(Terrains)].map((t) => (
+                      <button key={t} onClick={()=>setTerrainBrush(t)} className={`flex items-center justify-center gap-1.5 rounded-lg py-1 ${terrainBrush===t?"bg-slate-950 text-emerald-300":"hover:bg-slate-700"}`}>
+                        <span className={`inline-block h-2.5 w-2.5 rounded-sm ${t ? TERRAIN_SWATCHES[t] : "bg-slate-900 border border-slate-600"}`}/>
+                        {t ? TerrainLabels[t] : "Plain"}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                {tool===Tools.ONEWAY && (
+                  <div className="mt-3 grid grid-cols-5 gap-1 rounded-xl bg-slate-800 p-1 text-xs" title="Moves may not go against the arrow, into or out of the cell">
+                    {[...Object.values(Directions), ""].map((d) => (
+                      <button key={d} onClick={()=>setArrowBrush(d)} className={`rounded-lg py-1 ${arrowBrush===d?"bg-slate-950 text-emerald-300":"hover:bg-slate-700"}`}>{d ? ARROW_LABELS[d] : "None"}</button>
+                    ))}
+                  </div>
+                )}
+                {tool===Tools.ELEVATION && (
+                  <div className="mt-3 text-sm flex items-center justify-between gap-2" title="Ground level; climbing and descending cost what the agent profile says">
+                    <span>Elevation</span>
+                    <input type="range" min={0} max={MAX_ELEVATION} value={elevationBrush} onChange={(e)=>setElevationBrush(Number(e.target.value))}/>
+                    <span className="tabular-nums bg-slate-800 rounded px-2 py-1">{elevationBrush}</span>
+                  </div>
+                )}
+                {tool===Tools.SELECT && (
+                  <div className="mt-3 grid grid-cols-4 gap-2 text-xs">
+                    <ToolButton label="Copy" active={false} onClick={()=>copySelection(false)} icon={<Copy className="h-4 w-4"/>}/>
+                    <ToolButton label="Cut" active={false} onClick={()=>copySelection(true)} icon={<Scissors className="h-4 w-4"/>}/>
+                    <ToolButton label="Paste" active={pasting} onClick={startPaste} icon={<ClipboardPaste className="h-4 w-4"/>}/>
+                    <ToolButton label="Delete" active={false} onClick={deleteSelection} icon={<Trash2 className="h-4 w-4"/>}/>
+                  </div>
+                )}
+                {(tool===Tools.WAYPOINT || waypoints.length > 0) && (
+                  <div className="mt-3 space-y-2 text-sm">
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="flex items-center gap-1.5"><Route className="h-4 w-4"/> {waypoints.length} waypoint{waypoints.length === 1 ? "" : "s"}</span>
+                      <button onClick={() => { checkpoint(); setWaypoints([]); }} disabled={!waypoints.length || animating} className="rounded-lg px-2 py-1 text-xs bg-slate-800 hover:bg-slate-700 disabled:opacity-50">Clear</button>
+                    </div>
+                    <div className="grid grid-cols-2 gap-1 rounded-xl bg-slate-800 p-1 text-xs">
+                      {[[false, "Given order"], [true, "Cheapest order"]].map(([v, label]) => (
+                        <button key={label} onClick={()=>setParam("optimalOrder", v)} className={`rounded-lg py-1 ${params.optimalOrder===v?"bg-slate-950 text-emerald-300":"hover:bg-slate-700"}`}>{label}</button>
+                      ))}
+                    </div>
+                    {params.optimalOrder && (
+                      <p className="text-xs text-slate-400">
+                        Plans every pair of stops with the selected planner, then picks the order exactly for up to {EXACT_LIMIT} waypoints, or by nearest neighbour + 2-opt above that.
+                      </p>
+                    )}
+                  </div>
+                )}
+                {(tool===Tools.OBSTACLE || obstacles.length > 0) && (
+                  <div className="mt-3 space-y-2 text-sm">
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="flex items-center gap-1.5"><Forklift className="h-4 w-4"/> {obstacles.length} moving obstacle{obstacles.length === 1 ? "" : "s"}</span>
+                      <button onClick={() => updateObstacles(() => [])} disabled={!obstacles.length || animating} className="rounded-lg px-2 py-1 text-xs bg-slate-800 hover:bg-slate-700 disabled:opacity-50">Clear</button>
+                    </div>
+                    <div className="grid grid-cols-3 gap-1 rounded-xl bg-slate-800 p-1 text-xs" title="How the next obstacle follows its route">
+                      {Object.values(ObstacleModes).map((m) => (
+                        <button key={m} onClick={()=>setObstacleMode(m)} className={`rounded-lg py-1 capitalize ${obstacleMode===m?"bg-slate-950 text-emerald-300":"hover:bg-slate-700"}`}>{m}</button>
+                      ))}
                     </div>
-                  );
-                })
+                    {obstacleDraft && (
+                      <div className="flex items-center justify-between gap-2 text-xs">
+                        <span className="tabular-nums">Route: {obstacleDraft.length} point{obstacleDraft.length === 1 ? "" : "s"}</span>
+                        <span className="flex gap-1">
+                          <button onClick={finishObstacle} disabled={obstacles.length >= MAX_OBSTACLES} className="rounded-lg px-2 py-1 bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50">Finish</button>
+                          <button onClick={()=>setObstacleDraft(null)} className="rounded-lg px-2 py-1 bg-slate-800 hover:bg-slate-700">Cancel</button>
+                        </span>
+                      </div>
+                    )}
+                    {obstacles.map((o, i) => (
+                      <div key={i} className="flex items-center justify-between gap-2 text-xs tabular-nums">
+                        <span>#{i + 1} · {o.points.length} point{o.points.length === 1 ? "" : "s"}</span>
+                        <span className="flex items-center gap-1">
+                          <select
+                            value={o.mode}
+                            disabled={animating}
+                            onChange={(e) => updateObstacles((os) => os.map((x, j) => (j === i ? { ...x, mode: e.target.value } : x)))}
+                            className="rounded-lg bg-slate-800 border border-slate-700 px-1.5 py-0.5"
+                          >
+                            {Object.values(ObstacleModes).map((m) => <option key={m} value={m}>{m}</option>)}
+                          </select>
+                          <button onClick={() => updateObstacles((os) => os.filter((_, j) => j !== i))} disabled={animating} className="rounded-lg p-1 hover:bg-slate-800 disabled:opacity-40" title="Remove obstacle">
+                            <Trash2 className="h-3.5 w-3.5"/>
+                          </button>
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                <div className="mt-3 grid grid-cols-2 gap-2 text-sm">
+                  <button onClick={undo} disabled={animating || !undoStack.length} title="Undo (Ctrl+Z)" className="rounded-xl px-3 py-2 bg-slate-800 hover:bg-slate-700 disabled:opacity-50 flex items-center justify-center gap-2"><Undo2 className="h-4 w-4"/> Undo</button>
+                  <button onClick={redo} disabled={animating || !redoStack.length} title="Redo (Ctrl+Shift+Z)" className="rounded-xl px-3 py-2 bg-slate-800 hover:bg-slate-700 disabled:opacity-50 flex items-center justify-center gap-2"><Redo2 className="h-4 w-4"/> Redo</button>
+                </div>
+                <div className="mt-3 text-xs text-slate-400">
+                  {tool===Tools.OBSTACLE
+                    ? "Click free cells to draw an obstacle's route; Enter (or Finish) adds it. Obstacles move one cell per tick along straight lines between the points. Only Space-Time A* plans around them."
+                    : tool===Tools.WAYPOINT
+                    ? `Click free cells to add numbered stops between start and goal (up to ${MAX_WAYPOINTS}); click a waypoint to remove it.`
+                    : tool===Tools.SELECT
+                    ? pasting
+                      ? "Click to stamp the clipboard; Esc to stop pasting."
+                      : "Drag to select. Ctrl+C / Ctrl+X / Ctrl+V to copy, cut and paste; Delete clears the selection."
+                    : "Tip: Click to paint. Hold & drag to draw; each drag is one undo step. Use Start/Goal tools to place endpoints. Scroll to zoom; right-drag or Space+drag to pan."}
+                </div>
+              </div>
+            </section>
+
+            {/* Grid */}
+            <section className="rounded-2xl bg-slate-900/60 border border-slate-800 p-3">
+              <PlaybackBar
+                cursor={cursor}
+                length={timelineEnd}
+                expansions={stepCount}
+                playing={playing}
+                planning={planning}
+                hasTrace={trace !== null && planning === null}
+                openCount={frame?.openCount ?? 0}
+                closedCount={frame?.closedCount ?? 0}
+                result={planning === null && trace?.found !== undefined ? trace : null}
+                onToggle={togglePlay}
+                onStep={stepBy}
+                onSeek={seek}
+              />
+              {generation && (
+                <div className="mb-3 flex items-center justify-between gap-2 rounded-xl bg-slate-800/70 px-3 py-2 text-xs text-slate-300 tabular-nums">
+                  <span>Generating map… {generation.pos} / {generation.ops.length} cell changes</span>
+                  <button onClick={finishGeneration} className="inline-flex items-center gap-1 rounded-lg px-2 py-1 bg-slate-700 hover:bg-slate-600">
+                    <SkipForward className="h-3.5 w-3.5"/> Skip
+                  </button>
+                </div>
               )}
-            </div>
-          </div>
+              {trace?.legs && planning === null && (
+                <div className="mb-3 flex flex-wrap items-center gap-x-3 gap-y-1 rounded-xl bg-slate-800/70 px-3 py-2 text-xs text-slate-300 tabular-nums">
+                  <span>
+                    Route ({trace.ordering === "given" ? "given order" : trace.ordering === "exact" ? "cheapest order, exact" : "cheapest order, heuristic"}):
+                    {" "}S → {trace.order.map((w) => w + 1).join(" → ")} → G
+                  </span>
+                  {trace.legs.map((l, k) => (
+                    <span key={k} className="inline-flex items-center gap-1">
+                      <span className={`h-2.5 w-2.5 rounded-sm ${LEG_SWATCHES[k % LEG_SWATCHES.length]}`}/>
+                      {l.found ? l.cost.toFixed(1) : <span className="text-rose-300">no path</span>}
+                    </span>
+                  ))}
+                  {trace.ordering !== "given" && <span className="text-slate-400">{trace.plannedLegs} legs planned · {trace.routeExpansions} expansions</span>}
+                </div>
+              )}
+              {blockedEnds.length > 0 && (
+                <div className="mb-3 rounded-xl bg-rose-950/60 border border-rose-800 px-3 py-2 text-xs text-rose-200">
+                  {blockedEnds.length === 2 ? "Start and goal lie" : blockedEnds[0] === start ? "The start lies" : "The goal lies"} inside the inflated zone: a robot of
+                  radius {robotRadius} does not fit there, so no planner can reach it. Move the marker or shrink the radius.
+                </div>
+              )}
+              {trace?.roadmap && planning === null && (
+                <div className="mb-3 rounded-xl bg-slate-800/70 px-3 py-2 text-xs text-slate-300 tabular-nums">
+                  Roadmap: {trace.roadmap.nodes.length} nodes, {trace.roadmap.edges.length} edges ·{" "}
+                  {trace.roadmapReused ? <b className="text-emerald-300">reused</b> : <>built in {trace.buildMs.toFixed(1)} ms</>} · query
+                  expanded {trace.steps.length} nodes
+                </div>
+              )}
+              {trace?.trapped && planning === null && cursor >= stepCount && (
+                <div className="mb-3 rounded-xl bg-rose-950/60 border border-rose-800 px-3 py-2 text-xs text-rose-200 tabular-nums">
+                  Trapped in a local minimum at ({trace.trapped.r}, {trace.trapped.c}) after {trace.trajectory.length - 1} moves: no neighbouring cell
+                  has a lower potential. Try a larger attractive gain, a smaller repulsive gain or influence distance, or a planner with global search.
+                </div>
+              )}
+              {trace?.found && trace.poses && planning === null && cursor >= stepCount && (
+                <div className="mb-3 rounded-xl bg-slate-800/70 px-3 py-2 text-xs text-slate-300 tabular-nums">
+                  Drives {trace.length.toFixed(1)} cells
+                  {trace.reversals ? ` with ${trace.reversals} change${trace.reversals === 1 ? "" : "s"} of direction` : " forward only"}
+                  {trace.analytic && `, closing on the goal with a ${trace.analytic} curve`} · turning radius {params.turningRadius}
+                </div>
+              )}
+              {repair && (
+                <div className="mb-3 rounded-xl bg-slate-800/70 px-3 py-2 text-xs text-slate-300 tabular-nums">
+                  D* Lite repair{repair.changed ? ` after ${repair.changed} changed cell${repair.changed === 1 ? "" : "s"}` : " after moving the start"}:
+                  re-expanded <b className="text-sky-300">{repair.expansions}</b> nodes (touched {repair.touched}) ·
+                  full A* replan: <b className="text-amber-300">{repair.full}</b> expansions
+                  {repair.full > 0 && ` (${Math.round((100 * repair.expansions) / repair.full)}%)`}
+                </div>
+              )}
+              {trace?.found && obstacles.length > 0 && planning === null && cursor >= stepCount && (
+                AlgorithmInfo[trace.algorithm].dynamic ? (
+                  <div className="mb-3 rounded-xl bg-slate-800/70 px-3 py-2 text-xs text-slate-300 tabular-nums">
+                    Reaches the goal at tick {trace.arrival} after {trace.waits} wait{trace.waits === 1 ? "" : "s"}, clear of {obstacles.length} moving obstacle{obstacles.length === 1 ? "" : "s"}.
+                  </div>
+                ) : (
+                  <div className={`mb-3 rounded-xl px-3 py-2 text-xs tabular-nums ${hits.length ? "bg-rose-950/60 border border-rose-800 text-rose-200" : "bg-slate-800/70 text-slate-300"}`}>
+                    {trace.algorithm} ignores moving obstacles
+                    {trace.polyline || trace.poses
+                      ? "."
+                      : hits.length
+                      ? `: the path runs into one on ${hits.length} tick${hits.length === 1 ? "" : "s"}, first at tick ${hits[0].t} in (${hits[0].cell.r}, ${hits[0].cell.c}).`
+                      : ", but this path happens to stay clear of them."}
+                    {" "}Use {Algorithms.SPACETIME} to plan around them.
+                  </div>
+                )
+              )}
+              <GridCanvas
+                grid={grid}
+                start={start}
+                goal={goal}
+                waypoints={waypoints}
+                frame={frame}
+                cursor={cursor}
+                overlay={overlay}
+                movers={movers}
+                costmap={costmapView}
+                onPaintStart={paintStart}
+                onPaint={paintMove}
+                onPaintEnd={paintEnd}
+                onHover={pasting ? setHoverCell : undefined}
+              />
+              <CostConvergence improvements={planning === null ? trace?.improvements : null} total={stepCount} cursor={cursor} onSeek={seek}/>
 
-          {/* Legend + Export */}
-          <div className="flex flex-wrap items-center justify-between gap-3 mt-3 text-xs text-slate-400">
-            <div className="flex items-center gap-3">
-              <Legend swatch="bg-slate-700" label="Wall"/>
-              <Legend swatch="bg-amber-900/50" label="Weighted"/>
-              <Legend swatch="bg-sky-700/60" label="Visited"/>
-              <Legend ring label="Path"/>
-            </div>
-            <div className="flex items-center gap-2">
-              <button onClick={exportJSON} className="inline-flex items-center gap-1 rounded-xl px-3 py-1.5 bg-slate-800 hover:bg-slate-700"><Download className="h-3.5 w-3.5"/> Export</button>
-              <label className="inline-flex items-center gap-1 rounded-xl px-3 py-1.5 bg-slate-800 hover:bg-slate-700 cursor-pointer">
-                <Upload className="h-3.5 w-3.5"/> Import
-                <input type="file" accept="application/json" onChange={importJSON} className="hidden"/>
-              </label>
-            </div>
-          </div>
-        </section>
+              {/* Legend + Export */}
+              <div className="flex flex-wrap items-center justify-between gap-3 mt-3 text-xs text-slate-400">
+                <div className="flex flex-wrap items-center gap-3">
+                  <Legend swatch="bg-slate-700" label="Wall"/>
+                  <Legend swatch="bg-amber-900/50" label="Weighted"/>
+                  {Object.values(Terrains).map((t) => (
+                    <Legend key={t} swatch={TERRAIN_SWATCHES[t]} label={TerrainLabels[t]}/>
+                  ))}
+                  <Legend swatch="bg-gradient-to-r from-slate-900 to-slate-500" label="Elevation (low → high)"/>
+                  <span className="flex items-center gap-1.5"><MoveRight className="h-3.5 w-3.5 text-slate-200"/> One-way</span>
+                  <Legend swatch="bg-sky-700/60" label="Closed"/>
+                  <Legend swatch="bg-violet-500/60" label="Frontier"/>
+                  {AlgorithmInfo[algo].bidirectional && (
+                    <>
+                      <Legend swatch="bg-rose-700/60" label="Closed (goal side)"/>
+                      <Legend swatch="bg-orange-400/60" label="Frontier (goal side)"/>
+                    </>
+                  )}
+                  {AlgorithmInfo[algo].sampling && (
+                    <>
+                      <Legend swatch="bg-sky-400/60" label="Tree"/>
+                      <Legend swatch="bg-yellow-300" label="Rewired"/>
+                      <Legend swatch="bg-emerald-400/40" label="Best so far"/>
+                    </>
+                  )}
+                  {AlgorithmInfo[algo].kinematic && (
+                    <>
+                      <Legend swatch="bg-sky-400/60" label="Search tree"/>
+                      <Legend swatch="bg-emerald-300" label="Vehicle outline"/>
+                    </>
+                  )}
+                  {AlgorithmInfo[algo].roadmap && <Legend swatch="bg-slate-400/40" label="Roadmap"/>}
+                  {AlgorithmInfo[algo].potential && (
+                    <>
+                      <Legend swatch="bg-gradient-to-r from-blue-800 via-yellow-400 to-red-600" label="Potential (low → high)"/>
+                      <Legend swatch="bg-slate-50" label="Trajectory"/>
+                      <Legend swatch="bg-red-500" label="Local minimum"/>
+                    </>
+                  )}
+                  {obstacles.length > 0 && <Legend swatch="bg-orange-500" label="Moving obstacle"/>}
+                  {showInflated && robotRadius > 0.5 && <Legend swatch="bg-red-500/45" label="Inflated (robot radius)"/>}
+                  {showClearance && clearanceWeight > 0 && <Legend swatch="bg-gradient-to-r from-blue-800/40 via-yellow-400/50 to-red-600/60" label="Clearance cost (low → high)"/>}
+                  <Legend ring label="Path"/>
+                </div>
+                <div className="flex items-center gap-2">
+                  <select
+                    value={exportFormat}
+                    onChange={(e) => setExportFormat(e.target.value)}
+                    className="rounded-xl bg-slate-800 border border-slate-700 px-2 py-1.5"
+                    title="Export format"
+                  >
+                    {Object.values(ExportFormats).map((f) => (
+                      <option key={f} value={f}>{f}</option>
+                    ))}
+                  </select>
+                  <button onClick={exportScene} className="inline-flex items-center gap-1 rounded-xl px-3 py-1.5 bg-slate-800 hover:bg-slate-700"><Download className="h-3.5 w-3.5"/> Export</button>
+                  <label
+                    className="inline-flex items-center gap-1 rounded-xl px-3 py-1.5 bg-slate-800 hover:bg-slate-700 cursor-pointer"
+                    title="Scene JSON, MovingAI .map/.scen, ROS .pgm + .yaml, PNG/JPG"
+                  >
+                    <Upload className="h-3.5 w-3.5"/> Import
+                    <input type="file" accept={IMPORT_ACCEPT} multiple onChange={importFiles} className="hidden"/>
+                  </label>
+                  <button
+                    onClick={shareScene}
+                    className="inline-flex items-center gap-1 rounded-xl px-3 py-1.5 bg-slate-800 hover:bg-slate-700"
+                    title="Copy a link that opens this map with its endpoints, algorithm and options"
+                  >
+                    {shared ? <Check className="h-3.5 w-3.5"/> : <Share2 className="h-3.5 w-3.5"/>} {shared ? "Link copied" : "Share"}
+                  </button>
+                </div>
+              </div>
+            </section>
+
+            <RunStats history={history} onClear={() => setHistory([])} />
+          </>
+        )}
 
         {/* Footer */}
+        {rasterSource && (
+          <RasterImportDialog
+            source={rasterSource}
+            onClose={() => setRasterSource(null)}
+            onApply={(map) => {
+              setRasterSource(null);
+              try {
+                loadMap(map);
+              } catch (err) {
+                setError({ title: "Could not import", message: `${rasterSource.name} was not loaded:`, errors: err.errors ?? [err.message] });
+              }
+            }}
+          />
+        )}
+        {error && <ErrorDialog {...error} onClose={() => setError(null)} />}
+        <Outlet context={{ scene: sceneParts, onLoad: loadScene, onError: setError }} />
+
         <footer className="mt-6 text-xs text-slate-500 flex items-center justify-between">
           <div className="flex items-center gap-2">
             <Info className="h-3.5 w-3.5"/>
             <p>
-              A* uses {diag?"Euclidean":"Manhattan"} heuristic. Dijkstra ignores the heuristic. RRT* is an approximate, discrete demo.
+              {admissibleWarning && (
+                <span className="block mb-1 text-amber-300">
+                  Inadmissible for {algo}: {admissibleWarning}, so the path may cost more than the optimum.
+                </span>
+              )}
+              A*, Bidirectional A* and Greedy use the {HeuristicLabels[heuristicName(options)]} heuristic{diag && ` with diagonal steps costing ${costModel === CostModels.UNIFORM ? "the same as straight ones" : "√2 × weight"}`}. Dijkstra ignores the heuristic. BFS, DFS, Greedy and JPS ignore weights. Theta* variants plan any-angle paths by line of sight. The RRT family samples continuous space and keeps improving until its iteration budget runs out. PRM reuses its roadmap across queries; potential fields can stall in local minima.
             </p>
           </div>
           <a href="https://github.com/akhilraj96/Autonomous-Path-Planning" className="hover:text-slate-300 inline-flex items-center gap-1">
@@ -741,6 +1673,67 @@ function ToolButton({ label, icon, active, onClick }) {
   );
 }
 
+function ParamSlider({ label, value, min, max, step, onChange, title }) {
+  return (
+    <label className="flex items-center justify-between gap-2 text-xs" title={title}>
+      <span className="w-24 shrink-0">{label}</span>
+      <input type="range" className="flex-1" min={min} max={max} step={step} value={value} onChange={(e) => onChange(Number(e.target.value))}/>
+      <span className="w-12 text-right tabular-nums">{value}</span>
+    </label>
+  );
+}
+
+// Number field that applies on Enter/blur, so typing "500" does not rebuild
+// the grid at 5, 50 and 500 along the way.
+function SizeInput({ label, value, onCommit }) {
+  const [draft, setDraft] = useState(String(value));
+  useEffect(() => setDraft(String(value)), [value]);
+  const commit = () => {
+    const n = clamp(parseInt(draft || "0"), MIN_SIZE, MAX_SIZE);
+    setDraft(String(n));
+    if (n !== value) onCommit(n);
+  };
+  return (
+    <label className="flex items-center justify-between gap-2 bg-slate-800 rounded-xl px-3 py-2">
+      <span>{label}</span>
+      <input
+        type="number"
+        min={MIN_SIZE}
+        max={MAX_SIZE}
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => e.key === "Enter" && commit()}
+        className="w-20 bg-transparent outline-none text-right"
+      />
+    </label>
+  );
+}
+
+// Seed field; invalid input snaps back to the current seed on commit.
+function SeedInput({ value, onCommit }) {
+  const [draft, setDraft] = useState(String(value));
+  useEffect(() => setDraft(String(value)), [value]);
+  const commit = () => {
+    const n = normalizeSeed(draft);
+    if (n === null) setDraft(String(value));
+    else if (n !== value) onCommit(n);
+  };
+  return (
+    <label className="flex flex-1 items-center justify-between gap-2 bg-slate-800 rounded-xl px-3 py-2" title="Seeds RRT* and the map generators">
+      <span>Seed</span>
+      <input
+        inputMode="numeric"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => e.key === "Enter" && commit()}
+        className="w-28 bg-transparent outline-none text-right tabular-nums"
+      />
+    </label>
+  );
+}
+
 function Legend({ swatch, label, ring }) {
   return (
     <div className="flex items-center gap-1.5">
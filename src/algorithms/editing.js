@@ -0,0 +1,138 @@
+/********************
+ * Grid editing helpers
+ * Pure functions behind the drawing tools. Shapes return lists of { r, c }
+ * clipped to the grid; paintCells()/pasteRegion() return a new grid that
+ * shares every untouched row with the old one, so undo snapshots are cheap
+ * and the canvas can diff rows by reference.
+ ********************/
+import { DIRS4, inBounds, lineCells } from "./planners/grid.js";
+
+// Same wall, weight and terrain layers (see planners/terrain.js).
+export const sameCell = (a, b) =>
+  a.wall === b.wall && (a.weight ?? 1) === (b.weight ?? 1) && a.terrain === b.terrain && a.oneWay === b.oneWay && (a.elevation ?? 0) === (b.elevation ?? 0);
+
+// Paint that sets one terrain layer and keeps the rest of the cell; a falsy
+// value clears the layer. Terrain turns walls into ground, arrows skip them.
+export function layerPaint(layer, value) {
+  return (cell) => {
+    if (layer === "oneWay" && cell.wall) return cell;
+    const { [layer]: _OLD, ...rest } = cell;
+    const next = value ? { ...rest, [layer]: value } : rest;
+    return layer === "terrain" ? { ...next, wall: false } : next;
+  };
+}
+
+export const normRect = (a, b) => ({
+  r0: Math.min(a.r, b.r),
+  c0: Math.min(a.c, b.c),
+  r1: Math.max(a.r, b.r),
+  c1: Math.max(a.c, b.c),
+});
+
+// Disc of `radius` cells around `center` (radius 0 is the cell itself).
+export function brushCells(center, radius, rows, cols) {
+  const out = [];
+  for (let dr = -radius; dr <= radius; dr++) {
+    for (let dc = -radius; dc <= radius; dc++) {
+      if (dr * dr + dc * dc > radius * radius + radius) continue; // rounder than the strict disc
+      const r = center.r + dr,
+        c = center.c + dc;
+      if (inBounds(r, c, rows, cols)) out.push({ r, c });
+    }
+  }
+  return out;
+}
+
+// Straight line from a to b, `radius` cells thick.
+export function strokeCells(a, b, radius, rows, cols) {
+  const line = lineCells(a, b);
+  if (!radius) return line.filter((p) => inBounds(p.r, p.c, rows, cols));
+  const seen = new Set();
+  const out = [];
+  for (const p of line) {
+    for (const q of brushCells(p, radius, rows, cols)) {
+      const k = q.r * cols + q.c;
+      if (!seen.has(k)) {
+        seen.add(k);
+        out.push(q);
+      }
+    }
+  }
+  return out;
+}
+
+export function rectCells(a, b, outline = false) {
+  const { r0, c0, r1, c1 } = normRect(a, b);
+  const out = [];
+  for (let r = r0; r <= r1; r++) {
+    for (let c = c0; c <= c1; c++) {
+      if (!outline || r === r0 || r === r1 || c === c0 || c === c1) out.push({ r, c });
+    }
+  }
+  return out;
+}
+
+// 4-connected region of cells identical (wall, weight and terrain layers) to
+// the seed cell.
+export function floodCells(grid, seed) {
+  const rows = grid.length,
+    cols = grid[0].length;
+  const ref = grid[seed.r][seed.c];
+  const same = (cell) => sameCell(cell, ref);
+  const seen = new Uint8Array(rows * cols);
+  const out = [];
+  const stack = [seed];
+  seen[seed.r * cols + seed.c] = 1;
+  while (stack.length) {
+    const p = stack.pop();
+    out.push(p);
+    for (const [dr, dc] of DIRS4) {
+      const r = p.r + dr,
+        c = p.c + dc;
+      if (!inBounds(r, c, rows, cols) || seen[r * cols + c] || !same(grid[r][c])) continue;
+      seen[r * cols + c] = 1;
+      stack.push({ r, c });
+    }
+  }
+  return out;
+}
+
+// Sets every listed cell to `paint`, or to paint(cell) when it is a
+// function; returns `grid` itself if nothing changed.
+export function paintCells(grid, cells, paint) {
+  let next = null;
+  const copied = new Set();
+  for (const { r, c } of cells) {
+    const cur = grid[r][c];
+    const cell = typeof paint === "function" ? paint(cur) : paint;
+    if (sameCell(cur, cell)) continue;
+    next ??= grid.slice();
+    if (!copied.has(r)) {
+      next[r] = next[r].slice();
+      copied.add(r);
+    }
+    next[r][c] = cell;
+  }
+  return next ?? grid;
+}
+
+export function copyRegion(grid, rect) {
+  return grid.slice(rect.r0, rect.r1 + 1).map((row) => row.slice(rect.c0, rect.c1 + 1));
+}
+
+// Stamps a copied region with its top-left corner at `at`, clipped to the grid.
+export function pasteRegion(grid, clip, at) {
+  const rows = grid.length,
+    cols = grid[0].length;
+  const next = grid.slice();
+  clip.forEach((clipRow, i) => {
+    const r = at.r + i;
+    if (r < 0 || r >= rows) return;
+    const row = (next[r] = next[r].slice());
+    clipRow.forEach((cell, j) => {
+      const c = at.c + j;
+      if (c >= 0 && c < cols) row[c] = cell;
+    });
+  });
+  return next;
+}
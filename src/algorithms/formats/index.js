@@ -0,0 +1,60 @@
+/********************
+ * Map formats from other tools
+ * - MovingAI benchmark maps (.map) and scenarios (.scen)
+ * - ROS map_server occupancy grids (.pgm/.png + .yaml)
+ * - plain PNG/JPG occupancy images
+ * Parsers take text or bytes and return { rows, cols, grid } or rasters;
+ * only readImageFile() needs a browser.
+ ********************/
+export { parseMovingAIMap, serializeMovingAIMap, parseMovingAIScen, SWAMP_WEIGHT } from "./movingai.js";
+export { parseRosYaml, serializeRosYaml, rosOccupancy, parsePGM, serializePGM, ROS_DEFAULTS } from "./ros.js";
+export { imageToGrid, occupancyToGrid, gridToRaster, gridSize, weightToGray, grayToWeight } from "./raster.js";
+
+export const FileKinds = {
+  SCENE: "scene",
+  MOVINGAI_MAP: "movingai-map",
+  MOVINGAI_SCEN: "movingai-scen",
+  PGM: "pgm",
+  YAML: "yaml",
+  IMAGE: "image",
+};
+
+const EXTENSIONS = {
+  json: FileKinds.SCENE,
+  map: FileKinds.MOVINGAI_MAP,
+  scen: FileKinds.MOVINGAI_SCEN,
+  pgm: FileKinds.PGM,
+  yaml: FileKinds.YAML,
+  yml: FileKinds.YAML,
+  png: FileKinds.IMAGE,
+  jpg: FileKinds.IMAGE,
+  jpeg: FileKinds.IMAGE,
+};
+
+export const IMPORT_ACCEPT = Object.keys(EXTENSIONS).map((e) => `.${e}`).join(",");
+
+export function fileKind(name) {
+  const ext = name.toLowerCase().split(".").pop();
+  return EXTENSIONS[ext] ?? null;
+}
+
+// Decodes a PNG/JPG File into a luminance raster (browser only).
+export async function readImageFile(file) {
+  const bitmap = await createImageBitmap(file);
+  const { width, height } = bitmap;
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  const rgba = ctx.getImageData(0, 0, width, height).data;
+  const data = new Uint8ClampedArray(width * height);
+  for (let i = 0; i < data.length; i++) {
+    const a = rgba[4 * i + 3] / 255;
+    // transparent pixels count as white background
+    const lum = 0.299 * rgba[4 * i] + 0.587 * rgba[4 * i + 1] + 0.114 * rgba[4 * i + 2];
+    data[i] = lum * a + 255 * (1 - a);
+  }
+  return { width, height, data };
+}
@@ -0,0 +1,73 @@
+// MovingAI benchmark maps (https://movingai.com/benchmarks/formats.html).
+//
+//   type octile
+//   height H
+//   width W
+//   map
+//   <H lines of W terrain characters>
+//
+// `.` and `G` are passable ground, `S` (swamp) is passable but costly,
+// `@`, `O`, `T` (trees) and `W` (water, only reachable from water) are
+// treated as walls. The format has no cost levels, so on export every
+// weighted cell becomes swamp and re-imports with SWAMP_WEIGHT.
+import { FREE, WALL } from "../generators/builder.js";
+
+export const SWAMP_WEIGHT = 5;
+const SWAMP = Object.freeze({ wall: false, weight: SWAMP_WEIGHT });
+const TERRAIN = { ".": FREE, G: FREE, S: SWAMP, "@": WALL, O: WALL, T: WALL, W: WALL };
+
+export function parseMovingAIMap(text) {
+  const lines = text.split(/\r?\n/);
+  const header = {};
+  let i = 0;
+  for (; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (line === "map") break;
+    if (!line) continue;
+    const [k, v] = line.split(/\s+/);
+    header[k] = v;
+  }
+  if (i >= lines.length) throw new Error('missing "map" line after the header');
+  const rows = Number(header.height),
+    cols = Number(header.width);
+  if (!Number.isInteger(rows) || rows <= 0 || !Number.isInteger(cols) || cols <= 0) {
+    throw new Error(`header needs positive "height" and "width", got ${header.height} × ${header.width}`);
+  }
+  const body = lines.slice(i + 1, i + 1 + rows);
+  if (body.length < rows) throw new Error(`expected ${rows} map lines, found ${body.length}`);
+  const grid = body.map((line, r) => {
+    if (line.length < cols) throw new Error(`line ${r + 1} of the map has ${line.length} characters, expected ${cols}`);
+    return Array.from(line.slice(0, cols), (ch, c) => {
+      const cell = TERRAIN[ch];
+      if (!cell) throw new Error(`unknown terrain "${ch}" at row ${r}, column ${c}`);
+      return cell;
+    });
+  });
+  return { rows, cols, grid };
+}
+
+export function serializeMovingAIMap(grid) {
+  const rows = grid.length,
+    cols = grid[0].length;
+  const body = grid.map((row) => row.map((cell) => (cell.wall ? "@" : (cell.weight ?? 1) > 1 ? "S" : ".")).join(""));
+  return [`type octile`, `height ${rows}`, `width ${cols}`, "map", ...body, ""].join("\n");
+}
+
+// Scenario files: "version 1" followed by tab-separated
+//   bucket  map  width  height  startX  startY  goalX  goalY  optimalLength
+// with x = column and y = row.
+export function parseMovingAIScen(text) {
+  const lines = text.split(/\r?\n/).filter((l) => l.trim());
+  if (!lines.length) throw new Error("empty scenario file");
+  const first = /^version\s+/i.test(lines[0]) ? 1 : 0;
+  return lines.slice(first).map((line, n) => {
+    const f = line.trim().split(/\s+/);
+    if (f.length < 9) throw new Error(`scenario line ${n + 1 + first} has ${f.length} fields, expected 9`);
+    const [bucket, width, height, sx, sy, gx, gy] = [f[0], f[2], f[3], f[4], f[5], f[6], f[7]].map(Number);
+    const optimal = Number(f[8]);
+    if ([bucket, width, height, sx, sy, gx, gy].some((v) => !Number.isInteger(v)) || !Number.isFinite(optimal)) {
+      throw new Error(`scenario line ${n + 1 + first} is not numeric`);
+    }
+    return { bucket, map: f[1], width, height, start: { r: sy, c: sx }, goal: { r: gy, c: gx }, optimal };
+  });
+}
@@ -0,0 +1,82 @@
+// Raster images <-> grids. A raster is { width, height, data } with one
+// luminance value per pixel (0 = black .. 255 = white), row-major from the
+// top-left. Each grid cell covers a `factor` × `factor` block of pixels.
+import { FREE, WALL } from "../generators/builder.js";
+import { MAX_WEIGHT, MIN_WEIGHT } from "../scene.js";
+
+// Free cells export as light greys: weight 1 is white, weight 20 is GRAY_MIN.
+const GRAY_MIN = 70;
+
+export const weightToGray = (w) => Math.round(255 - ((w - MIN_WEIGHT) * (255 - GRAY_MIN)) / (MAX_WEIGHT - MIN_WEIGHT));
+export const grayToWeight = (g) =>
+  Math.min(MAX_WEIGHT, Math.max(MIN_WEIGHT, Math.round(MIN_WEIGHT + ((255 - g) * (MAX_WEIGHT - MIN_WEIGHT)) / (255 - GRAY_MIN))));
+
+export const gridSize = (raster, factor) => ({ rows: Math.ceil(raster.height / factor), cols: Math.ceil(raster.width / factor) });
+
+// Calls fn(r, c, values) with the pixel values of every block.
+function forEachBlock(raster, factor, fn) {
+  const { rows, cols } = gridSize(raster, factor);
+  const values = [];
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      values.length = 0;
+      const y1 = Math.min(raster.height, (r + 1) * factor),
+        x1 = Math.min(raster.width, (c + 1) * factor);
+      for (let y = r * factor; y < y1; y++) for (let x = c * factor; x < x1; x++) values.push(raster.data[y * raster.width + x]);
+      fn(r, c, values);
+    }
+  }
+  return { rows, cols };
+}
+
+// Plain images: a block whose mean luminance is below `threshold` is a wall.
+// With `grayWeights`, lighter-than-threshold greys become weights (white = 1),
+// which is how exportPNG() writes them.
+export function imageToGrid(raster, { factor = 1, threshold = 60, grayWeights = false } = {}) {
+  const grid = [];
+  const size = forEachBlock(raster, factor, (r, c, values) => {
+    let sum = 0;
+    for (const v of values) sum += v;
+    const mean = sum / values.length;
+    if (c === 0) grid.push([]);
+    grid[r].push(mean < threshold ? WALL : grayWeights && grayToWeight(mean) > 1 ? { wall: false, weight: grayToWeight(mean) } : FREE);
+  });
+  return { ...size, grid };
+}
+
+// Occupancy images (ROS map_server): `occupancy(v)` gives a probability in
+// [0, 1]. Downsampling is conservative: a block is a wall if any pixel is
+// occupied, unknown if any pixel is unknown, and free otherwise. Unknown
+// cells become walls when `unknownWeight` is null.
+export function occupancyToGrid(raster, occupancy, { factor = 1, occupiedThresh = 0.65, freeThresh = 0.196, unknownWeight = 10 } = {}) {
+  const unknown = unknownWeight == null ? WALL : unknownWeight > 1 ? { wall: false, weight: unknownWeight } : FREE;
+  const grid = [];
+  const size = forEachBlock(raster, factor, (r, c, values) => {
+    let cell = FREE;
+    for (const v of values) {
+      const p = occupancy(v);
+      if (p > occupiedThresh) {
+        cell = WALL;
+        break;
+      }
+      if (p >= freeThresh) cell = unknown;
+    }
+    if (c === 0) grid.push([]);
+    grid[r].push(cell);
+  });
+  return { ...size, grid };
+}
+
+// Grid -> luminance raster (one pixel per cell): walls black, weights grey.
+export function gridToRaster(grid) {
+  const height = grid.length,
+    width = grid[0].length;
+  const data = new Uint8ClampedArray(width * height);
+  for (let r = 0; r < height; r++) {
+    for (let c = 0; c < width; c++) {
+      const cell = grid[r][c];
+      data[r * width + c] = cell.wall ? 0 : weightToGray(cell.weight ?? 1);
+    }
+  }
+  return { width, height, data };
+}
@@ -0,0 +1,101 @@
+// ROS map_server occupancy grids: a PGM (or PNG) image plus a YAML file
+//
+//   image: map.pgm
+//   resolution: 0.05
+//   origin: [0.0, 0.0, 0.0]
+//   negate: 0
+//   occupied_thresh: 0.65
+//   free_thresh: 0.196
+//
+// Occupancy of a pixel is (255 - v) / 255, or v / 255 with `negate: 1`.
+// Walls are written as 0, free space as 254 and weighted cells as 205
+// (map_saver's "unknown"), since occupancy maps have no cost levels.
+import { gridToRaster } from "./raster.js";
+
+export const ROS_DEFAULTS = { resolution: 0.05, origin: [0, 0, 0], negate: 0, occupied_thresh: 0.65, free_thresh: 0.196 };
+const PGM_FREE = 254,
+  PGM_OCCUPIED = 0,
+  PGM_UNKNOWN = 205;
+
+// Flat `key: value` YAML as written by map_saver; enough for map metadata.
+export function parseRosYaml(text) {
+  const out = {};
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.replace(/#.*$/, "").trim();
+    if (!line) continue;
+    const m = line.match(/^([A-Za-z_][\w]*)\s*:\s*(.*)$/);
+    if (!m) throw new Error(`cannot read YAML line "${raw.trim()}"`);
+    const [, k, v] = m;
+    if (/^\[.*\]$/.test(v)) out[k] = v.slice(1, -1).split(",").map((x) => Number(x.trim()));
+    else if (v !== "" && !Number.isNaN(Number(v))) out[k] = Number(v);
+    else out[k] = v.replace(/^["']|["']$/g, "");
+  }
+  return { ...ROS_DEFAULTS, ...out };
+}
+
+export function serializeRosYaml(imageName, meta = {}) {
+  const m = { ...ROS_DEFAULTS, ...meta };
+  return [
+    `image: ${imageName}`,
+    `resolution: ${m.resolution}`,
+    `origin: [${m.origin.join(", ")}]`,
+    `negate: ${m.negate}`,
+    `occupied_thresh: ${m.occupied_thresh}`,
+    `free_thresh: ${m.free_thresh}`,
+    "",
+  ].join("\n");
+}
+
+// `meta` is a parsed YAML; returns occupancy probability for a pixel value.
+export function rosOccupancy(meta, maxval = 255) {
+  return meta.negate ? (v) => v / maxval : (v) => (maxval - v) / maxval;
+}
+
+// Binary (P5) and ASCII (P2) greymaps -> { width, height, maxval, data }.
+export function parsePGM(bytes) {
+  let pos = 0;
+  const token = () => {
+    // skip whitespace and comments
+    while (pos < bytes.length) {
+      const ch = bytes[pos];
+      if (ch === 0x23) while (pos < bytes.length && bytes[pos] !== 0x0a) pos++;
+      else if (ch === 0x20 || ch === 0x09 || ch === 0x0a || ch === 0x0d) pos++;
+      else break;
+    }
+    const begin = pos;
+    while (pos < bytes.length && ![0x20, 0x09, 0x0a, 0x0d].includes(bytes[pos])) pos++;
+    return String.fromCharCode(...bytes.subarray(begin, pos));
+  };
+  const magic = token();
+  if (magic !== "P5" && magic !== "P2") throw new Error(`not a PGM file (magic "${magic}")`);
+  const width = Number(token()),
+    height = Number(token()),
+    maxval = Number(token());
+  if (![width, height, maxval].every((n) => Number.isInteger(n) && n > 0) || maxval > 65535) {
+    throw new Error("PGM header is invalid");
+  }
+  const n = width * height;
+  const data = new Uint16Array(n);
+  if (magic === "P2") {
+    for (let i = 0; i < n; i++) {
+      const v = Number(token());
+      if (!Number.isInteger(v)) throw new Error(`PGM has fewer than ${n} pixel values`);
+      data[i] = v;
+    }
+  } else {
+    pos++; // single whitespace after maxval
+    const wide = maxval > 255;
+    if (bytes.length - pos < n * (wide ? 2 : 1)) throw new Error("PGM pixel data is truncated");
+    for (let i = 0; i < n; i++) data[i] = wide ? (bytes[pos + 2 * i] << 8) | bytes[pos + 2 * i + 1] : bytes[pos + i];
+  }
+  return { width, height, maxval, data };
+}
+
+export function serializePGM(grid) {
+  const { width, height, data } = gridToRaster(grid);
+  const header = new TextEncoder().encode(`P5\n# path planner export\n${width} ${height}\n255\n`);
+  const out = new Uint8Array(header.length + data.length);
+  out.set(header);
+  for (let i = 0; i < data.length; i++) out[header.length + i] = data[i] === 0 ? PGM_OCCUPIED : data[i] === 255 ? PGM_FREE : PGM_UNKNOWN;
+  return out;
+}
@@ -0,0 +1,103 @@
+import { DIRS4, inBounds } from "../planners/grid.js";
+import { MinHeap } from "../planners/heap.js";
+
+// Cells are immutable everywhere in the app, so generators share these.
+export const WALL = Object.freeze({ wall: true, weight: 1 });
+export const FREE = Object.freeze({ wall: false, weight: 1 });
+
+export function fillGrid(rows, cols, cell) {
+  return Array.from({ length: rows }, () => new Array(cols).fill(cell));
+}
+
+// Mutable working copy of a grid. With `record` set, every change is logged
+// in `ops` as { r, c, cell } so the UI can replay the generation on top of
+// `initial`, which is left untouched.
+export class MapBuilder {
+  constructor(initial, record = false) {
+    this.initial = initial;
+    this.rows = initial.length;
+    this.cols = initial[0].length;
+    this.grid = initial.map((row) => row.slice());
+    this.ops = record ? [] : null;
+  }
+
+  isWall(r, c) {
+    return !inBounds(r, c, this.rows, this.cols) || this.grid[r][c].wall;
+  }
+
+  set(r, c, cell) {
+    if (this.grid[r][c] === cell) return;
+    this.grid[r][c] = cell;
+    this.ops?.push({ r, c, cell });
+  }
+
+  carve(r, c) {
+    if (this.grid[r][c].wall) this.set(r, c, FREE);
+  }
+
+  wall(r, c) {
+    if (!this.grid[r][c].wall) this.set(r, c, WALL);
+  }
+}
+
+// Makes start and goal free and, unless they already share a 4-connected
+// component, carves the cheapest tunnel between them: a 0-1 search where
+// entering a wall costs 1, so as few walls as possible are removed.
+// Returns the number of walls carved.
+export function connect(builder, start, goal) {
+  const { rows, cols } = builder;
+  builder.carve(start.r, start.c);
+  builder.carve(goal.r, goal.c);
+  const n = rows * cols;
+  const dist = new Int32Array(n).fill(-1);
+  const parent = new Int32Array(n).fill(-1);
+  const si = start.r * cols + start.c;
+  const gi = goal.r * cols + goal.c;
+  const heap = new MinHeap();
+  dist[si] = 0;
+  heap.push({ prio: 0, i: si });
+  while (heap.size) {
+    const { prio, i } = heap.pop();
+    if (prio > dist[i]) continue;
+    if (i === gi) break;
+    const r = Math.floor(i / cols),
+      c = i % cols;
+    for (const [dr, dc] of DIRS4) {
+      const nr = r + dr,
+        nc = c + dc;
+      if (!inBounds(nr, nc, rows, cols)) continue;
+      const j = nr * cols + nc;
+      const d = prio + (builder.grid[nr][nc].wall ? 1 : 0);
+      if (dist[j] === -1 || d < dist[j]) {
+        dist[j] = d;
+        parent[j] = i;
+        heap.push({ prio: d, i: j });
+      }
+    }
+  }
+  let carved = 0;
+  for (let i = gi; i !== -1; i = parent[i]) {
+    const r = Math.floor(i / cols),
+      c = i % cols;
+    if (builder.grid[r][c].wall) {
+      builder.carve(r, c);
+      carved++;
+    }
+  }
+  return carved;
+}
+
+// Knocks out walls that separate two passages in a straight line, turning a
+// perfect maze into one with cycles. `loops` is the per-wall probability.
+export function addLoops(builder, rand, loops) {
+  if (loops <= 0) return;
+  const { rows, cols } = builder;
+  for (let r = 1; r < rows - 1; r++) {
+    for (let c = 1; c < cols - 1; c++) {
+      if (!builder.grid[r][c].wall) continue;
+      const vertical = !builder.isWall(r - 1, c) && !builder.isWall(r + 1, c) && builder.isWall(r, c - 1) && builder.isWall(r, c + 1);
+      const horizontal = !builder.isWall(r, c - 1) && !builder.isWall(r, c + 1) && builder.isWall(r - 1, c) && builder.isWall(r + 1, c);
+      if ((vertical || horizontal) && rand() < loops) builder.carve(r, c);
+    }
+  }
+}
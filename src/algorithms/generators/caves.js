@@ -0,0 +1,23 @@
+import { DIRS8 } from "../planners/grid.js";
+import { FREE, MapBuilder, WALL, fillGrid } from "./builder.js";
+
+// Cellular-automata caves: random fill, then `iterations` smoothing passes.
+// A wall with at least `survival` wall neighbours stays a wall and an open
+// cell with at least `birth` becomes one; the border counts as wall.
+export function caves(rows, cols, rand, { fill = 0.45, iterations = 4, birth = 5, survival = 4 } = {}, record) {
+  const b = new MapBuilder(fillGrid(rows, cols, FREE), record);
+  for (let r = 0; r < rows; r++) for (let c = 0; c < cols; c++) if (rand() < fill) b.wall(r, c);
+  for (let it = 0; it < iterations; it++) {
+    // decide every cell from the previous generation before writing any
+    const next = new Uint8Array(rows * cols);
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        let n = 0;
+        for (const [dr, dc] of DIRS8) if (b.isWall(r + dr, c + dc)) n++;
+        next[r * cols + c] = b.grid[r][c].wall ? n >= survival : n >= birth;
+      }
+    }
+    for (let r = 0; r < rows; r++) for (let c = 0; c < cols; c++) b.set(r, c, next[r * cols + c] ? WALL : FREE);
+  }
+  return b;
+}
@@ -0,0 +1,103 @@
+/********************
+ * Procedural map generators
+ * Framework-free like the planners.
+ *
+ *   generateMap(kind, grid, { start, goal, seed, connected, record, ...params })
+ *     -> { initial, grid, ops, carved }
+ *
+ * `grid` is the current map: its size is kept, and generators that only
+ * paint weights keep its walls. `initial` is the map the generation starts
+ * from and `ops` (empty unless `record`) the ordered cell changes that turn
+ * `initial` into `grid`, for animated playback. Unless `connected` is false,
+ * start and goal are made reachable from each other; `carved` counts the
+ * walls that had to be removed for it.
+ ********************/
+import { seededRandom } from "../planners/random.js";
+import { connect } from "./builder.js";
+import { backtracker, division, kruskal, prim } from "./mazes.js";
+import { caves } from "./caves.js";
+import { noiseTerrain, scatterWalls, scatterWeights } from "./noise.js";
+
+export { MapBuilder, WALL, FREE, fillGrid, connect, addLoops } from "./builder.js";
+export { backtracker, prim, kruskal, division, caves, noiseTerrain, scatterWalls, scatterWeights };
+
+export const Generators = {
+  BACKTRACKER: "Recursive backtracker",
+  PRIM: "Prim's",
+  KRUSKAL: "Kruskal's",
+  DIVISION: "Recursive division",
+  CAVES: "Cave automata",
+  NOISE: "Noise terrain",
+  SCATTER: "Random walls",
+  WEIGHTS: "Random weights",
+};
+
+// Parameters per generator for the UI: { key, label, min, max, step, value }.
+// `weights: true` generators paint weights over the current walls.
+const loops = { key: "loops", label: "Loops", min: 0, max: 0.5, step: 0.01, value: 0 };
+export const GeneratorInfo = {
+  [Generators.BACKTRACKER]: {
+    params: [{ key: "straightness", label: "Straightness", min: 0, max: 1, step: 0.05, value: 0.2 }, loops],
+    note: "Depth-first carving: long winding corridors, few branches.",
+  },
+  [Generators.PRIM]: { params: [loops], note: "Grows from one cell: many short dead ends." },
+  [Generators.KRUSKAL]: { params: [loops], note: "Merges random cells: unbiased, lots of short branches." },
+  [Generators.DIVISION]: {
+    params: [
+      { key: "roomSize", label: "Room size", min: 1, max: 8, step: 1, value: 1 },
+      { key: "bias", label: "Horizontal bias", min: 0, max: 1, step: 0.05, value: 0.5 },
+    ],
+    note: "Splits chambers with walls that have a single gap; larger rooms leave open areas.",
+  },
+  [Generators.CAVES]: {
+    params: [
+      { key: "fill", label: "Initial fill", min: 0.3, max: 0.6, step: 0.01, value: 0.45 },
+      { key: "iterations", label: "Smoothing passes", min: 0, max: 10, step: 1, value: 4 },
+      { key: "birth", label: "Birth limit", min: 1, max: 8, step: 1, value: 5 },
+      { key: "survival", label: "Survival limit", min: 1, max: 8, step: 1, value: 4 },
+    ],
+    note: "Cellular automaton; disconnected pockets are joined by a tunnel when needed.",
+  },
+  [Generators.NOISE]: {
+    params: [
+      { key: "scale", label: "Feature size", min: 2, max: 60, step: 1, value: 12 },
+      { key: "octaves", label: "Octaves", min: 1, max: 6, step: 1, value: 3 },
+      { key: "maxWeight", label: "Max weight", min: 2, max: 20, step: 1, value: 12 },
+    ],
+    weights: true,
+    note: "Perlin noise mapped onto cell weights; existing walls are kept.",
+  },
+  [Generators.SCATTER]: { params: [{ key: "density", label: "Density", min: 0, max: 0.6, step: 0.01, value: 0.28 }] },
+  [Generators.WEIGHTS]: { params: [{ key: "probability", label: "Probability", min: 0, max: 1, step: 0.01, value: 0.3 }], weights: true },
+};
+
+export function defaultParams(kind) {
+  return Object.fromEntries(GeneratorInfo[kind].params.map((p) => [p.key, p.value]));
+}
+
+const RUNNERS = {
+  [Generators.BACKTRACKER]: (g, rand, p, rec) => backtracker(g.length, g[0].length, rand, p, rec),
+  [Generators.PRIM]: (g, rand, p, rec) => prim(g.length, g[0].length, rand, p, rec),
+  [Generators.KRUSKAL]: (g, rand, p, rec) => kruskal(g.length, g[0].length, rand, p, rec),
+  [Generators.DIVISION]: (g, rand, p, rec) => division(g.length, g[0].length, rand, p, rec),
+  [Generators.CAVES]: (g, rand, p, rec) => caves(g.length, g[0].length, rand, p, rec),
+  [Generators.NOISE]: (g, rand, p, rec) => noiseTerrain(g, rand, p, rec),
+  [Generators.SCATTER]: (g, rand, p, rec) => scatterWalls(g.length, g[0].length, rand, p, rec),
+  [Generators.WEIGHTS]: (g, rand, p, rec) => scatterWeights(g, rand, p, rec),
+};
+
+export function generateMap(kind, grid, options = {}) {
+  const run = RUNNERS[kind];
+  if (!run) throw new Error(`Unknown generator "${kind}"`);
+  const { start, goal, seed = 1, connected = true, record = false, ...params } = options;
+  const builder = run(grid, seededRandom(seed, kind), { ...defaultParams(kind), ...params }, record);
+  let carved = 0;
+  if (start && goal) {
+    if (connected) carved = connect(builder, start, goal);
+    else {
+      builder.carve(start.r, start.c);
+      builder.carve(goal.r, goal.c);
+    }
+  }
+  return { initial: builder.initial, grid: builder.grid, ops: builder.ops ?? [], carved };
+}
@@ -0,0 +1,158 @@
+import { randInt } from "../planners/random.js";
+import { FREE, MapBuilder, WALL, addLoops, fillGrid } from "./builder.js";
+
+// Perfect mazes on a lattice: the carving generators put passages on odd
+// coordinates and walls between them; recursive division works the other way
+// round, starting open and adding walls on odd rows/columns.
+
+const STEPS = [
+  [2, 0],
+  [-2, 0],
+  [0, 2],
+  [0, -2],
+];
+
+function shuffle(arr, rand) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = randInt(rand, i + 1);
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+const cellCount = (n) => Math.floor((n - 1) / 2); // passages per axis
+
+// Depth-first carving. `straightness` is the chance of keeping the previous
+// direction when it is still open, which gives longer corridors.
+export function backtracker(rows, cols, rand, { straightness = 0, loops = 0 } = {}, record) {
+  const b = new MapBuilder(fillGrid(rows, cols, WALL), record);
+  if (!cellCount(rows) || !cellCount(cols)) return b;
+  const visited = new Uint8Array(rows * cols);
+  const r0 = 1 + 2 * randInt(rand, cellCount(rows)),
+    c0 = 1 + 2 * randInt(rand, cellCount(cols));
+  const stack = [{ r: r0, c: c0, dir: -1 }];
+  visited[r0 * cols + c0] = 1;
+  b.carve(r0, c0);
+  while (stack.length) {
+    const cur = stack[stack.length - 1];
+    const open = [];
+    for (let d = 0; d < 4; d++) {
+      const nr = cur.r + STEPS[d][0],
+        nc = cur.c + STEPS[d][1];
+      if (nr > 0 && nr < rows - 1 && nc > 0 && nc < cols - 1 && !visited[nr * cols + nc]) open.push(d);
+    }
+    if (!open.length) {
+      stack.pop();
+      continue;
+    }
+    const d = open.includes(cur.dir) && rand() < straightness ? cur.dir : open[randInt(rand, open.length)];
+    const nr = cur.r + STEPS[d][0],
+      nc = cur.c + STEPS[d][1];
+    visited[nr * cols + nc] = 1;
+    b.carve(cur.r + STEPS[d][0] / 2, cur.c + STEPS[d][1] / 2);
+    b.carve(nr, nc);
+    stack.push({ r: nr, c: nc, dir: d });
+  }
+  addLoops(b, rand, loops);
+  return b;
+}
+
+// Randomised Prim's: grow the maze from one cell by attaching a random
+// frontier cell to a random neighbour already in the maze.
+export function prim(rows, cols, rand, { loops = 0 } = {}, record) {
+  const b = new MapBuilder(fillGrid(rows, cols, WALL), record);
+  if (!cellCount(rows) || !cellCount(cols)) return b;
+  const IN = 1,
+    FRONTIER = 2;
+  const state = new Uint8Array(rows * cols);
+  const frontier = [];
+  const inside = (r, c) => r > 0 && r < rows - 1 && c > 0 && c < cols - 1;
+  const add = (r, c) => {
+    state[r * cols + c] = IN;
+    b.carve(r, c);
+    for (const [dr, dc] of STEPS) {
+      const nr = r + dr,
+        nc = c + dc;
+      if (inside(nr, nc) && !state[nr * cols + nc]) {
+        state[nr * cols + nc] = FRONTIER;
+        frontier.push({ r: nr, c: nc });
+      }
+    }
+  };
+  add(1 + 2 * randInt(rand, cellCount(rows)), 1 + 2 * randInt(rand, cellCount(cols)));
+  while (frontier.length) {
+    const k = randInt(rand, frontier.length);
+    const cell = frontier[k];
+    frontier[k] = frontier[frontier.length - 1];
+    frontier.pop();
+    const links = STEPS.filter(([dr, dc]) => inside(cell.r + dr, cell.c + dc) && state[(cell.r + dr) * cols + cell.c + dc] === IN);
+    const [dr, dc] = links[randInt(rand, links.length)];
+    b.carve(cell.r + dr / 2, cell.c + dc / 2);
+    add(cell.r, cell.c);
+  }
+  addLoops(b, rand, loops);
+  return b;
+}
+
+// Randomised Kruskal's: join cells along shuffled walls whenever the two
+// sides are still in different sets.
+export function kruskal(rows, cols, rand, { loops = 0 } = {}, record) {
+  const b = new MapBuilder(fillGrid(rows, cols, WALL), record);
+  const nr = cellCount(rows),
+    nc = cellCount(cols);
+  if (!nr || !nc) return b;
+  const parent = new Int32Array(nr * nc).map((_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  const edges = [];
+  for (let i = 0; i < nr; i++) {
+    for (let j = 0; j < nc; j++) {
+      if (i + 1 < nr) edges.push([i, j, i + 1, j]);
+      if (j + 1 < nc) edges.push([i, j, i, j + 1]);
+    }
+  }
+  if (!edges.length) b.carve(1, 1);
+  for (const [i1, j1, i2, j2] of shuffle(edges, rand)) {
+    const a = find(i1 * nc + j1),
+      z = find(i2 * nc + j2);
+    if (a === z) continue;
+    parent[a] = z;
+    b.carve(2 * i1 + 1, 2 * j1 + 1);
+    b.carve(i1 + i2 + 1, j1 + j2 + 1);
+    b.carve(2 * i2 + 1, 2 * j2 + 1);
+  }
+  addLoops(b, rand, loops);
+  return b;
+}
+
+// Recursive division: split each chamber with a wall that has one gap.
+// Chambers narrower than `roomSize` passages are left open as rooms;
+// `bias` > 0.5 favours horizontal walls.
+export function division(rows, cols, rand, { roomSize = 1, bias = 0.5 } = {}, record) {
+  const b = new MapBuilder(fillGrid(rows, cols, FREE), record);
+  const stack = [[0, rows - 1, 0, cols - 1]];
+  while (stack.length) {
+    const [r0, r1, c0, c1] = stack.pop();
+    const h = r1 - r0,
+      w = c1 - c0;
+    if (h < 2 || w < 2 || (h < 2 * roomSize && w < 2 * roomSize)) continue;
+    const pH = h < 2 * roomSize ? 0 : w < 2 * roomSize ? 1 : Math.min(1, Math.max(0, h / (h + w) + bias - 0.5));
+    if (rand() < pH) {
+      const wr = r0 + 1 + 2 * randInt(rand, Math.floor(h / 2));
+      const gap = c0 + 2 * randInt(rand, Math.floor(w / 2) + 1);
+      for (let c = c0; c <= c1; c++) if (c !== gap) b.wall(wr, c);
+      stack.push([wr + 1, r1, c0, c1], [r0, wr - 1, c0, c1]);
+    } else {
+      const wc = c0 + 1 + 2 * randInt(rand, Math.floor(w / 2));
+      const gap = r0 + 2 * randInt(rand, Math.floor(h / 2) + 1);
+      for (let r = r0; r <= r1; r++) if (r !== gap) b.wall(r, wc);
+      stack.push([r0, r1, wc + 1, c1], [r0, r1, c0, wc - 1]);
+    }
+  }
+  return b;
+}
@@ -0,0 +1,69 @@
+import { clamp } from "../planners/grid.js";
+import { randInt } from "../planners/random.js";
+import { FREE, MapBuilder, WALL, fillGrid } from "./builder.js";
+
+// 2D Perlin gradient noise with a seeded permutation table; roughly [-1, 1].
+function perlin(rand) {
+  const perm = new Uint8Array(512);
+  const p = Array.from({ length: 256 }, (_, i) => i);
+  for (let i = 255; i > 0; i--) {
+    const j = randInt(rand, i + 1);
+    [p[i], p[j]] = [p[j], p[i]];
+  }
+  for (let i = 0; i < 512; i++) perm[i] = p[i & 255];
+  const fade = (t) => t * t * t * (t * (t * 6 - 15) + 10);
+  const lerp = (a, b, t) => a + t * (b - a);
+  const grad = (h, x, y) => ((h & 1) ? -x : x) + ((h & 2) ? -y : y);
+  return (x, y) => {
+    const xi = Math.floor(x) & 255,
+      yi = Math.floor(y) & 255;
+    const xf = x - Math.floor(x),
+      yf = y - Math.floor(y);
+    const u = fade(xf),
+      v = fade(yf);
+    const aa = perm[perm[xi] + yi],
+      ab = perm[perm[xi] + yi + 1],
+      ba = perm[perm[xi + 1] + yi],
+      bb = perm[perm[xi + 1] + yi + 1];
+    return lerp(lerp(grad(aa, xf, yf), grad(ba, xf - 1, yf), u), lerp(grad(ab, xf, yf - 1), grad(bb, xf - 1, yf - 1), u), v);
+  };
+}
+
+// Terrain: fractal noise (`octaves` layers, each twice as fine and half as
+// strong) mapped onto weights 1..maxWeight. The level is squared so most of
+// the map stays cheap with costlier ridges. Walls already on the map stay.
+export function noiseTerrain(grid, rand, { scale = 12, octaves = 3, maxWeight = 12 } = {}, record) {
+  const b = new MapBuilder(grid, record);
+  const noise = perlin(rand);
+  let norm = 0;
+  for (let o = 0; o < octaves; o++) norm += 0.5 ** o;
+  for (let r = 0; r < b.rows; r++) {
+    for (let c = 0; c < b.cols; c++) {
+      if (b.grid[r][c].wall) continue;
+      let v = 0;
+      for (let o = 0, f = 1 / scale, a = 1; o < octaves; o++, f *= 2, a /= 2) v += a * noise(c * f, r * f);
+      const t = clamp((v / norm) * 0.5 + 0.5, 0, 1);
+      const weight = 1 + Math.round(t * t * (maxWeight - 1));
+      b.set(r, c, weight === 1 ? FREE : { wall: false, weight });
+    }
+  }
+  return b;
+}
+
+// The original quick generators: independent random walls or weights.
+export function scatterWalls(rows, cols, rand, { density = 0.28 } = {}, record) {
+  const b = new MapBuilder(fillGrid(rows, cols, FREE), record);
+  for (let r = 0; r < rows; r++) for (let c = 0; c < cols; c++) if (rand() < density) b.set(r, c, WALL);
+  return b;
+}
+
+export function scatterWeights(grid, rand, { probability = 0.3 } = {}, record) {
+  const b = new MapBuilder(grid, record);
+  for (let r = 0; r < b.rows; r++) {
+    for (let c = 0; c < b.cols; c++) {
+      if (b.grid[r][c].wall) continue;
+      b.set(r, c, rand() < probability ? { wall: false, weight: 6 + randInt(rand, 8) } : FREE);
+    }
+  }
+  return b;
+}
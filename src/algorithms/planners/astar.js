@@ -0,0 +1,54 @@
+import { MinHeap } from "./heap.js";
+import { progressReporter } from "./trace.js";
+import { key, neighbors, reconstruct, stepCost } from "./grid.js";
+import { edgeModel } from "./terrain.js";
+import { heuristicFn } from "./heuristics.js";
+
+// A*, weighted by `opts.epsilon`: f = g + ε·h with h picked by
+// `opts.heuristic` (see heuristics.js) and steps costed by `opts.costModel`
+// and the agent's terrain profile (see terrain.js).
+export function runAStar(grid, start, goal, opts = {}) {
+  const rows = grid.length,
+    cols = grid[0].length;
+  const diag = opts.diag ?? false;
+  const edges = edgeModel(opts);
+  const eps = opts.epsilon ?? 1;
+  const hf = heuristicFn(opts);
+  const h = (p) => eps * hf(p, goal);
+  const pq = new MinHeap();
+  const g = {};
+  const f = {};
+  const came = {};
+  const steps = [];
+  const report = progressReporter(steps, opts.onProgress);
+  const sKey = key(start.r, start.c);
+  g[sKey] = 0;
+  f[sKey] = h(start);
+  pq.push({ prio: f[sKey], node: sKey });
+
+  while (pq.size) {
+    const cur = pq.pop();
+    const [r, c] = cur.node.split(",").map(Number);
+    if (cur.prio !== f[cur.node]) continue; // stale
+    const step = { node: { r, c }, open: [] };
+    steps.push(step);
+    report();
+    if (r === goal.r && c === goal.c) break;
+
+    for (const nb of neighbors(r, c, rows, cols, diag, grid, opts.corners)) {
+      if (grid[nb.r][nb.c].wall) continue;
+      const nk = key(nb.r, nb.c);
+      const tentative = g[cur.node] + stepCost(grid, { r, c }, nb, opts.costModel, edges);
+      if (tentative === Infinity) continue; // impassable terrain or against a one-way arrow
+      if (g[nk] === undefined || tentative < g[nk]) {
+        g[nk] = tentative;
+        f[nk] = tentative + h(nb);
+        came[nk] = cur.node;
+        pq.push({ prio: f[nk], node: nk });
+        step.open.push(nb);
+      }
+    }
+  }
+  const gKey = key(goal.r, goal.c);
+  return { visited: steps.map((s) => s.node), steps, path: reconstruct(came, gKey, sKey) };
+}
@@ -0,0 +1,32 @@
+import { progressReporter } from "./trace.js";
+import { key, neighbors, reconstruct } from "./grid.js";
+
+// Breadth-first search: optimal in number of moves, ignores cell weights.
+export function runBFS(grid, start, goal, opts = {}) {
+  const rows = grid.length,
+    cols = grid[0].length;
+  const diag = opts.diag ?? false;
+  const came = {};
+  const seen = new Set([key(start.r, start.c)]);
+  const steps = [];
+  const report = progressReporter(steps, opts.onProgress);
+  const queue = [start];
+
+  for (let head = 0; head < queue.length; head++) {
+    const { r, c } = queue[head];
+    const step = { node: { r, c }, open: [] };
+    steps.push(step);
+    report();
+    if (r === goal.r && c === goal.c) break;
+
+    for (const nb of neighbors(r, c, rows, cols, diag, grid, opts.corners)) {
+      const nk = key(nb.r, nb.c);
+      if (grid[nb.r][nb.c].wall || seen.has(nk)) continue;
+      seen.add(nk);
+      came[nk] = key(r, c);
+      queue.push(nb);
+      step.open.push(nb);
+    }
+  }
+  return { visited: steps.map((s) => s.node), steps, path: reconstruct(came, key(goal.r, goal.c), key(start.r, start.c)) };
+}
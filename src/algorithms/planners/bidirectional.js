@@ -0,0 +1,88 @@
+import { MinHeap } from "./heap.js";
+import { progressReporter } from "./trace.js";
+import { key, neighbors, stepCost } from "./grid.js";
+import { heuristicFn } from "./heuristics.js";
+
+// Bidirectional A*: one search from start, one from goal, expanding whichever
+// frontier is smaller. Entering cell v costs stepCost(u, v), so the backward
+// search charges stepCost(v, u) when stepping from u to its predecessor v.
+// Steps carry `side: "start" | "goal"` so both frontiers can be drawn apart.
+export function runBidirectionalAStar(grid, start, goal, opts = {}) {
+  const rows = grid.length,
+    cols = grid[0].length;
+  const diag = opts.diag ?? false;
+  const h = heuristicFn(opts);
+  const steps = [];
+  const report = progressReporter(steps, opts.onProgress);
+
+  const sides = [
+    { name: "start", target: goal, g: {}, f: {}, came: {}, closed: new Set(), pq: new MinHeap() },
+    { name: "goal", target: start, g: {}, f: {}, came: {}, closed: new Set(), pq: new MinHeap() },
+  ];
+  for (const [side, p] of [[sides[0], start], [sides[1], goal]]) {
+    const k = key(p.r, p.c);
+    side.g[k] = 0;
+    side.f[k] = h(p, side.target);
+    side.pq.push({ prio: side.f[k], node: k });
+  }
+
+  // drop stale heap entries so peek() reflects the true frontier minimum
+  const topF = (side) => {
+    while (side.pq.size && side.pq.peek().prio !== side.f[side.pq.peek().node]) side.pq.pop();
+    return side.pq.size ? side.pq.peek().prio : Infinity;
+  };
+
+  let best = Infinity;
+  let meet = null;
+  if (start.r === goal.r && start.c === goal.c) {
+    best = 0;
+    meet = key(start.r, start.c);
+  }
+
+  while (true) {
+    const fF = topF(sides[0]),
+      fB = topF(sides[1]);
+    if (fF === Infinity || fB === Infinity) break;
+    if (Math.max(fF, fB) >= best) break; // either frontier's bound reached: no cheaper path left
+
+    const [side, other] = sides[0].pq.size <= sides[1].pq.size ? [sides[0], sides[1]] : [sides[1], sides[0]];
+    const cur = side.pq.pop();
+    const [r, c] = cur.node.split(",").map(Number);
+    side.closed.add(cur.node);
+    const step = { node: { r, c }, open: [], side: side.name };
+    steps.push(step);
+    report();
+
+    for (const nb of neighbors(r, c, rows, cols, diag, grid, opts.corners)) {
+      if (grid[nb.r][nb.c].wall) continue;
+      const nk = key(nb.r, nb.c);
+      const u = { r, c };
+      const tentative = side.g[cur.node] + (side.name === "start" ? stepCost(grid, u, nb, opts.costModel) : stepCost(grid, nb, u, opts.costModel));
+      if (side.g[nk] === undefined || tentative < side.g[nk]) {
+        side.g[nk] = tentative;
+        side.f[nk] = tentative + h(nb, side.target);
+        side.came[nk] = cur.node;
+        side.pq.push({ prio: side.f[nk], node: nk });
+        step.open.push(nb);
+      }
+      if (other.g[nk] !== undefined && side.g[nk] + other.g[nk] < best) {
+        best = side.g[nk] + other.g[nk];
+        meet = nk;
+      }
+    }
+  }
+
+  const path = [];
+  if (meet) {
+    for (let k = meet; k; k = sides[0].came[k]) path.unshift(k);
+    for (let k = sides[1].came[meet]; k; k = sides[1].came[k]) path.push(k);
+  }
+  return {
+    visited: steps.map((s) => s.node),
+    steps,
+    path: path.map((k) => {
+      const [r, c] = k.split(",").map(Number);
+      return { r, c };
+    }),
+  };
+}
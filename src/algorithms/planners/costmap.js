@@ -0,0 +1,67 @@
+import { distanceTransform } from "./grid.js";
+
+/********************
+ * Robot footprint and clearance cost maps
+ * The robot is a disc of `robotRadius` cells centred on its cell. A cell is
+ * in collision when its centre lies closer than the radius to a wall or the
+ * map edge, i.e. its distance-transform value d (between cell centres) is
+ * below robotRadius + 0.5. Inflating those cells into walls turns the map
+ * into the configuration space, where the robot is a point again.
+ *
+ * The optional clearance layer charges free cells near the inflated zone
+ * extra cost, falling linearly from `clearanceWeight` at its border to 0
+ * `clearanceRange` cells further out; it is added to the cell's weight, so
+ * every weight-aware planner keeps its distance from the walls.
+ *
+ *   costmapLayers(grid, opts) -> { distance, inflated, clearance, maxExtra }
+ *   applyCostmap(grid, opts)  -> the grid planners search
+ ********************/
+
+// Half a cell: the distance from a cell centre to its edge.
+const HALF = 0.5;
+
+export function costmapLayers(grid, opts = {}) {
+  const rows = grid.length,
+    cols = grid[0].length;
+  const radius = opts.robotRadius ?? 0;
+  const weight = opts.clearanceWeight ?? 0;
+  const range = Math.max(opts.clearanceRange ?? 3, 1e-6);
+  const distance = distanceTransform(grid);
+  const inflated = new Uint8Array(rows * cols);
+  const clearance = new Float64Array(rows * cols);
+  let maxExtra = 0;
+  for (let i = 0; i < distance.length; i++) {
+    const d = distance[i];
+    if (d === 0) continue; // wall
+    if (d < radius + HALF) {
+      inflated[i] = 1;
+      continue;
+    }
+    if (!weight) continue;
+    const gap = d - HALF - radius; // free space between the footprint and the nearest wall
+    const extra = Math.round(weight * Math.max(0, 1 - gap / range) * 100) / 100;
+    clearance[i] = extra;
+    maxExtra = Math.max(maxExtra, extra);
+  }
+  return { distance, inflated, clearance, maxExtra };
+}
+
+// The grid with inflated cells turned into walls and the clearance cost
+// added to weights. Unchanged rows (and the whole grid, when both settings
+// are off) are shared with the input, so D* Lite's diff stays cheap.
+export function applyCostmap(grid, opts = {}) {
+  if (!(opts.robotRadius > 0) && !(opts.clearanceWeight > 0)) return grid;
+  const cols = grid[0].length;
+  const { inflated, clearance } = costmapLayers(grid, opts);
+  return grid.map((row, r) => {
+    let copy = null;
+    for (let c = 0; c < cols; c++) {
+      const i = r * cols + c;
+      if (!inflated[i] && !clearance[i]) continue;
+      copy ??= row.slice();
+      const cell = row[c];
+      copy[c] = inflated[i] ? { ...cell, wall: true } : { ...cell, weight: (cell.weight ?? 1) + clearance[i] };
+    }
+    return copy ?? row;
+  });
+}
@@ -0,0 +1,184 @@
+/********************
+ * Dubins and Reeds-Shepp curves
+ * Shortest paths for a car with minimum turning radius R between two poses
+ * { r, c, th }, where th is the heading in radians measured from the +c axis
+ * towards +r. A curve is a list of segments { type, len }: type "L" (turn
+ * towards increasing th), "R" or "S" (straight), len in units of R (the
+ * turned angle for arcs), negative when driving in reverse.
+ *
+ *   dubins(from, to, R)       forward only: the best of LSL, RSR, LSR, RSL,
+ *                             RLR and LRL (Dubins 1957)
+ *   reedsShepp(from, to, R)   forward and reverse: the CSC and CCC families
+ *                             of Reeds & Shepp (1990) with their time-flipped
+ *                             and reflected variants, and the Dubins curve;
+ *                             the remaining families (CCCC, CCSC, CCSCC) are
+ *                             left out, so a curve may be longer than the
+ *                             true optimum
+ *
+ * Both return { segments, length } with the length in cells.
+ ********************/
+
+const TAU = 2 * Math.PI;
+const ZERO = 1e-10;
+
+// [0, 2π)
+const wrap = (a) => a - TAU * Math.floor(a / TAU);
+// (-π, π]
+const wrapPi = (a) => {
+  const v = wrap(a);
+  return v > Math.PI ? v - TAU : v;
+};
+
+// Pose after driving `s` turning radii along a segment of `type` from `p`.
+export function advance(p, type, s, R) {
+  if (type === "S") return { r: p.r + R * s * Math.sin(p.th), c: p.c + R * s * Math.cos(p.th), th: p.th };
+  const k = type === "L" ? 1 : -1;
+  const th = p.th + k * s;
+  return { r: p.r - k * R * (Math.cos(th) - Math.cos(p.th)), c: p.c + k * R * (Math.sin(th) - Math.sin(p.th)), th };
+}
+
+// Poses along a curve, at most `ds` cells apart; each carries `dir` (1
+// forward, -1 reverse) of the motion that reached it.
+export function sampleCurve(from, segments, R, ds) {
+  const first = segments.find((sg) => sg.len);
+  const out = [{ ...from, dir: first && first.len < 0 ? -1 : 1 }];
+  let p = from;
+  for (const { type, len } of segments) {
+    if (!len) continue;
+    const n = Math.max(1, Math.ceil((Math.abs(len) * R) / ds));
+    for (let i = 1; i <= n; i++) out.push({ ...advance(p, type, (len * i) / n, R), dir: Math.sign(len) });
+    p = advance(p, type, len, R);
+  }
+  return out;
+}
+
+// Goal pose in the start's frame, scaled to a unit turning radius.
+function localGoal(from, to, R) {
+  const dc = (to.c - from.c) / R,
+    dr = (to.r - from.r) / R;
+  const cos = Math.cos(from.th),
+    sin = Math.sin(from.th);
+  return { x: dc * cos + dr * sin, y: -dc * sin + dr * cos, phi: wrap(to.th - from.th) };
+}
+
+const curve = (types, lens, R) => ({
+  segments: types.split("").map((type, i) => ({ type, len: lens[i] })),
+  length: R * lens.reduce((sum, l) => sum + Math.abs(l), 0),
+});
+
+function shortest(candidates) {
+  let best = null;
+  for (const cand of candidates) if (cand && (!best || cand.length < best.length)) best = cand;
+  return best;
+}
+
+export function dubins(from, to, R) {
+  const { x, y, phi } = localGoal(from, to, R);
+  const d = Math.hypot(x, y);
+  const theta = Math.atan2(y, x);
+  const a = wrap(-theta),
+    b = wrap(phi - theta);
+  const sa = Math.sin(a),
+    sb = Math.sin(b),
+    ca = Math.cos(a),
+    cb = Math.cos(b),
+    cab = Math.cos(a - b);
+  const words = [];
+
+  let p2 = 2 + d * d - 2 * cab + 2 * d * (sa - sb);
+  if (p2 >= 0) {
+    const tmp = Math.atan2(cb - ca, d + sa - sb);
+    words.push(["LSL", [wrap(-a + tmp), Math.sqrt(p2), wrap(b - tmp)]]);
+  }
+  p2 = 2 + d * d - 2 * cab + 2 * d * (sb - sa);
+  if (p2 >= 0) {
+    const tmp = Math.atan2(ca - cb, d - sa + sb);
+    words.push(["RSR", [wrap(a - tmp), Math.sqrt(p2), wrap(-b + tmp)]]);
+  }
+  p2 = -2 + d * d + 2 * cab + 2 * d * (sa + sb);
+  if (p2 >= 0) {
+    const p = Math.sqrt(p2);
+    const tmp = Math.atan2(-ca - cb, d + sa + sb) - Math.atan2(-2, p);
+    words.push(["LSR", [wrap(-a + tmp), p, wrap(-b + tmp)]]);
+  }
+  p2 = d * d - 2 + 2 * cab - 2 * d * (sa + sb);
+  if (p2 >= 0) {
+    const p = Math.sqrt(p2);
+    const tmp = Math.atan2(ca + cb, d - sa - sb) - Math.atan2(2, p);
+    words.push(["RSL", [wrap(a - tmp), p, wrap(b - tmp)]]);
+  }
+  let tmp = (6 - d * d + 2 * cab + 2 * d * (sa - sb)) / 8;
+  if (Math.abs(tmp) <= 1) {
+    const p = wrap(TAU - Math.acos(tmp));
+    const t = wrap(a - Math.atan2(ca - cb, d - sa + sb) + p / 2);
+    words.push(["RLR", [t, p, wrap(a - b - t + p)]]);
+  }
+  tmp = (6 - d * d + 2 * cab + 2 * d * (sb - sa)) / 8;
+  if (Math.abs(tmp) <= 1) {
+    const p = wrap(TAU - Math.acos(tmp));
+    const t = wrap(-a - Math.atan2(ca - cb, d + sa - sb) + p / 2);
+    words.push(["LRL", [t, p, wrap(b - a - t + p)]]);
+  }
+  return shortest(words.map(([types, lens]) => curve(types, lens, R)));
+}
+
+// Reeds-Shepp base formulas (8.1-8.3), for a goal (x, y, phi) at unit radius.
+function LpSpLp(x, y, phi) {
+  const u = Math.hypot(x - Math.sin(phi), y - 1 + Math.cos(phi));
+  const t = Math.atan2(y - 1 + Math.cos(phi), x - Math.sin(phi));
+  if (t < -ZERO) return null;
+  const v = wrapPi(phi - t);
+  return v >= -ZERO ? [t, u, v] : null;
+}
+
+function LpSpRp(x, y, phi) {
+  const u1 = Math.hypot(x + Math.sin(phi), y - 1 - Math.cos(phi)) ** 2;
+  if (u1 < 4) return null;
+  const t1 = Math.atan2(y - 1 - Math.cos(phi), x + Math.sin(phi));
+  const u = Math.sqrt(u1 - 4);
+  const t = wrapPi(t1 + Math.atan2(2, u));
+  const v = wrapPi(t - phi);
+  return t >= -ZERO && v >= -ZERO ? [t, u, v] : null;
+}
+
+function LpRmL(x, y, phi) {
+  const xi = x - Math.sin(phi),
+    eta = y - 1 + Math.cos(phi);
+  const u1 = Math.hypot(xi, eta);
+  if (u1 > 4) return null;
+  const u = -2 * Math.asin(u1 / 4);
+  const t = wrapPi(Math.atan2(eta, xi) + u / 2 + Math.PI);
+  const v = wrapPi(phi - t + u);
+  return t >= -ZERO && u <= ZERO ? [t, u, v] : null;
+}
+
+export function reedsShepp(from, to, R) {
+  const { x, y } = localGoal(from, to, R);
+  const phi = wrapPi(to.th - from.th);
+  const cands = [];
+  const add = (lens, types, flip = false) => {
+    if (lens) cands.push(curve(types, flip ? lens.map((l) => -l) : lens, R));
+  };
+  // each base word, time-flipped (driven backwards), reflected (L <-> R)
+  // and both
+  for (const [fn, types, mirrored] of [
+    [LpSpLp, "LSL", "RSR"],
+    [LpSpRp, "LSR", "RSL"],
+    [LpRmL, "LRL", "RLR"],
+  ]) {
+    add(fn(x, y, phi), types);
+    add(fn(-x, y, -phi), types, true);
+    add(fn(x, -y, -phi), mirrored);
+    add(fn(-x, -y, phi), mirrored, true);
+  }
+  // CCC read backwards: the same curves from the goal's end
+  const xb = x * Math.cos(phi) + y * Math.sin(phi),
+    yb = x * Math.sin(phi) - y * Math.cos(phi);
+  const rev = (lens) => lens && [lens[2], lens[1], lens[0]];
+  add(rev(LpRmL(xb, yb, phi)), "LRL");
+  add(rev(LpRmL(-xb, yb, -phi)), "LRL", true);
+  add(rev(LpRmL(xb, -yb, -phi)), "RLR");
+  add(rev(LpRmL(-xb, -yb, phi)), "RLR", true);
+  cands.push(dubins(from, to, R));
+  return shortest(cands);
+}
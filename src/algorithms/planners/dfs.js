@@ -0,0 +1,36 @@
+import { progressReporter } from "./trace.js";
+import { key, neighbors, reconstruct } from "./grid.js";
+
+// Depth-first search: finds *a* path, usually far from shortest; ignores weights.
+export function runDFS(grid, start, goal, opts = {}) {
+  const rows = grid.length,
+    cols = grid[0].length;
+  const diag = opts.diag ?? false;
+  const came = {};
+  const closed = new Set();
+  const steps = [];
+  const report = progressReporter(steps, opts.onProgress);
+  const stack = [{ node: start, from: null }];
+
+  while (stack.length) {
+    const { node, from } = stack.pop();
+    const k = key(node.r, node.c);
+    if (closed.has(k)) continue;
+    closed.add(k);
+    if (from) came[k] = from;
+    const step = { node, open: [] };
+    steps.push(step);
+    report();
+    if (node.r === goal.r && node.c === goal.c) break;
+
+    // push in reverse so the first direction in DIRS is explored first
+    const nbs = neighbors(node.r, node.c, rows, cols, diag, grid, opts.corners);
+    for (let i = nbs.length - 1; i >= 0; i--) {
+      const nb = nbs[i];
+      if (grid[nb.r][nb.c].wall || closed.has(key(nb.r, nb.c))) continue;
+      stack.push({ node: nb, from: k });
+      step.open.push(nb);
+    }
+  }
+  return { visited: steps.map((s) => s.node), steps, path: reconstruct(came, key(goal.r, goal.c), key(start.r, start.c)) };
+}
@@ -0,0 +1,45 @@
+import { MinHeap } from "./heap.js";
+import { progressReporter } from "./trace.js";
+import { key, neighbors, reconstruct, stepCost } from "./grid.js";
+import { edgeModel } from "./terrain.js";
+
+// Uniform-cost search; steps are costed like runAStar's.
+export function runDijkstra(grid, start, goal, opts = {}) {
+  const rows = grid.length,
+    cols = grid[0].length;
+  const diag = opts.diag ?? false;
+  const edges = edgeModel(opts);
+  const pq = new MinHeap();
+  const dist = {};
+  const came = {};
+  const steps = [];
+  const report = progressReporter(steps, opts.onProgress);
+  const sKey = key(start.r, start.c);
+  dist[sKey] = 0;
+  pq.push({ prio: 0, node: sKey });
+
+  while (pq.size) {
+    const cur = pq.pop();
+    const [r, c] = cur.node.split(",").map(Number);
+    if (cur.prio !== dist[cur.node]) continue; // stale
+    const step = { node: { r, c }, open: [] };
+    steps.push(step);
+    report();
+    if (r === goal.r && c === goal.c) break;
+
+    for (const nb of neighbors(r, c, rows, cols, diag, grid, opts.corners)) {
+      if (grid[nb.r][nb.c].wall) continue;
+      const nk = key(nb.r, nb.c);
+      const alt = dist[cur.node] + stepCost(grid, { r, c }, nb, opts.costModel, edges);
+      if (alt === Infinity) continue; // impassable terrain or against a one-way arrow
+      if (dist[nk] === undefined || alt < dist[nk]) {
+        dist[nk] = alt;
+        came[nk] = cur.node;
+        pq.push({ prio: alt, node: nk });
+        step.open.push(nb);
+      }
+    }
+  }
+  const gKey = key(goal.r, goal.c);
+  return { visited: steps.map((s) => s.node), steps, path: reconstruct(came, gKey, sKey) };
+}
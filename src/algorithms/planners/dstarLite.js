@@ -0,0 +1,191 @@
+import { MinHeap } from "./heap.js";
+import { progressReporter } from "./trace.js";
+import { CornerRules, CostModels, chebyshev, cornerOk, manhattan, neighbors, stepCost } from "./grid.js";
+
+const keyLess = (x, y) => x.k1 < y.k1 || (x.k1 === y.k1 && x.k2 < y.k2);
+
+// D* Lite (Koenig & Likhachev), optimised version without robot motion
+// between replans. The search runs backwards from the goal, so g(s) is the
+// cost from s to the goal and edits near the goal or the start only touch the
+// affected region. Moving into cell v costs stepCost(u, v); walls are impassable.
+//
+// Stateful: keep the instance and call update(grid) after edits, or
+// moveStart(start) when the start moves. Each call returns a trace with only
+// the vertices that were (re-)expanded during that repair.
+export class DStarLite {
+  #touched = new Set(); // vertices whose g/rhs were looked at in this repair
+
+  constructor(grid, start, goal, opts = {}) {
+    this.grid = grid;
+    this.rows = grid.length;
+    this.cols = grid[0].length;
+    this.diag = opts.diag ?? false;
+    this.corners = opts.corners ?? CornerRules.NO_SQUEEZE;
+    this.costModel = opts.costModel ?? CostModels.OCTILE;
+    // kept so callers can cost the path under the agent's terrain profile,
+    // like plan() does; the search itself ignores terrain
+    this.agent = opts.agent;
+    this.profiles = opts.profiles;
+    // consistent for diagonal moves costing 1 or √2 with weight >= 1
+    this.h = this.diag ? chebyshev : manhattan;
+    this.start = start;
+    this.goal = goal;
+    this.km = 0;
+    const n = this.rows * this.cols;
+    this.g = new Float64Array(n).fill(Infinity);
+    this.rhs = new Float64Array(n).fill(Infinity);
+    this.queued = new Map(); // idx -> key currently in U
+    this.U = new MinHeap(keyLess);
+    const gi = this.#idx(goal);
+    this.rhs[gi] = 0;
+    this.#push(gi);
+  }
+
+  // Initial search; same result shape as the one-shot planners.
+  plan(onProgress) {
+    return this.#compute(onProgress);
+  }
+
+  // Diff `grid` against the previous one (row references first, then cells)
+  // and repair the solution around every changed cell.
+  update(grid, onProgress) {
+    const prev = this.grid;
+    this.grid = grid;
+    const changed = [];
+    for (let r = 0; r < this.rows; r++) {
+      if (grid[r] === prev[r]) continue;
+      for (let c = 0; c < this.cols; c++) {
+        const a = prev[r][c],
+          b = grid[r][c];
+        if (a !== b && (a.wall !== b.wall || a.weight !== b.weight)) changed.push({ r, c });
+      }
+    }
+    this.#touched = new Set();
+    for (const p of changed) {
+      // costs into p and out of p changed: refresh p and every neighbour
+      this.#updateVertex(this.#idx(p));
+      for (const nb of neighbors(p.r, p.c, this.rows, this.cols, this.diag)) this.#updateVertex(this.#idx(nb));
+    }
+    return { ...this.#compute(onProgress), changed: changed.length };
+  }
+
+  moveStart(start, onProgress) {
+    this.km += this.h(this.start, start);
+    this.start = start;
+    this.#touched = new Set();
+    return this.#compute(onProgress);
+  }
+
+  #idx(p) {
+    return p.r * this.cols + p.c;
+  }
+  #pos(i) {
+    return { r: Math.floor(i / this.cols), c: i % this.cols };
+  }
+  #cost(from, to) {
+    const a = this.#pos(from),
+      b = this.#pos(to);
+    if (this.grid[a.r][a.c].wall || this.grid[b.r][b.c].wall) return Infinity;
+    // a wall edit changes the diagonals around it; update() refreshes p's neighbours
+    if (!cornerOk(this.grid, a.r, a.c, b.r, b.c, this.corners)) return Infinity;
+    return stepCost(this.grid, a, b, this.costModel);
+  }
+  #key(i) {
+    const m = Math.min(this.g[i], this.rhs[i]);
+    return { k1: m + this.h(this.start, this.#pos(i)) + this.km, k2: m };
+  }
+  #push(i) {
+    const k = this.#key(i);
+    this.queued.set(i, k);
+    this.U.push({ ...k, i });
+  }
+  // drop entries that were removed or re-keyed since they were pushed
+  #top() {
+    while (this.U.size) {
+      const e = this.U.peek();
+      const k = this.queued.get(e.i);
+      if (k && k.k1 === e.k1 && k.k2 === e.k2) return e;
+      this.U.pop();
+    }
+    return null;
+  }
+  #succ(i) {
+    const p = this.#pos(i);
+    return neighbors(p.r, p.c, this.rows, this.cols, this.diag).map((nb) => this.#idx(nb));
+  }
+  #updateVertex(i) {
+    this.#touched.add(i);
+    if (i !== this.#idx(this.goal)) {
+      let best = Infinity;
+      for (const s of this.#succ(i)) best = Math.min(best, this.#cost(i, s) + this.g[s]);
+      this.rhs[i] = best;
+    }
+    this.queued.delete(i);
+    if (this.g[i] !== this.rhs[i]) this.#push(i);
+  }
+
+  #compute(onProgress) {
+    const steps = [];
+    const report = progressReporter(steps, onProgress);
+    const si = this.#idx(this.start);
+    while (true) {
+      const top = this.#top();
+      const startKey = this.#key(si);
+      if (!top || (!keyLess(top, startKey) && this.rhs[si] === this.g[si])) break;
+      const u = top.i;
+      const kNew = this.#key(u);
+      if (keyLess(top, kNew)) {
+        this.U.pop();
+        this.#push(u);
+        continue;
+      }
+      this.U.pop();
+      this.queued.delete(u);
+      const step = { node: this.#pos(u), open: [] };
+      steps.push(step);
+      report();
+      this.#touched.add(u);
+      const preds = this.#succ(u); // neighbourhood is symmetric
+      if (this.g[u] > this.rhs[u]) {
+        this.g[u] = this.rhs[u];
+      } else {
+        this.g[u] = Infinity;
+        preds.push(u);
+      }
+      for (const s of preds) {
+        this.#updateVertex(s);
+        if (this.queued.has(s)) step.open.push(this.#pos(s));
+      }
+    }
+    return { visited: steps.map((s) => s.node), steps, path: this.path(), touched: this.#touched.size };
+  }
+
+  // Greedy descent on g from the start; empty when the goal is unreachable.
+  path() {
+    const si = this.#idx(this.start),
+      gi = this.#idx(this.goal);
+    if (this.g[si] === Infinity) return [];
+    const path = [this.#pos(si)];
+    let cur = si;
+    for (let guard = this.rows * this.cols; cur !== gi && guard > 0; guard--) {
+      let next = -1,
+        best = Infinity;
+      for (const s of this.#succ(cur)) {
+        const v = this.#cost(cur, s) + this.g[s];
+        if (v < best) {
+          best = v;
+          next = s;
+        }
+      }
+      if (next < 0 || best === Infinity) return [];
+      cur = next;
+      path.push(this.#pos(cur));
+    }
+    return cur === gi ? path : [];
+  }
+}
+
+// One-shot wrapper so D* Lite can be used through plan() like the others.
+export function runDStarLite(grid, start, goal, opts = {}) {
+  return new DStarLite(grid, start, goal, opts).plan(opts.onProgress);
+}
@@ -0,0 +1,181 @@
+import { MinHeap } from "./heap.js";
+import { progressReporter } from "./trace.js";
+import { fillPath, inBounds, neighbors, stepCost } from "./grid.js";
+import { edgeModel } from "./terrain.js";
+
+/********************
+ * Dynamic obstacles and time-aware planning
+ * A dynamic obstacle { points, mode } holds one cell per tick and moves one
+ * cell per tick along straight lines through its points:
+ *   once    follows the route once, then stays on its last point
+ *   loop    patrols, walking from the last point back to the first
+ *   bounce  walks the route back and forth
+ *
+ * runSpaceTimeAStar() searches (cell, tick) states: every tick the robot
+ * enters a neighbour (paying stepCost()) or waits (paying 1), and may not
+ * share a cell with an obstacle or swap cells with one. The heuristic is the
+ * exact static cost-to-go, so the result is the cheapest plan that avoids
+ * the predicted obstacle positions. The robot stays on the goal once there,
+ * so it is only reached at a tick after which no obstacle passes through it,
+ * unless `park` is false (a route waypoint the robot leaves right away).
+ *
+ * Options: obstacles, startTime (tick the robot sets off; route legs chain
+ * on it), park (default true), diag, corners, costModel, agent, profiles
+ * (moves are priced under the agent's terrain profile, see terrain.js).
+ * Trace steps carry `t`, the tick of the expanded state. The result's
+ * `path` is the robot's cell at every tick from startTime (a wait repeats a
+ * cell) and adds `arrival` (the tick it reaches the goal) and `waits`.
+ ********************/
+
+export const ObstacleModes = {
+  ONCE: "once",
+  LOOP: "loop",
+  BOUNCE: "bounce",
+};
+
+export const WAIT_COST = 1;
+const MAX_EXPANSIONS = 250000;
+
+// Cells an obstacle holds over one period (the whole route for `once`).
+export function obstacleTrack({ points, mode }) {
+  const line = fillPath(points);
+  if (points.length < 2) return line;
+  if (mode === ObstacleModes.LOOP) return fillPath([...points, points[0]]).slice(0, -1);
+  if (mode === ObstacleModes.BOUNCE) return line.concat(line.slice(1, -1).reverse());
+  return line;
+}
+
+// Cell of an obstacle at tick t; pass its track when calling in a loop.
+export function obstacleAt(obstacle, t, track = obstacleTrack(obstacle)) {
+  if (obstacle.mode === ObstacleModes.ONCE) return track[Math.min(t, track.length - 1)];
+  return track[t % track.length];
+}
+
+// Ticks at which a per-tick `path` (from tick 0) runs into an obstacle, or
+// swaps cells with one: [{ t, cell }].
+export function collisions(path, obstacles) {
+  const tracks = obstacles.map(obstacleTrack);
+  const same = (a, b) => a.r === b.r && a.c === b.c;
+  const out = [];
+  path.forEach((p, t) => {
+    const hit = obstacles.some((o, k) => {
+      if (same(obstacleAt(o, t, tracks[k]), p)) return true;
+      return t > 0 && same(obstacleAt(o, t - 1, tracks[k]), p) && same(obstacleAt(o, t, tracks[k]), path[t - 1]);
+    });
+    if (hit) out.push({ t, cell: p });
+  });
+  return out;
+}
+
+// Static cost-to-go: what entering cells costs from each cell to `goal`.
+function costToGo(grid, goal, diag, corners, model, edges) {
+  const rows = grid.length,
+    cols = grid[0].length;
+  const dist = new Float64Array(rows * cols).fill(Infinity);
+  const pq = new MinHeap();
+  dist[goal.r * cols + goal.c] = 0;
+  pq.push({ prio: 0, r: goal.r, c: goal.c });
+  while (pq.size) {
+    const { prio, r, c } = pq.pop();
+    if (prio !== dist[r * cols + c]) continue; // stale
+    for (const nb of neighbors(r, c, rows, cols, diag, grid, corners)) {
+      if (grid[nb.r][nb.c].wall) continue;
+      const alt = prio + stepCost(grid, nb, { r, c }, model, edges);
+      if (alt < dist[nb.r * cols + nb.c]) {
+        dist[nb.r * cols + nb.c] = alt;
+        pq.push({ prio: alt, r: nb.r, c: nb.c });
+      }
+    }
+  }
+  return dist;
+}
+
+export function runSpaceTimeAStar(grid, start, goal, opts = {}) {
+  const rows = grid.length,
+    cols = grid[0].length;
+  const N = rows * cols;
+  const diag = opts.diag ?? false;
+  const t0 = opts.startTime ?? 0;
+  const park = opts.park ?? true;
+  const obstacles = opts.obstacles ?? [];
+  const tracks = obstacles.map(obstacleTrack);
+  const steps = [];
+  const report = progressReporter(steps, opts.onProgress);
+  const fail = { visited: [], steps, path: [], arrival: null, waits: 0 };
+  if (!inBounds(start.r, start.c, rows, cols) || grid[start.r][start.c].wall) return fail;
+
+  const cellAt = (k, t) => {
+    const p = obstacleAt(obstacles[k], t, tracks[k]);
+    return p.r * cols + p.c;
+  };
+  // cells held by obstacles, per tick
+  const held = new Map();
+  const heldAt = (t) => {
+    if (!held.has(t)) held.set(t, new Set(obstacles.map((_, k) => cellAt(k, t))));
+    return held.get(t);
+  };
+  // does an obstacle move j -> i while the robot moves i -> j?
+  const swaps = (i, j, t) => obstacles.some((_, k) => cellAt(k, t) === j && cellAt(k, t + 1) === i);
+  // after this many ticks every obstacle has parked or repeats itself
+  const settle = Math.max(0, ...tracks.map((tr) => tr.length));
+  // can the robot park on cell i from tick t on? Checking `settle` ticks
+  // covers every parked obstacle and a full period of every patrolling one.
+  const parkable = (i, t) => {
+    for (let u = t + 1; u <= t + settle; u++) if (heldAt(u).has(i)) return false;
+    return true;
+  };
+  const edges = edgeModel(opts);
+  const h = costToGo(grid, goal, diag, opts.corners, opts.costModel, edges);
+  const horizon = t0 + settle + 4 * (rows + cols);
+  const s = start.r * cols + start.c;
+  const gi = goal.r * cols + goal.c;
+
+  const g = new Map([[t0 * N + s, 0]]);
+  const parent = new Map([[t0 * N + s, -1]]);
+  const pq = new MinHeap((x, y) => x.prio < y.prio || (x.prio === y.prio && x.t > y.t));
+  pq.push({ prio: h[s], i: s, t: t0, g: 0 });
+  let found = -1;
+
+  while (pq.size && steps.length < MAX_EXPANSIONS) {
+    const cur = pq.pop();
+    const k = cur.t * N + cur.i;
+    if (cur.g !== g.get(k)) continue; // stale
+    const r = Math.floor(cur.i / cols),
+      c = cur.i % cols;
+    const step = { node: { r, c }, open: [], t: cur.t };
+    steps.push(step);
+    report();
+    if (cur.i === gi && (!park || parkable(gi, cur.t))) {
+      found = k;
+      break;
+    }
+    if (cur.t >= horizon || h[cur.i] === Infinity) continue;
+    const nt = cur.t + 1;
+    const now = heldAt(cur.t),
+      next = heldAt(nt);
+    for (const nb of [{ r, c }, ...neighbors(r, c, rows, cols, diag, grid, opts.corners)]) {
+      if (grid[nb.r][nb.c].wall) continue;
+      const j = nb.r * cols + nb.c;
+      if (next.has(j)) continue; // collision
+      if (j !== cur.i && now.has(j) && next.has(cur.i) && swaps(cur.i, j, cur.t)) continue;
+      const nk = nt * N + j;
+      const alt = cur.g + (j === cur.i ? WAIT_COST : stepCost(grid, { r, c }, nb, opts.costModel, edges));
+      if (alt < (g.get(nk) ?? Infinity)) {
+        g.set(nk, alt);
+        parent.set(nk, k);
+        pq.push({ prio: alt + h[j], i: j, t: nt, g: alt });
+        step.open.push(nb);
+      }
+    }
+  }
+
+  if (found === -1) return { ...fail, visited: steps.map((st) => st.node) };
+  const path = [];
+  for (let u = found; u !== -1; u = parent.get(u)) {
+    const i = u % N;
+    path.push({ r: Math.floor(i / cols), c: i % cols });
+  }
+  path.reverse();
+  const waits = path.filter((p, i) => i > 0 && p.r === path[i - 1].r && p.c === path[i - 1].c).length;
+  return { visited: steps.map((st) => st.node), steps, path, cost: g.get(found), arrival: Math.floor(found / N), waits };
+}
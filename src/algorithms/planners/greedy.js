@@ -0,0 +1,40 @@
+import { MinHeap } from "./heap.js";
+import { progressReporter } from "./trace.js";
+import { key, neighbors, reconstruct } from "./grid.js";
+import { heuristicFn } from "./heuristics.js";
+
+// Greedy best-first: orders the open list by heuristic only, so it ignores
+// accumulated cost (and therefore weights) and is not optimal.
+export function runGreedy(grid, start, goal, opts = {}) {
+  const rows = grid.length,
+    cols = grid[0].length;
+  const diag = opts.diag ?? false;
+  const h = heuristicFn(opts);
+  const pq = new MinHeap();
+  const came = {};
+  const seen = new Set();
+  const steps = [];
+  const report = progressReporter(steps, opts.onProgress);
+  const sKey = key(start.r, start.c);
+  seen.add(sKey);
+  pq.push({ prio: h(start, goal), node: start });
+
+  while (pq.size) {
+    const { node } = pq.pop();
+    const { r, c } = node;
+    const step = { node: { r, c }, open: [] };
+    steps.push(step);
+    report();
+    if (r === goal.r && c === goal.c) break;
+
+    for (const nb of neighbors(r, c, rows, cols, diag, grid, opts.corners)) {
+      const nk = key(nb.r, nb.c);
+      if (grid[nb.r][nb.c].wall || seen.has(nk)) continue;
+      seen.add(nk);
+      came[nk] = key(r, c);
+      pq.push({ prio: h(nb, goal), node: nb });
+      step.open.push(nb);
+    }
+  }
+  return { visited: steps.map((s) => s.node), steps, path: reconstruct(came, key(goal.r, goal.c), key(start.r, start.c)) };
+}
@@ -0,0 +1,311 @@
+/******************** Grid helpers ********************/
+export const DIRS4 = [
+  [1, 0],
+  [-1, 0],
+  [0, 1],
+  [0, -1],
+];
+export const DIRS8 = [
+  ...DIRS4,
+  [1, 1],
+  [1, -1],
+  [-1, 1],
+  [-1, -1],
+];
+
+export const clamp = (n, lo, hi) => Math.max(lo, Math.min(hi, n));
+export const key = (r, c) => `${r},${c}`;
+export const manhattan = (a, b) => Math.abs(a.r - b.r) + Math.abs(a.c - b.c);
+export const euclid = (a, b) => Math.hypot(a.r - b.r, a.c - b.c);
+export const chebyshev = (a, b) => Math.max(Math.abs(a.r - b.r), Math.abs(a.c - b.c));
+export const octile = (a, b) => {
+  const dr = Math.abs(a.r - b.r),
+    dc = Math.abs(a.c - b.c);
+  return Math.max(dr, dc) + (Math.SQRT2 - 1) * Math.min(dr, dc);
+};
+
+// What a step into a neighbouring cell costs: UNIFORM charges weight(v) for
+// every step into v; OCTILE (the default) charges a diagonal step its true
+// length, √2 × weight(v). With an edge model (see terrain.js) the weight is
+// scaled by v's terrain factor and the slope/one-way cost of u -> v is added.
+export const CostModels = {
+  UNIFORM: "uniform",
+  OCTILE: "octile",
+};
+
+export function stepCost(grid, a, b, model = CostModels.OCTILE, edges = null) {
+  const to = grid[b.r][b.c];
+  const w = (to.weight ?? 1) * (edges ? edges.factor(to) : 1);
+  const cost = a.r !== b.r && a.c !== b.c && model !== CostModels.UNIFORM ? Math.SQRT2 * w : w;
+  return edges ? cost + edges.transition(grid[a.r][a.c], to, b.r - a.r, b.c - a.c) : cost;
+}
+
+export function inBounds(r, c, rows, cols) {
+  return r >= 0 && r < rows && c >= 0 && c < cols;
+}
+
+// When a diagonal step may pass wall corners: ALLOW always; NO_SQUEEZE
+// unless both cells beside the step are walls (squeezing between two
+// touching walls; the default); NO_CUT only if both are free.
+export const CornerRules = {
+  ALLOW: "allow",
+  NO_SQUEEZE: "no-squeeze",
+  NO_CUT: "no-cut",
+};
+
+// Whether the step (r, c) -> (nr, nc) satisfies `rule`; straight steps do.
+export function cornerOk(grid, r, c, nr, nc, rule) {
+  if (r === nr || c === nc || !rule || rule === CornerRules.ALLOW) return true;
+  const a = grid[r][nc].wall,
+    b = grid[nr][c].wall;
+  return rule === CornerRules.NO_CUT ? !a && !b : !(a && b);
+}
+
+// In-bounds 4- or 8-neighbours; with `grid` and a corner rule, diagonal
+// steps that break the rule are left out.
+export function neighbors(r, c, rows, cols, diag, grid = null, corners = CornerRules.NO_SQUEEZE) {
+  const dirs = diag ? DIRS8 : DIRS4;
+  const out = [];
+  for (const [dr, dc] of dirs) {
+    const nr = r + dr,
+      nc = c + dc;
+    if (inBounds(nr, nc, rows, cols) && (!grid || cornerOk(grid, r, c, nr, nc, corners))) out.push({ r: nr, c: nc });
+  }
+  return out;
+}
+
+export function makeGrid(rows, cols) {
+  return Array.from({ length: rows }, () =>
+    Array.from({ length: cols }, () => ({ wall: false, weight: 1 }))
+  );
+}
+
+export function isFree(grid, r, c) {
+  return inBounds(r, c, grid.length, grid[0].length) && !grid[r][c].wall;
+}
+
+// Cells visited by a Bresenham walk from a to b, both ends included.
+export function lineCells(a, b) {
+  const out = [];
+  let x0 = a.r,
+    y0 = a.c;
+  const x1 = b.r,
+    y1 = b.c;
+  const dx = Math.abs(x1 - x0);
+  const dy = Math.abs(y1 - y0);
+  const sx = x0 < x1 ? 1 : -1;
+  const sy = y0 < y1 ? 1 : -1;
+  let err = dx - dy;
+  while (true) {
+    out.push({ r: x0, c: y0 });
+    if (x0 === x1 && y0 === y1) break;
+    const e2 = err * 2;
+    if (e2 > -dy) {
+      err -= dy;
+      x0 += sx;
+    }
+    if (e2 < dx) {
+      err += dx;
+      y0 += sy;
+    }
+  }
+  return out;
+}
+
+// Bresenham-like discrete collision check along the segment a -> b
+export function lineFree(grid, a, b) {
+  let x0 = a.r,
+    y0 = a.c;
+  const x1 = b.r,
+    y1 = b.c;
+  const dx = Math.abs(x1 - x0);
+  const dy = Math.abs(y1 - y0);
+  const sx = x0 < x1 ? 1 : -1;
+  const sy = y0 < y1 ? 1 : -1;
+  let err = dx - dy;
+  while (true) {
+    if (!isFree(grid, x0, y0)) return false;
+    if (x0 === x1 && y0 === y1) break;
+    const e2 = err * 2;
+    if (e2 > -dy) {
+      err -= dy;
+      x0 += sx;
+    }
+    if (e2 < dx) {
+      err += dx;
+      y0 += sy;
+    }
+  }
+  return true;
+}
+
+// Cost of a straight move a -> b: Euclidean length times the mean weight of
+// the cells entered along the way (so a unit step costs weight(b)), plus
+// the transitions between them under `edges`.
+export function segmentCost(grid, a, b, edges = null) {
+  const cells = lineCells(a, b);
+  if (cells.length < 2) return 0;
+  let sum = 0,
+    extra = 0;
+  for (let i = 1; i < cells.length; i++) {
+    const from = grid[cells[i - 1].r][cells[i - 1].c],
+      to = grid[cells[i].r][cells[i].c];
+    sum += (to.weight ?? 1) * (edges ? edges.factor(to) : 1);
+    if (edges) extra += edges.transition(from, to, b.r - a.r, b.c - a.c);
+  }
+  return euclid(a, b) * (sum / (cells.length - 1)) + extra;
+}
+
+// Expands a list of waypoints into the contiguous cells between them.
+export function fillPath(waypoints) {
+  if (!waypoints.length) return [];
+  const out = [waypoints[0]];
+  for (let i = 1; i < waypoints.length; i++) out.push(...lineCells(waypoints[i - 1], waypoints[i]).slice(1));
+  return out;
+}
+
+// Euclidean length of a polyline through cell centres.
+export function pathLength(path) {
+  let len = 0;
+  for (let i = 1; i < path.length; i++) len += euclid(path[i - 1], path[i]);
+  return len;
+}
+
+// Path from the start (key `skey`) to `gkey` along the `cameFrom` links; []
+// if the goal was never reached, [start] if it is the start.
+export function reconstruct(cameFrom, gkey, skey) {
+  const path = [];
+  let cur = gkey;
+  if (!cameFrom[cur] && cur !== skey) return path;
+  while (cur) {
+    const [r, c] = cur.split(",").map(Number);
+    path.push({ r, c });
+    cur = cameFrom[cur];
+  }
+  return path.reverse();
+}
+
+// Weighted cost of a path: a step into a neighbouring cell costs stepCost()
+// under `model` (as runDijkstra/runAStar charge it); longer segments, as
+// produced by the sampling planners, cost segmentCost().
+export function pathCost(grid, path, model = CostModels.OCTILE, edges = null) {
+  let cost = 0;
+  for (let i = 1; i < path.length; i++) {
+    const a = path[i - 1],
+      b = path[i];
+    const adjacent = Math.max(Math.abs(a.r - b.r), Math.abs(a.c - b.c)) <= 1;
+    cost += adjacent ? stepCost(grid, a, b, model, edges) : segmentCost(grid, a, b, edges);
+  }
+  return cost;
+}
+
+// Cost of the straight segment a -> b between real-valued points, where cell
+// (r, c) covers [r - 0.5, r + 0.5) x [c - 0.5, c + 0.5): the length inside
+// each crossed cell times its weight. Infinity if the segment touches a wall
+// or leaves the map; passing exactly through a corner needs both side cells
+// free, so segments cannot squeeze between diagonal walls. With `edges`
+// (see terrain.js) weights are scaled by terrain and each cell boundary
+// crossed adds its slope/one-way cost. With `cells`, the cells walked are
+// appended to it, a corner crossing going through one of its side cells.
+export function traceSegment(grid, a, b, edges = null, cells = null) {
+  const u0 = a.r + 0.5,
+    v0 = a.c + 0.5;
+  const du = b.r - a.r,
+    dv = b.c - a.c;
+  const len = Math.hypot(du, dv);
+  let r = Math.floor(u0),
+    c = Math.floor(v0);
+  const rEnd = Math.floor(b.r + 0.5),
+    cEnd = Math.floor(b.c + 0.5);
+  const sr = Math.sign(du),
+    sc = Math.sign(dv);
+  const dtr = du ? Math.abs(1 / du) : Infinity,
+    dtc = dv ? Math.abs(1 / dv) : Infinity;
+  let tr = du > 0 ? (r + 1 - u0) / du : du < 0 ? (r - u0) / du : Infinity;
+  let tc = dv > 0 ? (c + 1 - v0) / dv : dv < 0 ? (c - v0) / dv : Infinity;
+  let t = 0,
+    cost = 0;
+  for (;;) {
+    if (!isFree(grid, r, c)) return Infinity;
+    cells?.push({ r, c });
+    const next = r === rEnd && c === cEnd ? 1 : Math.min(tr, tc, 1);
+    const cell = grid[r][c];
+    const factor = edges ? edges.factor(cell) : 1;
+    if (factor === Infinity) return Infinity; // impassable terrain
+    cost += (next - t) * len * (cell.weight ?? 1) * factor;
+    if (next >= 1) break;
+    t = next;
+    if (edges) {
+      const nr = tr <= tc + 1e-9 ? r + sr : r,
+        nc = tc <= tr + 1e-9 ? c + sc : c;
+      if (isFree(grid, nr, nc)) cost += edges.transition(cell, grid[nr][nc], du, dv);
+    }
+    if (Math.abs(tr - tc) < 1e-9) {
+      if (!isFree(grid, r + sr, c) || !isFree(grid, r, c + sc)) return Infinity;
+      cells?.push({ r: r + sr, c });
+      r += sr;
+      c += sc;
+      tr += dtr;
+      tc += dtc;
+    } else if (tr < tc) {
+      r += sr;
+      tr += dtr;
+    } else {
+      c += sc;
+      tc += dtc;
+    }
+  }
+  return cost;
+}
+
+// Cells under a polyline of real-valued points, walked exactly as
+// traceSegment() walks (and collision-checks) each segment, so consecutive
+// cells share an edge. A single point gives the cell holding it.
+export function polylineCells(grid, polyline) {
+  const out = [];
+  if (polyline.length === 1) traceSegment(grid, polyline[0], polyline[0], null, out);
+  for (let i = 1; i < polyline.length; i++) {
+    const cells = [];
+    traceSegment(grid, polyline[i - 1], polyline[i], null, cells);
+    const last = out[out.length - 1];
+    out.push(...(last && last.r === cells[0]?.r && last.c === cells[0]?.c ? cells.slice(1) : cells));
+  }
+  return out;
+}
+
+// Approximate Euclidean distance (in cells) from every cell to the nearest
+// wall, treating the area outside the map as wall: a two-pass chamfer
+// transform with 1 / √2 steps. Walls are 0. Returns a Float32Array indexed
+// by r * cols + c.
+export function distanceTransform(grid) {
+  const rows = grid.length,
+    cols = grid[0].length;
+  const d = new Float32Array(rows * cols);
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      d[r * cols + c] = grid[r][c].wall ? 0 : Math.min(r, c, rows - 1 - r, cols - 1 - c) + 1;
+    }
+  }
+  const relax = (i, r, c, step) => {
+    if (inBounds(r, c, rows, cols)) d[i] = Math.min(d[i], d[r * cols + c] + step);
+  };
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      const i = r * cols + c;
+      relax(i, r - 1, c, 1);
+      relax(i, r, c - 1, 1);
+      relax(i, r - 1, c - 1, Math.SQRT2);
+      relax(i, r - 1, c + 1, Math.SQRT2);
+    }
+  }
+  for (let r = rows - 1; r >= 0; r--) {
+    for (let c = cols - 1; c >= 0; c--) {
+      const i = r * cols + c;
+      relax(i, r + 1, c, 1);
+      relax(i, r, c + 1, 1);
+      relax(i, r + 1, c + 1, Math.SQRT2);
+      relax(i, r + 1, c - 1, Math.SQRT2);
+    }
+  }
+  return d;
+}
@@ -0,0 +1,51 @@
+/******************** Binary min-heap keyed on `prio` ********************/
+// Pass `less` to order entries some other way (e.g. D* Lite's two-part keys).
+export class MinHeap {
+  constructor(less = (x, y) => x.prio < y.prio) {
+    this.a = [];
+    this.less = less;
+  }
+  push(x) {
+    this.a.push(x);
+    this.#up(this.a.length - 1);
+  }
+  pop() {
+    if (!this.a.length) return null;
+    const top = this.a[0];
+    const last = this.a.pop();
+    if (this.a.length) {
+      this.a[0] = last;
+      this.#down(0);
+    }
+    return top;
+  }
+  peek() {
+    return this.a.length ? this.a[0] : null;
+  }
+  get size() {
+    return this.a.length;
+  }
+  #up(i) {
+    const a = this.a;
+    while (i > 0) {
+      const p = (i - 1) >> 1;
+      if (!this.less(a[i], a[p])) break;
+      [a[p], a[i]] = [a[i], a[p]];
+      i = p;
+    }
+  }
+  #down(i) {
+    const a = this.a,
+      n = a.length;
+    while (true) {
+      let l = i * 2 + 1,
+        r = l + 1,
+        m = i;
+      if (l < n && this.less(a[l], a[m])) m = l;
+      if (r < n && this.less(a[r], a[m])) m = r;
+      if (m === i) break;
+      [a[i], a[m]] = [a[m], a[i]];
+      i = m;
+    }
+  }
+}
@@ -0,0 +1,68 @@
+import { CostModels, chebyshev, euclid, manhattan, octile } from "./grid.js";
+
+/********************
+ * Heuristics for the A* family
+ * `opts.heuristic` picks the estimate of the remaining cost; AUTO takes the
+ * tightest one that never overestimates under the movement model: Manhattan
+ * on a 4-connected grid, Octile when diagonal steps cost √2, Chebyshev when
+ * they cost 1. Weighted A* multiplies the estimate by `opts.epsilon` (≥ 1),
+ * expanding fewer nodes for a path at most ε times the optimal cost.
+ *
+ * All estimates assume the cheapest cell weight, 1, so an admissible one
+ * stays admissible on weighted maps.
+ ********************/
+
+export const Heuristics = {
+  AUTO: "auto",
+  MANHATTAN: "manhattan",
+  EUCLIDEAN: "euclidean",
+  OCTILE: "octile",
+  CHEBYSHEV: "chebyshev",
+  ZERO: "zero",
+};
+
+export const HeuristicLabels = {
+  [Heuristics.AUTO]: "Auto",
+  [Heuristics.MANHATTAN]: "Manhattan",
+  [Heuristics.EUCLIDEAN]: "Euclidean",
+  [Heuristics.OCTILE]: "Octile",
+  [Heuristics.CHEBYSHEV]: "Chebyshev",
+  [Heuristics.ZERO]: "Zero (Dijkstra)",
+};
+
+const ESTIMATES = {
+  [Heuristics.MANHATTAN]: manhattan,
+  [Heuristics.EUCLIDEAN]: euclid,
+  [Heuristics.OCTILE]: octile,
+  [Heuristics.CHEBYSHEV]: chebyshev,
+  [Heuristics.ZERO]: () => 0,
+};
+
+// The concrete heuristic `opts` selects, with AUTO resolved.
+export function heuristicName(opts = {}) {
+  const name = opts.heuristic ?? Heuristics.AUTO;
+  if (name !== Heuristics.AUTO) return name;
+  if (!opts.diag) return Heuristics.MANHATTAN;
+  return opts.costModel === CostModels.UNIFORM ? Heuristics.CHEBYSHEV : Heuristics.OCTILE;
+}
+
+export function heuristicFn(opts = {}) {
+  return ESTIMATES[heuristicName(opts)];
+}
+
+// Why A* with these options may return a costlier path than the optimum, or
+// null when it cannot. On a 4-connected grid every estimate here is at most
+// the Manhattan distance, so only diagonal moves can break admissibility.
+export function inadmissibility(opts = {}) {
+  const name = heuristicName(opts);
+  const eps = opts.epsilon ?? 1;
+  const reasons = [];
+  if (opts.diag) {
+    const uniform = opts.costModel === CostModels.UNIFORM;
+    if (name === Heuristics.MANHATTAN || (uniform && (name === Heuristics.EUCLIDEAN || name === Heuristics.OCTILE))) {
+      reasons.push(`${HeuristicLabels[name]} overestimates diagonal moves costing ${uniform ? "1" : "√2"}`);
+    }
+  }
+  if (eps > 1) reasons.push(`ε = ${eps} inflates the heuristic, bounding the cost by ${eps}× the optimum`);
+  return reasons.length ? reasons.join("; ") : null;
+}
@@ -0,0 +1,211 @@
+import { MinHeap } from "./heap.js";
+import { progressReporter } from "./trace.js";
+import { inBounds, isFree, neighbors, octile } from "./grid.js";
+import { dubins, reedsShepp, sampleCurve } from "./curves.js";
+import { edgeModel } from "./terrain.js";
+
+/********************
+ * Hybrid A* for car-like vehicles (Dolgov et al. 2008)
+ * Searches continuous poses (r, c, heading) but closes them per discrete
+ * state: cell × one of HEADINGS heading bins. Every expansion drives STEP
+ * cells forward (and backward with `reverse`) with the wheel hard left,
+ * straight or hard right, i.e. along arcs of radius `turningRadius`. Every
+ * ANALYTIC_EVERY expansions, and when close to the goal, a Dubins curve
+ * (Reeds-Shepp with `reverse`) to the goal pose is tried; the search ends
+ * when one is collision-free.
+ *
+ * The vehicle is a `vehicleLength` × `vehicleWidth` rectangle centred on
+ * the pose; a motion is valid when every sample of the body along it lies
+ * on free cells. Driving costs its length times the weight of the cells
+ * crossed, scaled by the agent's terrain profile, plus the slope and
+ * one-way cost of every cell boundary crossed (see terrain.js); reversing
+ * multiplies the length cost by `reversePenalty`, and each change of
+ * direction adds SWITCH_PENALTY. The heuristic is the larger of the
+ * obstacle-free curve length and the obstacle-aware 8-connected distance.
+ *
+ * Headings are in degrees clockwise from east (+c towards +r), read from
+ * `start.heading` (default 0) and `goal.heading` (any heading when unset).
+ * Trace steps are tree vertices ({ id, vertex, parent }) at the expanded
+ * poses. The result adds `poses` ({ r, c, heading, dir } every SAMPLE
+ * cells, dir -1 when reversing), `vehicle` ({ length, width }), `cost`,
+ * `reversals` and `analytic`, the word of the closing curve (e.g. "LSR").
+ ********************/
+
+const HEADINGS = 72; // 5° bins
+const STEP = 1.5; // arc length per motion primitive, in cells
+const SAMPLE = 0.25; // collision-check and output spacing, in cells
+const BODY_SPACING = 0.5; // spacing of the collision points over the body
+const SWITCH_PENALTY = 2;
+const STEER_PENALTY = 0.05; // per cell driven with the wheel turned
+const ANALYTIC_EVERY = 5;
+const MAX_EXPANSIONS = 60000;
+
+const rad = (deg) => (deg * Math.PI) / 180;
+const deg = (th) => {
+  const d = ((th * 180) / Math.PI) % 360;
+  return d < 0 ? d + 360 : d;
+};
+const cellOf = (p) => ({ r: Math.floor(p.r + 0.5), c: Math.floor(p.c + 0.5) });
+
+// Collision points over a length × width rectangle, in the vehicle frame
+// (forward, left); pulled in a hair so a body exactly one cell wide still
+// fits a one-cell corridor.
+function bodyPoints(length, width) {
+  const pts = [];
+  const nf = Math.max(1, Math.ceil(length / BODY_SPACING)),
+    ns = Math.max(1, Math.ceil(width / BODY_SPACING));
+  const hl = length / 2 - 1e-3,
+    hw = width / 2 - 1e-3;
+  for (let i = 0; i <= nf; i++) for (let j = 0; j <= ns; j++) pts.push([-hl + (2 * hl * i) / nf, -hw + (2 * hw * j) / ns]);
+  return pts;
+}
+
+// 8-connected cost-to-go from the goal cell over free cells.
+function distances(grid, goal) {
+  const rows = grid.length,
+    cols = grid[0].length;
+  const dist = new Float64Array(rows * cols).fill(Infinity);
+  const pq = new MinHeap();
+  dist[goal.r * cols + goal.c] = 0;
+  pq.push({ prio: 0, r: goal.r, c: goal.c });
+  while (pq.size) {
+    const { prio, r, c } = pq.pop();
+    if (prio !== dist[r * cols + c]) continue; // stale
+    for (const nb of neighbors(r, c, rows, cols, true, grid)) {
+      if (grid[nb.r][nb.c].wall) continue;
+      const alt = prio + octile({ r, c }, nb);
+      if (alt < dist[nb.r * cols + nb.c]) {
+        dist[nb.r * cols + nb.c] = alt;
+        pq.push({ prio: alt, r: nb.r, c: nb.c });
+      }
+    }
+  }
+  return dist;
+}
+
+export function runHybridAStar(grid, start, goal, opts = {}) {
+  const rows = grid.length,
+    cols = grid[0].length;
+  const R = opts.turningRadius ?? 3;
+  const reverse = opts.reverse ?? false;
+  const reversePenalty = opts.reversePenalty ?? 2;
+  const vehicle = { length: opts.vehicleLength ?? 2, width: opts.vehicleWidth ?? 1 };
+  const body = bodyPoints(vehicle.length, vehicle.width);
+  const analytic = reverse ? reedsShepp : dubins;
+  const edges = edgeModel(opts);
+  const steps = [];
+  const report = progressReporter(steps, opts.onProgress);
+  const fail = { visited: [], steps, path: [], poses: [], vehicle };
+
+  const collides = (p) => {
+    const cos = Math.cos(p.th),
+      sin = Math.sin(p.th);
+    return body.some(([f, s]) => {
+      const r = Math.floor(p.r + f * sin + s * cos + 0.5),
+        c = Math.floor(p.c + f * cos - s * sin + 0.5);
+      return !isFree(grid, r, c);
+    });
+  };
+  // length × weight × terrain of the cells driven through, reverse
+  // penalised, plus the edge costs between them (Infinity when forbidden)
+  const motionCost = (poses) => {
+    let cost = 0;
+    for (let i = 1; i < poses.length; i++) {
+      const a = poses[i - 1],
+        b = poses[i];
+      const ca = cellOf(a),
+        cb = cellOf(b);
+      const cell = grid[cb.r][cb.c];
+      cost += Math.hypot(b.r - a.r, b.c - a.c) * (cell.weight ?? 1) * edges.factor(cell) * (b.dir < 0 ? reversePenalty : 1);
+      if (ca.r !== cb.r || ca.c !== cb.c) cost += edges.transition(grid[ca.r][ca.c], cell, cb.r - ca.r, cb.c - ca.c);
+      if (b.dir !== a.dir) cost += SWITCH_PENALTY;
+    }
+    return cost;
+  };
+
+  const from = { r: start.r, c: start.c, th: rad(start.heading ?? 0) };
+  const free = goal.heading === undefined;
+  const target = { r: goal.r, c: goal.c, th: free ? 0 : rad(goal.heading) };
+  if (!inBounds(start.r, start.c, rows, cols) || !inBounds(goal.r, goal.c, rows, cols) || collides(from) || (!free && collides(target))) return fail;
+  const hol = distances(grid, goal);
+  // a free goal heading points the closing curve straight at the goal
+  const aim = (p) => (free ? { ...target, th: Math.atan2(goal.r - p.r, goal.c - p.c) } : target);
+  const h = (p) => {
+    const { r, c } = cellOf(p);
+    return free ? hol[r * cols + c] : Math.max(hol[r * cols + c], analytic(p, target, R).length);
+  };
+  const stateOf = (p) => {
+    const { r, c } = cellOf(p);
+    const bin = Math.round((deg(p.th) / 360) * HEADINGS) % HEADINGS;
+    return (r * cols + c) * HEADINGS + bin;
+  };
+
+  // nodes keep the motion that reached them, resampled for the result
+  const nodes = [{ pose: from, g: 0, parent: -1, segs: [], dir: 0 }];
+  const best = new Map([[stateOf(from), 0]]);
+  const closed = new Set();
+  const pq = new MinHeap();
+  pq.push({ prio: h(from), id: 0 });
+  const primitives = [];
+  for (const dir of reverse ? [1, -1] : [1]) for (const type of ["L", "S", "R"]) primitives.push([{ type, len: (dir * STEP) / R }]);
+
+  let done = null;
+  while (pq.size && steps.length < MAX_EXPANSIONS) {
+    const { id } = pq.pop();
+    const n = nodes[id];
+    const k = stateOf(n.pose);
+    if (closed.has(k) || n.g !== best.get(k)) continue; // stale
+    closed.add(k);
+    const cell = cellOf(n.pose);
+    const step = { node: cell, open: [], id, vertex: { r: n.pose.r, c: n.pose.c }, parent: n.parent };
+    steps.push(step);
+    report();
+
+    if (steps.length % ANALYTIC_EVERY === 1 || hol[cell.r * cols + cell.c] <= 2 * R) {
+      const end = aim(n.pose);
+      const cv = analytic(n.pose, end, R);
+      const poses = sampleCurve(n.pose, cv.segments, R, SAMPLE);
+      poses[0].dir = n.dir || poses[0].dir;
+      const cost = poses.some((p, i) => i > 0 && collides(p)) ? Infinity : n.g + motionCost(poses);
+      if (cost < Infinity) {
+        done = { id, poses, cost, word: cv.segments.filter((sg) => sg.len).map((sg) => sg.type).join("") };
+        break;
+      }
+    }
+
+    for (const segs of primitives) {
+      const poses = sampleCurve(n.pose, segs, R, SAMPLE);
+      poses[0].dir = n.dir || poses[0].dir;
+      if (poses.some((p, i) => i > 0 && collides(p))) continue;
+      const pose = poses[poses.length - 1];
+      const nk = stateOf(pose);
+      if (closed.has(nk)) continue;
+      const g = n.g + motionCost(poses) + (segs[0].type === "S" ? 0 : STEER_PENALTY * STEP);
+      if (g >= (best.get(nk) ?? Infinity)) continue;
+      const hp = h(pose);
+      if (hp === Infinity) continue;
+      best.set(nk, g);
+      nodes.push({ pose, g, parent: id, segs, dir: pose.dir });
+      pq.push({ prio: g + hp, id: nodes.length - 1 });
+      step.open.push(cellOf(pose));
+    }
+  }
+
+  const visited = steps.map((s) => s.node);
+  if (!done) return { ...fail, visited };
+  const chain = [];
+  for (let id = done.id; id !== -1; id = nodes[id].parent) chain.push(nodes[id]);
+  chain.reverse();
+  const raw = [{ ...from, dir: 1 }];
+  for (let i = 1; i < chain.length; i++) raw.push(...sampleCurve(chain[i - 1].pose, chain[i].segs, R, SAMPLE).slice(1));
+  raw.push(...done.poses.slice(1));
+  const poses = raw.map((p) => ({ r: p.r, c: p.c, heading: deg(p.th), dir: p.dir }));
+  const path = [];
+  for (const p of poses) {
+    const cell = cellOf(p);
+    const last = path[path.length - 1];
+    if (!last || last.r !== cell.r || last.c !== cell.c) path.push(cell);
+  }
+  const reversals = poses.filter((p, i) => i > 1 && p.dir !== poses[i - 1].dir).length;
+  return { visited, steps, path, poses, vehicle, cost: done.cost, reversals, analytic: done.word };
+}
@@ -0,0 +1,208 @@
+/********************
+ * Headless planner library
+ * Framework-free: usable from the React app, a Web Worker or Node scripts.
+ *
+ *   plan(scene, algorithm, options)
+ *     -> { algorithm, path, polyline?, poses?, improvements?, steps, visited, found, cost, length, moves, expansions, peakOpen, timeMs }
+ *
+ * `scene` is the shape written by exportJSON(): { rows, cols, grid, start, goal,
+ * waypoints?, obstacles?, seed?, planner? }; only dynamic planners (see
+ * dynamic.js) look at the moving obstacles. With waypoints the result is a multi-stop
+ * route (see route.js), in visiting order if `options.optimalOrder`. Options saved in `scene.planner.options` are used as
+ * defaults, so replaying an exported scene reproduces the run; explicit
+ * `options` override them.
+ * `options.onProgress({ expansions, fraction, steps })` is called periodically
+ * with the trace steps recorded since the previous call.
+ * Every planner searches the cost map of the scene (see costmap.js): walls
+ * inflated by `robotRadius` and weights raised by the clearance cost; the
+ * reported cost includes that extra. Diagonal steps follow `corners` (see
+ * CornerRules) and cost √2 × weight unless `costModel` is "uniform"; the A*
+ * family takes `heuristic` and `epsilon` (see heuristics.js). Hybrid A*
+ * drives a car-like vehicle between start and goal headings (see hybrid.js).
+ * Terrain, slopes and one-way cells are priced by the profile of
+ * `options.agent` in `options.profiles` (see terrain.js); planners flagged
+ * `terrain` search under those edge costs, and every reported cost uses them.
+ ********************/
+import { runAStar } from "./astar.js";
+import { runDijkstra } from "./dijkstra.js";
+import { runRRT, runRRTStar, runRRTConnect, runInformedRRTStar } from "./rrt.js";
+import { buildRoadmap, runPRM } from "./prm.js";
+import { potentialField, runPotentialField } from "./potential.js";
+import { planRoute } from "./route.js";
+import { runSpaceTimeAStar } from "./dynamic.js";
+import { applyCostmap } from "./costmap.js";
+import { runBFS } from "./bfs.js";
+import { runDFS } from "./dfs.js";
+import { runGreedy } from "./greedy.js";
+import { runBidirectionalAStar } from "./bidirectional.js";
+import { runJPS } from "./jps.js";
+import { runThetaStar, runLazyThetaStar } from "./theta.js";
+import { DStarLite, runDStarLite } from "./dstarLite.js";
+import { runHybridAStar } from "./hybrid.js";
+import { CornerRules, CostModels, pathCost, pathLength } from "./grid.js";
+import { Heuristics } from "./heuristics.js";
+import { AgentProfiles, DEFAULT_PROFILES, edgeModel } from "./terrain.js";
+
+export { MinHeap } from "./heap.js";
+export * from "./grid.js";
+import { peakOpen } from "./trace.js";
+export { peakOpen, progressReporter, timelineLength, playbackBatch, FrameCursor, CellState } from "./trace.js";
+export { planRoute, EXACT_LIMIT } from "./route.js";
+export { costmapLayers, applyCostmap } from "./costmap.js";
+export { Heuristics, HeuristicLabels, heuristicName, heuristicFn, inadmissibility } from "./heuristics.js";
+export { dubins, reedsShepp, sampleCurve } from "./curves.js";
+export { Terrains, TerrainLabels, Directions, DIRECTION_VECTORS, MAX_ELEVATION, AgentProfiles, AgentProfileLabels, DEFAULT_PROFILES, agentProfile, edgeModel, hasTerrain } from "./terrain.js";
+export { ObstacleModes, obstacleTrack, obstacleAt, collisions, WAIT_COST } from "./dynamic.js";
+export { solveMAPF, findConflicts, positionAt, MapfSolvers, MAPF_DEFAULTS } from "./mapf.js";
+export { mulberry32, seededRandom, randInt, randomSeed, normalizeSeed, MAX_SEED } from "./random.js";
+export { runAStar, runDijkstra, runRRT, runRRTStar, runRRTConnect, runInformedRRTStar, buildRoadmap, runPRM, potentialField, runPotentialField, runSpaceTimeAStar, runBFS, runDFS, runGreedy, runBidirectionalAStar, runJPS, runThetaStar, runLazyThetaStar, DStarLite, runDStarLite, runHybridAStar };
+
+export const Algorithms = {
+  ASTAR: "A*",
+  DIJKSTRA: "Dijkstra",
+  BFS: "BFS",
+  DFS: "DFS",
+  GREEDY: "Greedy Best-First",
+  BIASTAR: "Bidirectional A*",
+  JPS: "Jump Point Search",
+  THETA: "Theta*",
+  LAZYTHETA: "Lazy Theta*",
+  DSTARLITE: "D* Lite",
+  SPACETIME: "Space-Time A*",
+  HYBRID: "Hybrid A*",
+  RRT: "RRT",
+  RRTSTAR: "RRT*",
+  RRTCONNECT: "RRT-Connect",
+  INFORMED: "Informed RRT*",
+  PRM: "PRM",
+  POTENTIAL: "Potential Field",
+};
+
+// What each planner honours, for UI hints. `weights: false` means cell
+// weights are ignored while searching (the reported cost still uses them);
+// `anyAngle` planners return a `polyline` drawn over the grid; `incremental`
+// planners keep their state and repair the path after map edits; `optimal`
+// planners are guaranteed minimum cost under the runDijkstra cost model
+// (`heuristic` planners, which take `heuristic`, only while inadmissibility()
+// is null; `epsilon` is honoured by `weighted` ones);
+// `randomized` planners depend on `options.seed`; `sampling` planners grow
+// trees in continuous space (drawn edge by edge) and use the `iterations`,
+// `step`, `goalBias` and `anytime` options, plus `radius` if they `rewire`;
+// `roadmap` planners return a reusable graph (`samples`, `neighbors`);
+// `potential` planners return a field to draw (`attract`, `repulse`,
+// `influence`) and may stop in a local minimum; `dynamic` planners avoid the
+// scene's moving obstacles and may wait in place; `kinematic` planners
+// return vehicle `poses` drawn as a smooth trajectory (`turningRadius`,
+// `reverse`, `reversePenalty`, `vehicleLength`, `vehicleWidth`) and honour
+// start and goal headings; `terrain` planners cost edges by the agent's
+// terrain profile, slopes and one-way cells (the others only see weights and
+// walls, and may cross terrain the agent cannot enter).
+export const AlgorithmInfo = {
+  [Algorithms.ASTAR]: { weights: true, diag: true, optimal: true, heuristic: true, weighted: true, terrain: true },
+  [Algorithms.DIJKSTRA]: { weights: true, diag: true, optimal: true, terrain: true },
+  [Algorithms.BFS]: { weights: false, diag: true, optimal: false, note: "BFS minimises the number of moves and ignores cell weights." },
+  [Algorithms.DFS]: { weights: false, diag: true, optimal: false, note: "DFS returns the first path it finds; it ignores cell weights and is not optimal." },
+  [Algorithms.GREEDY]: { weights: false, diag: true, optimal: false, heuristic: true, note: "Greedy Best-First follows the heuristic only; it ignores cell weights and is not optimal." },
+  [Algorithms.BIASTAR]: { weights: true, diag: true, optimal: true, heuristic: true, bidirectional: true },
+  [Algorithms.JPS]: { weights: false, diag: false, optimal: false, note: "Jump Point Search assumes a uniform-cost 8-connected grid: it always moves diagonally and ignores cell weights." },
+  [Algorithms.THETA]: { weights: true, diag: true, optimal: false, anyAngle: true },
+  [Algorithms.LAZYTHETA]: { weights: true, diag: true, optimal: false, anyAngle: true },
+  [Algorithms.DSTARLITE]: { weights: true, diag: true, optimal: true, incremental: true, note: "After planning, keep painting walls and weights (or move the start): D* Lite repairs its solution and shows only the re-expanded nodes." },
+  [Algorithms.SPACETIME]: { weights: true, diag: true, optimal: true, dynamic: true, terrain: true, note: "Space-Time A* plans over (cell, tick) and can wait in place, so it avoids the moving obstacles; every tick spent waiting costs 1." },
+  [Algorithms.HYBRID]: { weights: true, diag: false, optimal: false, kinematic: true, terrain: true, note: "Hybrid A* drives a car with a minimum turning radius: drag from the start or goal to set its heading (an unset goal heading accepts any)." },
+  [Algorithms.RRT]: { weights: true, diag: false, optimal: false, randomized: true, sampling: true, anyAngle: true, terrain: true },
+  [Algorithms.RRTSTAR]: { weights: true, diag: false, optimal: false, randomized: true, sampling: true, anyAngle: true, rewire: true, terrain: true },
+  [Algorithms.RRTCONNECT]: { weights: true, diag: false, optimal: false, randomized: true, sampling: true, anyAngle: true, bidirectional: true, terrain: true },
+  [Algorithms.INFORMED]: { weights: true, diag: false, optimal: false, randomized: true, sampling: true, anyAngle: true, rewire: true, terrain: true, note: "Once a path is found, Informed RRT* samples only the ellipse of points that could lie on a cheaper one." },
+  [Algorithms.PRM]: { weights: true, diag: false, optimal: false, randomized: true, anyAngle: true, roadmap: true, terrain: true, note: "The roadmap is kept while only start or goal move, so new queries skip the sampling phase." },
+  [Algorithms.POTENTIAL]: { weights: false, diag: true, optimal: false, potential: true, note: "The robot descends the potential field and stops in the first local minimum it meets; it ignores cell weights." },
+};
+
+export const DEFAULT_OPTIONS = {
+  diag: false,
+  iterations: 2500,
+  radius: 4,
+  step: 2,
+  goalBias: 0.08,
+  anytime: true,
+  samples: 300,
+  neighbors: 8,
+  attract: 1,
+  repulse: 4,
+  influence: 3,
+  optimalOrder: false,
+  robotRadius: 0,
+  clearanceWeight: 0,
+  clearanceRange: 3,
+  corners: CornerRules.NO_SQUEEZE,
+  costModel: CostModels.OCTILE,
+  heuristic: Heuristics.AUTO,
+  epsilon: 1,
+  turningRadius: 3,
+  reverse: false,
+  reversePenalty: 2,
+  vehicleLength: 2,
+  vehicleWidth: 1,
+  agent: AgentProfiles.ROBOT,
+  profiles: DEFAULT_PROFILES,
+  seed: 1,
+};
+
+const RUNNERS = {
+  [Algorithms.ASTAR]: (scene, o) => runAStar(scene.grid, scene.start, scene.goal, o),
+  [Algorithms.DIJKSTRA]: (scene, o) => runDijkstra(scene.grid, scene.start, scene.goal, o),
+  [Algorithms.SPACETIME]: (scene, o) => runSpaceTimeAStar(scene.grid, scene.start, scene.goal, { ...o, obstacles: scene.obstacles }),
+  [Algorithms.HYBRID]: (scene, o) => runHybridAStar(scene.grid, scene.start, scene.goal, o),
+  [Algorithms.RRT]: (scene, o) => runRRT(scene.grid, scene.start, scene.goal, o),
+  [Algorithms.RRTSTAR]: (scene, o) => runRRTStar(scene.grid, scene.start, scene.goal, o),
+  [Algorithms.RRTCONNECT]: (scene, o) => runRRTConnect(scene.grid, scene.start, scene.goal, o),
+  [Algorithms.INFORMED]: (scene, o) => runInformedRRTStar(scene.grid, scene.start, scene.goal, o),
+  [Algorithms.PRM]: (scene, o) => runPRM(scene.grid, scene.start, scene.goal, o),
+  [Algorithms.POTENTIAL]: (scene, o) => runPotentialField(scene.grid, scene.start, scene.goal, o),
+  [Algorithms.BFS]: (scene, o) => runBFS(scene.grid, scene.start, scene.goal, o),
+  [Algorithms.DFS]: (scene, o) => runDFS(scene.grid, scene.start, scene.goal, o),
+  [Algorithms.GREEDY]: (scene, o) => runGreedy(scene.grid, scene.start, scene.goal, o),
+  [Algorithms.BIASTAR]: (scene, o) => runBidirectionalAStar(scene.grid, scene.start, scene.goal, o),
+  [Algorithms.JPS]: (scene, o) => runJPS(scene.grid, scene.start, scene.goal, o),
+  [Algorithms.THETA]: (scene, o) => runThetaStar(scene.grid, scene.start, scene.goal, o),
+  [Algorithms.LAZYTHETA]: (scene, o) => runLazyThetaStar(scene.grid, scene.start, scene.goal, o),
+  [Algorithms.DSTARLITE]: (scene, o) => runDStarLite(scene.grid, scene.start, scene.goal, o),
+};
+
+// Accepts the display name ("A*"), the enum key ("BIASTAR") or a loose
+// spelling ("astar", "a-star", "jump point search").
+export function resolveAlgorithm(name) {
+  const norm = (s) => String(s).toLowerCase().replace(/[^a-z*]/g, "").replace("*", "star");
+  const hit = Object.entries(Algorithms).find(([k, a]) => norm(a) === norm(name) || norm(k) === norm(name));
+  return hit ? hit[1] : null;
+}
+
+export function plan(scene, algorithm, options = {}) {
+  const name = resolveAlgorithm(algorithm);
+  if (!name) throw new Error(`Unknown algorithm "${algorithm}"`);
+  if (!scene?.grid?.length || !scene.start || !scene.goal) throw new Error("Scene needs grid, start and goal");
+  const opts = { ...DEFAULT_OPTIONS, ...scene.planner?.options, ...options };
+  const t0 = performance.now();
+  const grid = applyCostmap(scene.grid, opts);
+  const searched = { ...scene, grid };
+  const result = scene.waypoints?.length
+    ? planRoute(searched, (from, to, o) => summarize(grid, name, RUNNERS[name]({ ...searched, start: from, goal: to }, o), o), opts)
+    : RUNNERS[name](searched, opts);
+  return { ...summarize(grid, name, result, opts), timeMs: performance.now() - t0 };
+}
+
+// Adds the derived metrics plan() reports to a raw planner result; the path
+// is costed under `opts.costModel` and the agent's terrain profile.
+export function summarize(grid, algorithm, result, opts = {}) {
+  const found = result.path.length > 0;
+  return {
+    algorithm,
+    ...result,
+    found,
+    cost: found ? result.cost ?? pathCost(grid, result.path, opts.costModel, edgeModel(opts)) : null,
+    length: found ? pathLength(result.poses ?? result.polyline ?? result.path) : null,
+    moves: found ? result.path.length - 1 : null,
+    expansions: result.steps.length,
+    peakOpen: peakOpen(result.steps),
+  };
+}
@@ -0,0 +1,144 @@
+import { MinHeap } from "./heap.js";
+import { progressReporter } from "./trace.js";
+import { CornerRules, DIRS8, isFree, key, octile } from "./grid.js";
+
+// Jump Point Search (Harabor & Grastien) for uniform-cost 8-connected grids.
+// Only jump points are expanded; the returned path is filled back in cell by
+// cell. Always 8-connected, ignores weights, costs straight 1 / diagonal √2.
+// Diagonal steps follow the `corners` rule: with ALLOW the canonical pruning
+// applies; NO_SQUEEZE also stops a diagonal jump between two walls; NO_CUT
+// uses the variant without corner cutting, where a straight jump stops
+// beside the end of a wall and diagonals need both side cells free.
+export function runJPS(grid, start, goal, opts = {}) {
+  const free = (r, c) => isFree(grid, r, c);
+  const rule = opts.corners ?? CornerRules.NO_SQUEEZE;
+  // may the agent step from (r, c) by (dr, dc) under the corner rule?
+  const stepOk = (r, c, dr, dc) => {
+    if (!dr || !dc || rule === CornerRules.ALLOW) return true;
+    const a = free(r + dr, c),
+      b = free(r, c + dc);
+    return rule === CornerRules.NO_CUT ? a && b : a || b;
+  };
+  const steps = [];
+  const report = progressReporter(steps, opts.onProgress);
+
+  // Walks from (r, c) in direction (dr, dc) until a jump point, the goal or a wall.
+  function jump(r, c, dr, dc) {
+    while (true) {
+      if (!free(r, c)) return null;
+      if (r === goal.r && c === goal.c) return { r, c };
+      if (dr && dc) {
+        if (rule !== CornerRules.NO_CUT && ((free(r - dr, c + dc) && !free(r - dr, c)) || (free(r + dr, c - dc) && !free(r, c - dc)))) return { r, c };
+        if (jump(r + dr, c, dr, 0) || jump(r, c + dc, 0, dc)) return { r, c };
+        if (!stepOk(r, c, dr, dc)) return null;
+      } else if (rule === CornerRules.NO_CUT) {
+        // a side cell opens up where the wall beside the jump ends
+        if (dr && ((free(r, c + 1) && !free(r - dr, c + 1)) || (free(r, c - 1) && !free(r - dr, c - 1)))) return { r, c };
+        if (dc && ((free(r + 1, c) && !free(r + 1, c - dc)) || (free(r - 1, c) && !free(r - 1, c - dc)))) return { r, c };
+      } else if (dr) {
+        if ((free(r + dr, c + 1) && !free(r, c + 1)) || (free(r + dr, c - 1) && !free(r, c - 1))) return { r, c };
+      } else if ((free(r + 1, c + dc) && !free(r + 1, c)) || (free(r - 1, c + dc) && !free(r - 1, c))) {
+        return { r, c };
+      }
+      r += dr;
+      c += dc;
+    }
+  }
+
+  // Natural + forced neighbour directions given the direction of arrival,
+  // leaving out diagonal steps the corner rule forbids.
+  function directions(node, parent) {
+    const { r, c } = node;
+    if (!parent) return DIRS8.filter(([dr, dc]) => stepOk(r, c, dr, dc));
+    const dr = Math.sign(r - parent.r),
+      dc = Math.sign(c - parent.c);
+    const out = [];
+    if (rule === CornerRules.NO_CUT) {
+      if (dr && dc) {
+        if (free(r, c + dc)) out.push([0, dc]);
+        if (free(r + dr, c)) out.push([dr, 0]);
+        out.push([dr, dc]);
+      } else {
+        // straight on, and both ways sideways (diagonally too when open)
+        const [sr, sc] = dr ? [0, 1] : [1, 0];
+        if (free(r + dr, c + dc)) out.push([dr, dc], [dr + sr, dc + sc], [dr - sr, dc - sc]);
+        out.push([sr, sc], [-sr, -sc]);
+      }
+    } else if (dr && dc) {
+      if (free(r, c + dc)) out.push([0, dc]);
+      if (free(r + dr, c)) out.push([dr, 0]);
+      if (free(r + dr, c + dc)) out.push([dr, dc]);
+      if (!free(r - dr, c)) out.push([-dr, dc]);
+      if (!free(r, c - dc)) out.push([dr, -dc]);
+    } else if (dr === 0) {
+      if (free(r, c + dc)) out.push([0, dc]);
+      if (!free(r + 1, c)) out.push([1, dc]);
+      if (!free(r - 1, c)) out.push([-1, dc]);
+    } else {
+      if (free(r + dr, c)) out.push([dr, 0]);
+      if (!free(r, c + 1)) out.push([dr, 1]);
+      if (!free(r, c - 1)) out.push([dr, -1]);
+    }
+    return out.filter(([er, ec]) => stepOk(r, c, er, ec));
+  }
+
+  const pq = new MinHeap();
+  const g = {};
+  const came = {};
+  const pos = {};
+  const closed = new Set();
+  const sKey = key(start.r, start.c);
+  g[sKey] = 0;
+  pos[sKey] = start;
+  pq.push({ prio: octile(start, goal), node: sKey });
+  let found = false;
+
+  while (pq.size) {
+    const cur = pq.pop();
+    if (closed.has(cur.node)) continue;
+    closed.add(cur.node);
+    const node = pos[cur.node];
+    const step = { node: { r: node.r, c: node.c }, open: [] };
+    steps.push(step);
+    report();
+    if (node.r === goal.r && node.c === goal.c) {
+      found = true;
+      break;
+    }
+
+    const parent = came[cur.node] ? pos[came[cur.node]] : null;
+    for (const [dr, dc] of directions(node, parent)) {
+      const jp = jump(node.r + dr, node.c + dc, dr, dc);
+      if (!jp) continue;
+      const jk = key(jp.r, jp.c);
+      if (closed.has(jk)) continue;
+      const tentative = g[cur.node] + octile(node, jp);
+      if (g[jk] === undefined || tentative < g[jk]) {
+        g[jk] = tentative;
+        came[jk] = cur.node;
+        pos[jk] = jp;
+        pq.push({ prio: tentative + octile(jp, goal), node: jk });
+        step.open.push(jp);
+      }
+    }
+  }
+
+  const path = [];
+  if (found) {
+    const jumps = [];
+    for (let k = key(goal.r, goal.c); k; k = came[k]) jumps.unshift(pos[k]);
+    path.push(jumps[0]);
+    for (let i = 1; i < jumps.length; i++) {
+      let { r, c } = jumps[i - 1];
+      const to = jumps[i];
+      const dr = Math.sign(to.r - r),
+        dc = Math.sign(to.c - c);
+      while (r !== to.r || c !== to.c) {
+        r += dr;
+        c += dc;
+        path.push({ r, c });
+      }
+    }
+  }
+  return { visited: steps.map((s) => s.node), steps, path };
+}
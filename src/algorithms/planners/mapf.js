@@ -0,0 +1,302 @@
+import { MinHeap } from "./heap.js";
+import { inBounds, neighbors } from "./grid.js";
+
+/********************
+ * Multi-agent path finding
+ * Several agents share the grid and a discrete clock: every tick each agent
+ * moves to a neighbouring cell or waits, and stays on its goal once done.
+ * Two agents conflict on a
+ *   vertex  — same cell at the same tick, or an
+ *   edge    — they swap cells between ticks t - 1 and t.
+ * Each agent's cost is its arrival tick (moves and waits cost 1; cell
+ * weights are ignored), so sum-of-costs = Σ arrivals, makespan = max.
+ *
+ *   solveMAPF(grid, agents, { solver, diag, corners, maxExpansions, maxNodes, horizon, onProgress })
+ *     -> { solver, found, paths, costs, soc, makespan, conflicts, independent,
+ *          failedAgent, expansions, highLevel, timeMs }
+ *
+ * Prioritized planning routes agents one at a time, in list order, with
+ * space-time A* around a reservation table of the earlier agents' cells and
+ * moves; it is fast but incomplete. Conflict-Based Search keeps a constraint
+ * tree: it plans every agent alone, takes the first conflict of the cheapest
+ * node and branches on forbidding it for one agent or the other, which
+ * yields a minimum sum-of-costs (within `maxNodes`).
+ *
+ * `paths[i]` is agent i's cell per tick, ending on arrival (null if it could
+ * not be planned); `independent` is { paths, conflicts } for every agent
+ * planned alone, to show what coordination had to resolve.
+ ********************/
+
+export const MapfSolvers = {
+  PRIORITIZED: "Prioritized",
+  CBS: "CBS",
+};
+
+export const MAPF_DEFAULTS = {
+  solver: MapfSolvers.CBS,
+  diag: false,
+  maxExpansions: 100000, // per low-level search
+  maxNodes: 2000, // CBS constraint-tree nodes
+  horizon: null, // last tick a search may reach; default grows with the map
+};
+
+// Cell of `path` at tick t; agents wait on their goal after arriving.
+export const positionAt = (path, t) => path[Math.min(t, path.length - 1)];
+
+// Unit-cost BFS distances to `goal` over free cells (-1 when unreachable);
+// the exact single-agent heuristic for every space-time search.
+function distancesTo(grid, goal, diag, corners) {
+  const rows = grid.length,
+    cols = grid[0].length;
+  const dist = new Int32Array(rows * cols).fill(-1);
+  dist[goal.r * cols + goal.c] = 0;
+  const queue = [goal];
+  for (let head = 0; head < queue.length; head++) {
+    const p = queue[head];
+    const d = dist[p.r * cols + p.c];
+    for (const nb of neighbors(p.r, p.c, rows, cols, diag, grid, corners)) {
+      const i = nb.r * cols + nb.c;
+      if (grid[nb.r][nb.c].wall || dist[i] !== -1) continue;
+      dist[i] = d + 1;
+      queue.push(nb);
+    }
+  }
+  return dist;
+}
+
+/*
+ * Space-time A* for one agent. `blocked` describes what it must avoid:
+ *   vertex(i, t)        cell index i is taken at tick t
+ *   edge(i, j, t)       the move i -> j arriving at tick t is forbidden
+ *   goalFree            first tick from which it may stay on its goal for good
+ * States are (cell, tick) and g is always the tick, so the first parent that
+ * reaches a state is as good as any. Returns the path or null.
+ */
+function spaceTimeAStar(grid, agent, h, blocked, opts, stats) {
+  const rows = grid.length,
+    cols = grid[0].length;
+  const N = rows * cols;
+  const s = agent.start.r * cols + agent.start.c;
+  const g = agent.goal.r * cols + agent.goal.c;
+  if (h[s] < 0 || blocked.vertex(s, 0)) return null;
+  const horizon = opts.horizon ?? Math.max(blocked.goalFree, h[s]) + rows + cols;
+
+  // equal f: prefer the later tick, i.e. the state closer to the goal
+  const pq = new MinHeap((x, y) => x.prio < y.prio || (x.prio === y.prio && x.t > y.t));
+  const parent = new Map([[s, -1]]);
+  const closed = new Set();
+  pq.push({ prio: h[s], i: s, t: 0 });
+  let expansions = 0;
+
+  while (pq.size) {
+    const { i, t } = pq.pop();
+    const k = t * N + i;
+    if (closed.has(k)) continue;
+    closed.add(k);
+    if (++expansions > opts.maxExpansions) break;
+    if (i === g && t >= blocked.goalFree) {
+      stats.expansions += expansions;
+      const path = [];
+      for (let u = k; u !== -1; u = parent.get(u)) {
+        const j = u % N;
+        path.push({ r: Math.floor(j / cols), c: j % cols });
+      }
+      return path.reverse();
+    }
+    if (t >= horizon) continue;
+    const r = Math.floor(i / cols),
+      c = i % cols;
+    const nt = t + 1;
+    for (const nb of [{ r, c }, ...neighbors(r, c, rows, cols, opts.diag, grid, opts.corners)]) {
+      if (grid[nb.r][nb.c].wall) continue;
+      const j = nb.r * cols + nb.c;
+      const nk = nt * N + j;
+      if (h[j] < 0 || closed.has(nk) || blocked.vertex(j, nt) || blocked.edge(i, j, nt)) continue;
+      if (!parent.has(nk)) parent.set(nk, k);
+      pq.push({ prio: nt + h[j], i: j, t: nt });
+    }
+  }
+  stats.expansions += expansions;
+  return null;
+}
+
+// Every vertex and edge conflict between `paths` (null entries are skipped),
+// ordered by tick; with `first` only the earliest is returned.
+export function findConflicts(paths, cols, first = false) {
+  const out = [];
+  const live = paths.map((p, a) => [p, a]).filter(([p]) => p);
+  const end = Math.max(0, ...live.map(([p]) => p.length));
+  for (let t = 0; t < end; t++) {
+    const at = new Map();
+    const moves = new Map();
+    for (const [p, a] of live) {
+      const cur = positionAt(p, t);
+      const i = cur.r * cols + cur.c;
+      if (at.has(i)) {
+        out.push({ kind: "vertex", a: at.get(i), b: a, t, cell: cur });
+        if (first) return out;
+      } else at.set(i, a);
+      if (t === 0) continue;
+      const prev = positionAt(p, t - 1);
+      const j = prev.r * cols + prev.c;
+      if (i === j) continue;
+      const other = moves.get(`${i},${j}`);
+      if (other !== undefined) {
+        // a moves cell -> to while b moves to -> cell
+        out.push({ kind: "edge", a, b: other, t, cell: prev, to: cur });
+        if (first) return out;
+      }
+      moves.set(`${j},${i}`, a);
+    }
+  }
+  return out;
+}
+
+function checkAgents(grid, agents) {
+  const rows = grid.length,
+    cols = grid[0].length;
+  if (!agents.length) throw new Error("Add at least one agent");
+  const starts = new Set(),
+    goals = new Set();
+  agents.forEach(({ start, goal }, a) => {
+    for (const [p, name, seen] of [[start, "start", starts], [goal, "goal", goals]]) {
+      if (!p || !inBounds(p.r, p.c, rows, cols)) throw new Error(`Agent ${a + 1}: ${name} is outside the map`);
+      if (grid[p.r][p.c].wall) throw new Error(`Agent ${a + 1}: ${name} is on a wall`);
+      const i = p.r * cols + p.c;
+      if (seen.has(i)) throw new Error(`Agent ${a + 1}: another agent has the same ${name}`);
+      seen.add(i);
+    }
+  });
+}
+
+const noConstraints = () => ({ vertex: new Set(), edge: new Set() });
+
+// Blocked-set view of one agent's CBS constraints.
+function constrained(cons, goalIndex, N) {
+  let goalFree = 0;
+  for (const k of cons.vertex) if (k % N === goalIndex) goalFree = Math.max(goalFree, Math.floor(k / N) + 1);
+  return {
+    vertex: (i, t) => cons.vertex.has(t * N + i),
+    edge: (i, j, t) => cons.edge.has(`${t},${i},${j}`),
+    goalFree,
+  };
+}
+
+function totals(paths) {
+  const costs = paths.map((p) => (p ? p.length - 1 : null));
+  const done = costs.filter((c) => c !== null);
+  return { costs, soc: done.reduce((sum, c) => sum + c, 0), makespan: Math.max(0, ...done) };
+}
+
+function prioritized(grid, agents, H, opts, stats) {
+  const cols = grid[0].length;
+  const N = grid.length * cols;
+  const vertex = new Set(); // t * N + i
+  const edge = new Set(); // "t,i,j": i -> j arriving at t is taken
+  const parked = new Map(); // cell -> tick its agent settled there
+  const lastUse = new Map(); // cell -> last tick it is passed through
+  const paths = [];
+  let failedAgent = -1;
+
+  agents.forEach((agent, a) => {
+    opts.onProgress?.({ expansions: stats.expansions, fraction: a / agents.length, steps: [] });
+    const gi = agent.goal.r * cols + agent.goal.c;
+    const blocked = {
+      vertex: (i, t) => vertex.has(t * N + i) || (parked.has(i) && t >= parked.get(i)),
+      edge: (i, j, t) => edge.has(`${t},${i},${j}`),
+      // goal cells of earlier agents stay taken forever
+      goalFree: parked.has(gi) ? Infinity : (lastUse.get(gi) ?? -1) + 1,
+    };
+    const path = blocked.goalFree === Infinity ? null : spaceTimeAStar(grid, agent, H[a], blocked, opts, stats);
+    paths.push(path);
+    if (!path) {
+      if (failedAgent === -1) failedAgent = a;
+      return;
+    }
+    path.forEach((p, t) => {
+      const i = p.r * cols + p.c;
+      vertex.add(t * N + i);
+      lastUse.set(i, Math.max(lastUse.get(i) ?? -1, t));
+      if (t) {
+        const j = path[t - 1].r * cols + path[t - 1].c;
+        if (i !== j) edge.add(`${t},${i},${j}`);
+      }
+    });
+    parked.set(gi, path.length - 1);
+  });
+  return { paths, failedAgent, highLevel: agents.length };
+}
+
+function cbs(grid, agents, H, opts, stats, root) {
+  const cols = grid[0].length;
+  const N = grid.length * cols;
+  const goals = agents.map((a) => a.goal.r * cols + a.goal.c);
+  const fewerConflicts = (x, y) => x.soc < y.soc || (x.soc === y.soc && x.conflicts < y.conflicts);
+  const open = new MinHeap(fewerConflicts);
+  const node = (cons, paths) => ({ cons, paths, soc: totals(paths).soc, conflicts: findConflicts(paths, cols).length });
+  open.push(node(agents.map(noConstraints), root));
+
+  let highLevel = 0;
+  while (open.size && highLevel < opts.maxNodes) {
+    const cur = open.pop();
+    highLevel++;
+    if (highLevel % 16 === 0) opts.onProgress?.({ expansions: stats.expansions, fraction: highLevel / opts.maxNodes, steps: [] });
+    const [conflict] = findConflicts(cur.paths, cols, true);
+    if (!conflict) return { paths: cur.paths, highLevel };
+
+    // forbid the conflict for one agent, then for the other
+    const { kind, a, b, t, cell, to } = conflict;
+    const ci = cell.r * cols + cell.c;
+    const branches =
+      kind === "vertex"
+        ? [[a, (c) => c.vertex.add(t * N + ci)], [b, (c) => c.vertex.add(t * N + ci)]]
+        : [[a, (c) => c.edge.add(`${t},${ci},${to.r * cols + to.c}`)], [b, (c) => c.edge.add(`${t},${to.r * cols + to.c},${ci}`)]];
+    for (const [agent, add] of branches) {
+      const cons = [...cur.cons];
+      cons[agent] = { vertex: new Set(cur.cons[agent].vertex), edge: new Set(cur.cons[agent].edge) };
+      add(cons[agent]);
+      const path = spaceTimeAStar(grid, agents[agent], H[agent], constrained(cons[agent], goals[agent], N), opts, stats);
+      if (!path) continue;
+      const paths = [...cur.paths];
+      paths[agent] = path;
+      open.push(node(cons, paths));
+    }
+  }
+  return { paths: root, highLevel };
+}
+
+export function solveMAPF(grid, agents, options = {}) {
+  const opts = { ...MAPF_DEFAULTS, ...options };
+  if (!Object.values(MapfSolvers).includes(opts.solver)) throw new Error(`Unknown multi-agent solver "${opts.solver}"`);
+  checkAgents(grid, agents);
+  const cols = grid[0].length;
+  const t0 = performance.now();
+  const stats = { expansions: 0 };
+  const H = agents.map((a) => distancesTo(grid, a.goal, opts.diag, opts.corners));
+
+  // every agent on its own: the CBS root, and the "before" picture
+  const free = { vertex: () => false, edge: () => false, goalFree: 0 };
+  const alone = agents.map((a, i) => spaceTimeAStar(grid, a, H[i], free, opts, stats));
+  const independent = { paths: alone, conflicts: findConflicts(alone, cols) };
+
+  let out;
+  if (opts.solver === MapfSolvers.PRIORITIZED) out = prioritized(grid, agents, H, opts, stats);
+  else if (alone.some((p) => !p)) out = { paths: alone, highLevel: 0 };
+  else out = cbs(grid, agents, H, opts, stats, alone);
+
+  const conflicts = findConflicts(out.paths, cols);
+  const failedAgent = out.failedAgent ?? out.paths.findIndex((p) => !p);
+  const found = failedAgent === -1 && conflicts.length === 0;
+  return {
+    solver: opts.solver,
+    found,
+    paths: out.paths,
+    ...totals(out.paths),
+    conflicts,
+    independent,
+    failedAgent,
+    expansions: stats.expansions,
+    highLevel: out.highLevel,
+    timeMs: performance.now() - t0,
+  };
+}
@@ -0,0 +1,20 @@
+/******************** Planner Web Worker ********************/
+// Message protocol
+//   in:  { scene, algorithm, options }
+//        { task: "mapf", grid, agents, options }            (multi-agent, see mapf.js)
+//   out: { type: "progress", expansions, fraction, steps }   (steps since last progress)
+//        { type: "done", result }
+//        { type: "error", message }
+// Cancellation is done by terminating the worker from the main thread.
+import { plan, solveMAPF } from "./index.js";
+
+self.onmessage = (e) => {
+  const { task, scene, algorithm, grid, agents, options } = e.data;
+  try {
+    const opts = { ...options, onProgress: (p) => self.postMessage({ type: "progress", ...p }) };
+    const result = task === "mapf" ? solveMAPF(grid, agents, opts) : plan(scene, algorithm, opts);
+    self.postMessage({ type: "done", result });
+  } catch (err) {
+    self.postMessage({ type: "error", message: err.message });
+  }
+};
@@ -0,0 +1,80 @@
+import { progressReporter } from "./trace.js";
+import { distanceTransform, euclid, inBounds, neighbors } from "./grid.js";
+
+/********************
+ * Artificial potential field
+ *   U(p) = attract · |p − goal|                              (attractive, conic)
+ *        + repulse / 2 · (1/ρ(p) − 1/influence)²  if ρ < influence (repulsive)
+ * where ρ is the distance to the nearest wall or map edge. The robot follows
+ * steepest descent over neighbouring cells and stops at the goal or in a
+ * local minimum, where no neighbour has a lower potential. Cell weights are
+ * ignored.
+ *
+ * The trace has one step per move; the result adds `potential` (Float32Array,
+ * Infinity on walls), `trajectory` and `trapped` (the local minimum, or null).
+ ********************/
+
+export function potentialField(grid, goal, opts = {}) {
+  const rows = grid.length,
+    cols = grid[0].length;
+  const attract = opts.attract ?? 1;
+  const repulse = opts.repulse ?? 4;
+  const influence = opts.influence ?? 3;
+  const rho = distanceTransform(grid);
+  const U = new Float32Array(rows * cols);
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      const i = r * cols + c;
+      if (grid[r][c].wall) {
+        U[i] = Infinity;
+        continue;
+      }
+      let u = attract * euclid({ r, c }, goal);
+      if (rho[i] < influence) u += (repulse / 2) * (1 / rho[i] - 1 / influence) ** 2;
+      U[i] = u;
+    }
+  }
+  return U;
+}
+
+export function runPotentialField(grid, start, goal, opts = {}) {
+  const rows = grid.length,
+    cols = grid[0].length;
+  const diag = opts.diag ?? false;
+  const U = potentialField(grid, goal, opts);
+  const steps = [];
+  const report = progressReporter(steps, opts.onProgress);
+  const trajectory = [];
+  let cur = inBounds(start.r, start.c, rows, cols) && !grid[start.r][start.c].wall ? { r: start.r, c: start.c } : null;
+
+  while (cur) {
+    trajectory.push(cur);
+    steps.push({ node: cur, open: [] });
+    report();
+    if (cur.r === goal.r && cur.c === goal.c) break;
+    // steepest slope, so diagonal moves are compared per unit length
+    let next = null,
+      slope = 0;
+    const here = U[cur.r * cols + cur.c];
+    for (const nb of neighbors(cur.r, cur.c, rows, cols, diag, grid, opts.corners)) {
+      const s = (here - U[nb.r * cols + nb.c]) / euclid(cur, nb);
+      if (s > slope) {
+        next = nb;
+        slope = s;
+      }
+    }
+    if (!next) break;
+    cur = next;
+  }
+
+  const last = trajectory[trajectory.length - 1];
+  const reached = last && last.r === goal.r && last.c === goal.c;
+  return {
+    visited: steps.map((s) => s.node),
+    steps,
+    path: reached ? trajectory : [],
+    potential: U,
+    trajectory,
+    trapped: reached || !last ? null : last,
+  };
+}
@@ -0,0 +1,148 @@
+import { MinHeap } from "./heap.js";
+import { progressReporter } from "./trace.js";
+import { euclid, polylineCells, traceSegment } from "./grid.js";
+import { randInt, seededRandom } from "./random.js";
+import { edgeModel } from "./terrain.js";
+
+/********************
+ * Probabilistic Roadmap (multi-query)
+ * buildRoadmap() samples `opts.samples` distinct free cells and links each
+ * to its `opts.neighbors` nearest samples that are in line of sight. Edges
+ * are checked and costed with traceSegment() under the agent's terrain
+ * profile, like the RRT family's, once per direction: slopes and one-way
+ * cells can make one direction dearer or forbidden. The roadmap only
+ * depends on the grid, the seed, those two options and the agent profile,
+ * so a caller can pass it back as `opts.roadmap` to answer new start/goal
+ * queries without rebuilding it.
+ *
+ * runPRM() links start and goal into the roadmap and runs A* over the graph.
+ * The trace has one step per expanded roadmap node; the result adds
+ * `roadmap` ({ nodes, adj, edges }), `links` (start/goal connections),
+ * `roadmapReused` and `buildMs`.
+ ********************/
+
+// k nearest entries of `nodes` to p (excluding index `skip`), closest first.
+function nearestK(nodes, p, k, skip = -1) {
+  const best = []; // [dist, index], sorted
+  for (let i = 0; i < nodes.length; i++) {
+    if (i === skip) continue;
+    const d = euclid(nodes[i], p);
+    if (best.length === k && d >= best[k - 1][0]) continue;
+    let j = Math.min(best.length, k - 1);
+    best[j] = [d, i];
+    while (j > 0 && best[j - 1][0] > d) {
+      [best[j - 1], best[j]] = [best[j], best[j - 1]];
+      j--;
+    }
+  }
+  return best.map(([, i]) => i);
+}
+
+export function buildRoadmap(grid, opts = {}) {
+  const rows = grid.length,
+    cols = grid[0].length;
+  const count = opts.samples ?? 300;
+  const k = opts.neighbors ?? 8;
+  const rand = seededRandom(opts.seed ?? 1, "prm");
+  const model = edgeModel(opts);
+
+  const nodes = [];
+  const taken = new Set();
+  for (let tries = 0; nodes.length < count && tries < count * 20; tries++) {
+    const r = randInt(rand, rows),
+      c = randInt(rand, cols);
+    if (grid[r][c].wall || taken.has(r * cols + c)) continue;
+    taken.add(r * cols + c);
+    nodes.push({ r, c });
+  }
+
+  const adj = nodes.map(() => []);
+  const edges = [];
+  const linked = new Set();
+  nodes.forEach((p, i) => {
+    for (const j of nearestK(nodes, p, k, i)) {
+      const id = i < j ? i * nodes.length + j : j * nodes.length + i;
+      if (linked.has(id)) continue;
+      linked.add(id);
+      const there = traceSegment(grid, p, nodes[j], model),
+        back = traceSegment(grid, nodes[j], p, model);
+      if (there < Infinity) adj[i].push([j, there]);
+      if (back < Infinity) adj[j].push([i, back]);
+      if (there < Infinity || back < Infinity) edges.push([i, j]);
+    }
+  });
+  return { nodes, adj, edges };
+}
+
+export function runPRM(grid, start, goal, opts = {}) {
+  const k = opts.neighbors ?? 8;
+  const t0 = performance.now();
+  const roadmap = opts.roadmap ?? buildRoadmap(grid, opts);
+  const buildMs = opts.roadmap ? 0 : performance.now() - t0;
+  const { nodes, adj } = roadmap;
+  const model = edgeModel(opts);
+
+  // query graph: roadmap + start (index n) + goal (index n + 1)
+  const n = nodes.length;
+  const all = [...nodes, start, goal];
+  const extra = [[], []];
+  const links = [];
+  // start -> i, or i -> goal; false when that segment is blocked
+  const link = (q, i) => {
+    const w = q === n ? traceSegment(grid, all[q], all[i], model) : traceSegment(grid, all[i], all[q], model);
+    if (w === Infinity) return false;
+    extra[q - n].push([i, w]);
+    links.push([all[q], all[i]]);
+    return true;
+  };
+  for (const q of [n, n + 1]) {
+    // k visible roadmap nodes, searching a little past the k nearest
+    let found = 0;
+    for (const i of nearestK(nodes, all[q], 4 * k)) {
+      if (found === k) break;
+      if (link(q, i)) found++;
+    }
+  }
+  link(n, n + 1);
+  const edgesOf = (u) => {
+    const out = u < n ? adj[u] : extra[u - n];
+    // roadmap nodes linked to the goal also lead there
+    if (u < n) {
+      const toGoal = extra[1].find(([i]) => i === u);
+      if (toGoal) return [...out, [n + 1, toGoal[1]]];
+    }
+    return out;
+  };
+
+  const steps = [];
+  const report = progressReporter(steps, opts.onProgress);
+  const g = new Float64Array(n + 2).fill(Infinity);
+  const came = new Int32Array(n + 2).fill(-1);
+  const pq = new MinHeap();
+  g[n] = 0;
+  pq.push({ prio: euclid(start, goal), node: n, g: 0 });
+  while (pq.size) {
+    const cur = pq.pop();
+    if (cur.g !== g[cur.node]) continue; // stale
+    const step = { node: all[cur.node], open: [] };
+    steps.push(step);
+    report();
+    if (cur.node === n + 1) break;
+    for (const [v, w] of edgesOf(cur.node)) {
+      const alt = g[cur.node] + w;
+      if (alt < g[v]) {
+        g[v] = alt;
+        came[v] = cur.node;
+        pq.push({ prio: alt + euclid(all[v], goal), node: v, g: alt });
+        step.open.push(all[v]);
+      }
+    }
+  }
+
+  const result = { visited: steps.map((s) => s.node), steps, path: [], roadmap, links, roadmapReused: Boolean(opts.roadmap), buildMs };
+  if (g[n + 1] === Infinity) return result;
+  const polyline = [];
+  for (let u = n + 1; u !== -1; u = came[u]) polyline.push(all[u]);
+  polyline.reverse();
+  return { ...result, path: polylineCells(grid, polyline), polyline, cost: g[n + 1] };
+}
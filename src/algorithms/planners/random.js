@@ -0,0 +1,38 @@
+// Seedable randomness. Every stochastic code path (planners, map generators)
+// draws from one of these instead of Math.random(), so a scene plus its seed
+// reproduces a run exactly.
+
+export const MAX_SEED = 0xffffffff;
+
+// mulberry32: tiny 32-bit generator, uniform floats in [0, 1).
+export function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function rand() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Independent stream per consumer, so e.g. two map generators do not replay
+// each other's choices from the same seed.
+export function seededRandom(seed, stream = "") {
+  let h = (seed >>> 0) ^ 0x811c9dc5;
+  for (let i = 0; i < stream.length; i++) h = Math.imul(h ^ stream.charCodeAt(i), 0x01000193);
+  return mulberry32(h);
+}
+
+// Integer in [0, n).
+export const randInt = (rand, n) => Math.floor(rand() * n);
+
+// Fresh seed for the "re-roll" button; the only place entropy comes in.
+export const randomSeed = () => Math.floor(Math.random() * MAX_SEED) + 1;
+
+// Accepts numbers or numeric strings; anything else is rejected with null.
+export function normalizeSeed(value) {
+  const n = typeof value === "string" ? Number(value.trim()) : value;
+  if (!Number.isInteger(n) || n < 0 || n > MAX_SEED) return null;
+  return n;
+}
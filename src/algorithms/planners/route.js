@@ -0,0 +1,245 @@
+/********************
+ * Multi-stop routes
+ * planRoute() chains single-query plans start -> waypoints -> goal. With
+ * `opts.optimalOrder` the waypoints are reordered to minimise the total
+ * cost: every ordered pair of stops is planned once with the selected
+ * planner, then the visiting order is solved exactly (Held-Karp) for up to
+ * EXACT_LIMIT waypoints, and by nearest neighbour + 2-opt above that.
+ *
+ * The merged result reads like a single plan: steps, path and polyline are
+ * the legs' concatenated, with `pathLegs` / `polylineLegs` giving the leg
+ * index of every entry, `legs` ({ from, to, found, cost, length, expansions },
+ * stops numbered 0 = start, 1..n = waypoints, n + 1 = goal), `order` (the
+ * waypoint indices in visiting order), `ordering` ("given" | "exact" |
+ * "heuristic"), and `plannedLegs` / `routeExpansions`, the work spent on
+ * every leg planned, including pairs the chosen order does not use.
+ * Time-aware legs (results with an `arrival` tick) are ordered by their cost
+ * from tick 0, then replanned to set off when the previous leg arrives. Legs
+ * ending on a waypoint pass `park: false`: the robot moves on right away, so
+ * only the goal has to stay clear of obstacles after arrival.
+ * Kinematic legs (results with `poses`) are likewise replanned to set off
+ * with the heading the previous leg arrived at; the merged result adds
+ * `poses` / `posesLegs`.
+ ********************/
+
+export const EXACT_LIMIT = 10;
+
+// `runLeg(from, to, opts)` plans one leg and returns a summarized result.
+export function planRoute(scene, runLeg, opts = {}) {
+  const { start, goal } = scene;
+  const waypoints = scene.waypoints ?? [];
+  const stops = [start, ...waypoints, goal];
+  const n = waypoints.length;
+  const goalStop = n + 1;
+  const { onProgress, ...legOpts } = opts;
+
+  let expansions = 0;
+  const cache = new Map();
+  const optsTo = (j, extra) => (j === goalStop ? { ...legOpts, ...extra } : { ...legOpts, ...extra, park: false });
+  const leg = (i, j) => {
+    const k = i * stops.length + j;
+    if (!cache.has(k)) {
+      const res = runLeg(stops[i], stops[j], optsTo(j));
+      // one roadmap serves every leg (PRM)
+      if (res.roadmap && !legOpts.roadmap) legOpts.roadmap = res.roadmap;
+      expansions += res.expansions;
+      cache.set(k, res);
+    }
+    return cache.get(k);
+  };
+
+  let order = waypoints.map((_, i) => i);
+  let ordering = "given";
+  if (opts.optimalOrder && n > 1) {
+    // every pair the route could use: start -> w, w -> w', w -> goal
+    const pairs = [];
+    for (let i = 0; i <= n; i++) for (let j = 1; j <= goalStop; j++) if (i !== j && !(i === 0 && j === goalStop)) pairs.push([i, j]);
+    pairs.forEach(([i, j], done) => {
+      leg(i, j);
+      onProgress?.({ expansions, fraction: (done + 1) / pairs.length, steps: [] });
+    });
+    const cost = (i, j) => leg(i, j).cost ?? Infinity;
+    if (n <= EXACT_LIMIT) {
+      order = heldKarp(n, cost);
+      ordering = "exact";
+    } else {
+      order = twoOpt(nearestNeighbour(n, cost), cost);
+      ordering = "heuristic";
+    }
+  }
+
+  const seq = [0, ...order.map((w) => w + 1), goalStop];
+  const legs = [];
+  let clock = 0;
+  let heading;
+  for (let i = 1; i < seq.length; i++) {
+    const from = stops[seq[i - 1]];
+    let l = leg(seq[i - 1], seq[i]);
+    const retime = l.arrival !== undefined && clock > 0;
+    const reorient = l.poses !== undefined && heading !== undefined;
+    if (retime || reorient) {
+      l = runLeg(reorient ? { ...from, heading } : from, stops[seq[i]], optsTo(seq[i], retime ? { startTime: clock } : {}));
+      expansions += l.expansions;
+    }
+    clock = l.arrival ?? 0;
+    heading = l.poses?.[l.poses.length - 1]?.heading;
+    legs.push(l);
+    onProgress?.({ expansions, fraction: ordering === "given" ? i / (seq.length - 1) : 1, steps: [] });
+  }
+  return { ...mergeLegs(legs, seq), order, ordering, plannedLegs: cache.size, routeExpansions: expansions };
+}
+
+// Cheapest open path 0 -> (all waypoints) -> goal; waypoint w is stop w + 1.
+function heldKarp(n, cost) {
+  const full = (1 << n) - 1;
+  const dp = new Float64Array((full + 1) * n).fill(Infinity);
+  const from = new Int8Array((full + 1) * n).fill(-1);
+  for (let w = 0; w < n; w++) dp[(1 << w) * n + w] = cost(0, w + 1);
+  for (let mask = 1; mask <= full; mask++) {
+    for (let w = 0; w < n; w++) {
+      const d = dp[mask * n + w];
+      if (!(mask & (1 << w)) || d === Infinity) continue;
+      for (let v = 0; v < n; v++) {
+        if (mask & (1 << v)) continue;
+        const next = mask | (1 << v);
+        const alt = d + cost(w + 1, v + 1);
+        if (alt < dp[next * n + v]) {
+          dp[next * n + v] = alt;
+          from[next * n + v] = w;
+        }
+      }
+    }
+  }
+  let last = 0,
+    best = Infinity;
+  for (let w = 0; w < n; w++) {
+    const total = dp[full * n + w] + cost(w + 1, n + 1);
+    if (total < best) {
+      best = total;
+      last = w;
+    }
+  }
+  if (best === Infinity) return [...Array(n).keys()];
+  const order = [];
+  for (let mask = full, w = last; w !== -1; ) {
+    order.push(w);
+    const prev = from[mask * n + w];
+    mask &= ~(1 << w);
+    w = prev;
+  }
+  return order.reverse();
+}
+
+function nearestNeighbour(n, cost) {
+  const left = new Set([...Array(n).keys()]);
+  const order = [];
+  let at = 0;
+  while (left.size) {
+    let next = -1,
+      best = Infinity;
+    for (const w of left) {
+      const c = cost(at, w + 1);
+      if (next === -1 || c < best) {
+        next = w;
+        best = c;
+      }
+    }
+    order.push(next);
+    left.delete(next);
+    at = next + 1;
+  }
+  return order;
+}
+
+// Reverses sub-sequences while that lowers the total; costs may be
+// asymmetric, so each candidate is scored in full.
+function twoOpt(order, cost) {
+  const n = order.length;
+  const total = (o) => {
+    let sum = cost(0, o[0] + 1) + cost(o[n - 1] + 1, n + 1);
+    for (let i = 1; i < n; i++) sum += cost(o[i - 1] + 1, o[i] + 1);
+    return sum;
+  };
+  let best = total(order);
+  for (let improved = true; improved; ) {
+    improved = false;
+    for (let i = 0; i < n - 1; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const cand = [...order.slice(0, i), ...order.slice(i, j + 1).reverse(), ...order.slice(j + 1)];
+        const c = total(cand);
+        if (c < best - 1e-9) {
+          order = cand;
+          best = c;
+          improved = true;
+        }
+      }
+    }
+  }
+  return order;
+}
+
+function mergeLegs(legs, seq) {
+  const steps = [];
+  const path = [],
+    pathLegs = [];
+  const polyline = [],
+    polylineLegs = [];
+  const poses = [],
+    posesLegs = [];
+  const links = [],
+    trajectory = [];
+  let offset = 0;
+  let trapped = null;
+  const found = legs.every((l) => l.found);
+
+  legs.forEach((l, k) => {
+    // tree vertex ids restart in every leg
+    let maxId = -1;
+    for (const s of l.steps) {
+      if (!s.vertex) {
+        steps.push(s);
+        continue;
+      }
+      maxId = Math.max(maxId, s.id);
+      steps.push({
+        ...s,
+        id: s.id + offset,
+        parent: s.parent === -1 ? -1 : s.parent + offset,
+        ...(s.rewire ? { rewire: s.rewire.map(([id, parent]) => [id + offset, parent + offset]) } : {}),
+      });
+    }
+    offset += maxId + 1;
+    if (found) {
+      const skip = k ? 1 : 0; // the previous leg already ends on this stop
+      for (const p of l.path.slice(skip)) {
+        path.push(p);
+        pathLegs.push(k);
+      }
+      for (const p of l.polyline?.slice(skip) ?? []) {
+        polyline.push(p);
+        polylineLegs.push(k);
+      }
+      for (const p of l.poses?.slice(skip) ?? []) {
+        poses.push(p);
+        posesLegs.push(k);
+      }
+    }
+    if (l.links) links.push(...l.links);
+    if (l.trajectory) trajectory.push(...l.trajectory);
+    trapped ??= l.trapped ?? null;
+  });
+
+  return {
+    visited: steps.map((s) => s.node),
+    steps,
+    path,
+    pathLegs,
+    ...(polyline.length ? { polyline, polylineLegs } : {}),
+    ...(legs[0].vehicle ? { poses, posesLegs, vehicle: legs[0].vehicle, reversals: legs.reduce((sum, l) => sum + (l.reversals ?? 0), 0) } : {}),
+    ...(found ? { cost: legs.reduce((sum, l) => sum + l.cost, 0) } : {}),
+    ...(legs[0].roadmap ? { roadmap: legs[0].roadmap, links } : {}),
+    ...(legs[0].trajectory ? { trajectory, trapped } : {}),
+    ...(legs[0].arrival !== undefined ? { arrival: legs[legs.length - 1].arrival, waits: legs.reduce((sum, l) => sum + l.waits, 0) } : {}),
+    legs: legs.map((l, k) => ({ from: seq[k], to: seq[k + 1], found: l.found, cost: l.cost, length: l.length, expansions: l.expansions })),
+  };
+}
@@ -0,0 +1,300 @@
+import { euclid, isFree, polylineCells, traceSegment } from "./grid.js";
+import { progressReporter } from "./trace.js";
+import { seededRandom } from "./random.js";
+import { edgeModel } from "./terrain.js";
+
+/********************
+ * Continuous-space sampling planners: RRT, RRT*, RRT-Connect, Informed RRT*
+ * Vertices are real-valued points; cell (r, c) covers [r - 0.5, r + 0.5) in
+ * each axis, and edges are collision-checked and costed exactly with
+ * traceSegment(), under the terrain, slopes and one-way cells of the agent
+ * profile (see terrain.js). Unless `opts.anytime` is false the whole
+ * iteration budget is spent, keeping the cheapest solution found so far.
+ *
+ * Options: iterations, step (max edge length), radius (RRT* rewire radius),
+ * goalBias (probability of sampling the goal), seed, anytime, agent,
+ * profiles.
+ *
+ * Trace: one step per vertex added to a tree,
+ *   { node, open: [], id, vertex, parent, side?, rewire?, best? }
+ * `node` is the cell holding `vertex`, so playback marks it closed; `rewire`
+ * lists [id, newParent] pairs changed by this step; `best` is set to
+ * { step, iteration, cost, polyline } when the step improved the solution.
+ * The result adds `polyline` (the best path), `cost` and `improvements`,
+ * the list of those `best` records. When start and goal coincide the start
+ * vertex is the solution, at cost 0, and nothing is sampled.
+ ********************/
+
+const EPS = 1e-9;
+
+function sampler(grid, opts, stream) {
+  const rows = grid.length,
+    cols = grid[0].length;
+  const rand = seededRandom(opts.seed ?? 1, stream);
+  const uniform = () => ({ r: rand() * rows - 0.5, c: rand() * cols - 0.5 });
+  return { rand, uniform };
+}
+
+const free = (grid, p) => isFree(grid, Math.floor(p.r + 0.5), Math.floor(p.c + 0.5));
+const cellOf = (p) => ({ r: Math.floor(p.r + 0.5), c: Math.floor(p.c + 0.5) });
+
+function steer(from, to, step) {
+  const d = euclid(from, to);
+  if (d <= step) return { r: to.r, c: to.c };
+  const t = step / d;
+  return { r: from.r + (to.r - from.r) * t, c: from.c + (to.c - from.c) * t };
+}
+
+// Uniform sample inside the ellipse of points whose straight-line detour
+// via start and goal is at most `cBest` (cost >= length since weights >= 1).
+function sampleEllipse(rand, start, goal, cBest) {
+  const cMin = euclid(start, goal);
+  const a = cBest / 2,
+    b = Math.sqrt(Math.max(0, cBest * cBest - cMin * cMin)) / 2;
+  const th = 2 * Math.PI * rand(),
+    rho = Math.sqrt(rand());
+  const x = a * rho * Math.cos(th),
+    y = b * rho * Math.sin(th);
+  const ang = Math.atan2(goal.r - start.r, goal.c - start.c);
+  return {
+    r: (start.r + goal.r) / 2 + x * Math.sin(ang) + y * Math.cos(ang),
+    c: (start.c + goal.c) / 2 + x * Math.cos(ang) - y * Math.sin(ang),
+  };
+}
+
+function pathTo(V, id) {
+  const out = [];
+  for (let i = id; i !== -1; i = V[i].parent) out.push({ r: V[i].r, c: V[i].c });
+  return out.reverse();
+}
+
+// Records a cheaper solution on the latest step (so partial traces streamed
+// while planning carry it too) and in the improvements list.
+function improve(steps, improvements, iteration, cost, polyline) {
+  const best = { step: steps.length - 1, iteration, cost, polyline };
+  steps[steps.length - 1].best = best;
+  improvements.push(best);
+}
+
+// `path` is the cells under the best polyline, for the cell-based metrics:
+// the cells its collision checks walked, not a redrawn line.
+function finish(grid, steps, improvements) {
+  const last = improvements[improvements.length - 1];
+  if (!last) return { visited: steps.map((s) => s.node), steps, path: [], improvements };
+  const path = polylineCells(grid, last.polyline);
+  return { visited: steps.map((s) => s.node), steps, path, polyline: last.polyline, cost: last.cost, improvements };
+}
+
+// RRT (rewire = false), RRT* and Informed RRT* share one loop.
+function growTree(grid, start, goal, opts, { rewire, informed, stream }) {
+  const iterations = opts.iterations ?? 2500;
+  const step = opts.step ?? 2;
+  const radius = Math.max(opts.radius ?? 4, step);
+  const goalBias = opts.goalBias ?? 0.08;
+  const anytime = opts.anytime ?? true;
+  const { rand, uniform } = sampler(grid, opts, stream);
+  const edges = edgeModel(opts);
+  const seg = (a, b) => traceSegment(grid, a, b, edges);
+
+  const V = [{ r: start.r, c: start.c, parent: -1, cost: 0, children: [] }];
+  const steps = [{ node: { r: start.r, c: start.c }, open: [], id: 0, vertex: { r: start.r, c: start.c }, parent: -1 }];
+  const improvements = [];
+  const report = progressReporter(steps, opts.onProgress);
+  let goalId = -1;
+  let best = Infinity;
+  if (euclid(start, goal) < EPS) {
+    improve(steps, improvements, 0, 0, [{ r: start.r, c: start.c }]);
+    return finish(grid, steps, improvements);
+  }
+
+  function add(p, parent, cost) {
+    const id = V.push({ r: p.r, c: p.c, parent, cost, children: [] }) - 1;
+    V[parent].children.push(id);
+    steps.push({ node: cellOf(p), open: [], id, vertex: { r: p.r, c: p.c }, parent });
+    return id;
+  }
+
+  // Moves `id` under `parent` and shifts the cost of its whole subtree.
+  function reparent(id, parent, cost) {
+    const v = V[id];
+    const siblings = V[v.parent].children;
+    siblings.splice(siblings.indexOf(id), 1);
+    V[parent].children.push(id);
+    v.parent = parent;
+    const delta = cost - v.cost;
+    const stack = [id];
+    while (stack.length) {
+      const u = V[stack.pop()];
+      u.cost += delta;
+      stack.push(...u.children);
+    }
+  }
+
+  for (let it = 0; it < iterations; it++) {
+    report(it / iterations);
+    if (goalId !== -1 && !anytime) break;
+    let x;
+    if (rand() < goalBias) x = { r: goal.r, c: goal.c };
+    else if (informed && best < Infinity) x = sampleEllipse(rand, start, goal, best);
+    else x = uniform();
+    if (!free(grid, x)) continue;
+
+    let near = 0,
+      nearD = Infinity;
+    for (let i = 0; i < V.length; i++) {
+      const d = euclid(V[i], x);
+      if (d < nearD) {
+        near = i;
+        nearD = d;
+      }
+    }
+    if (nearD < EPS) continue;
+    const y = steer(V[near], x, step);
+
+    // cheapest parent among the neighbours (RRT* and Informed RRT*)
+    const hood = [];
+    if (rewire) for (let i = 0; i < V.length; i++) if (euclid(V[i], y) <= radius) hood.push(i);
+    let parent = near,
+      cost = V[near].cost + seg(V[near], y);
+    for (const i of hood) {
+      if (i === near) continue;
+      const alt = V[i].cost + seg(V[i], y);
+      if (alt < cost) {
+        parent = i;
+        cost = alt;
+      }
+    }
+    if (cost === Infinity) continue;
+    const id = add(y, parent, cost);
+    const s = steps[steps.length - 1];
+
+    if (rewire) {
+      const changed = [];
+      for (const j of hood) {
+        if (j === parent || j === 0) continue;
+        const alt = cost + seg(y, V[j]);
+        if (alt < V[j].cost - EPS) {
+          reparent(j, id, alt);
+          changed.push([j, id]);
+        }
+      }
+      if (changed.length) s.rewire = changed;
+    }
+
+    const toGoal = euclid(y, goal);
+    if (toGoal < EPS) {
+      if (goalId === -1 || cost < V[goalId].cost) goalId = id;
+    } else if (toGoal <= step) {
+      const alt = cost + seg(y, goal);
+      if (alt < Infinity) {
+        if (goalId === -1) goalId = add(goal, id, alt);
+        else if (alt < V[goalId].cost - EPS) {
+          reparent(goalId, id, alt);
+          (s.rewire ??= []).push([goalId, id]);
+        }
+      }
+    }
+
+    if (goalId !== -1 && V[goalId].cost < best - EPS) {
+      best = V[goalId].cost;
+      improve(steps, improvements, it, best, pathTo(V, goalId));
+    }
+  }
+
+  return finish(grid, steps, improvements);
+}
+
+export function runRRT(grid, start, goal, opts = {}) {
+  return growTree(grid, start, goal, opts, { rewire: false, informed: false, stream: "rrt" });
+}
+
+// Sampling is driven by `opts.seed`, so the same seed grows the same tree.
+export function runRRTStar(grid, start, goal, opts = {}) {
+  return growTree(grid, start, goal, opts, { rewire: true, informed: false, stream: "rrt*" });
+}
+
+// RRT* that, once a solution of cost c exists, samples only the ellipse of
+// points that could lie on a cheaper path.
+export function runInformedRRTStar(grid, start, goal, opts = {}) {
+  return growTree(grid, start, goal, opts, { rewire: true, informed: true, stream: "informed-rrt*" });
+}
+
+// Two trees, from start and from goal (steps tagged side: "goal"). Each
+// iteration extends one tree towards a sample and greedily connects the
+// other to the new vertex, then the trees swap roles.
+export function runRRTConnect(grid, start, goal, opts = {}) {
+  const iterations = opts.iterations ?? 2500;
+  const step = opts.step ?? 2;
+  const goalBias = opts.goalBias ?? 0.08;
+  const anytime = opts.anytime ?? true;
+  const { rand, uniform } = sampler(grid, opts, "rrt-connect");
+  const edges = edgeModel(opts);
+
+  const V = [];
+  const steps = [];
+  const improvements = [];
+  const report = progressReporter(steps, opts.onProgress);
+  const trees = [[], []]; // vertex ids of the start and goal trees
+  let best = Infinity;
+
+  function add(t, p, parent, cost) {
+    const id = V.push({ r: p.r, c: p.c, parent, cost }) - 1;
+    trees[t].push(id);
+    steps.push({ node: cellOf(p), open: [], id, vertex: { r: p.r, c: p.c }, parent, ...(t ? { side: "goal" } : {}) });
+    return id;
+  }
+  add(0, start, -1, 0);
+  if (euclid(start, goal) < EPS) {
+    improve(steps, improvements, 0, 0, [{ r: start.r, c: start.c }]);
+    return finish(grid, steps, improvements);
+  }
+  add(1, goal, -1, 0);
+
+  function nearest(t, x) {
+    let near = -1,
+      nearD = Infinity;
+    for (const i of trees[t]) {
+      const d = euclid(V[i], x);
+      if (d < nearD) {
+        near = i;
+        nearD = d;
+      }
+    }
+    return near;
+  }
+
+  // One step of tree t towards x: the new vertex id, or -1 if blocked. The
+  // goal tree is driven towards its root, so its edges are costed that way.
+  function extend(t, x) {
+    const near = nearest(t, x);
+    if (euclid(V[near], x) < EPS) return near;
+    const y = steer(V[near], x, step);
+    const cost = t ? traceSegment(grid, y, V[near], edges) : traceSegment(grid, V[near], y, edges);
+    return cost === Infinity ? -1 : add(t, y, near, V[near].cost + cost);
+  }
+
+  let a = 0;
+  for (let it = 0; it < iterations; it++) {
+    report(it / iterations);
+    if (best < Infinity && !anytime) break;
+    const x = rand() < goalBias ? V[trees[1 - a][0]] : uniform();
+    if (!free(grid, x)) continue;
+    const ia = extend(a, x);
+    if (ia !== -1) {
+      let ib;
+      do ib = extend(1 - a, V[ia]);
+      while (ib !== -1 && euclid(V[ib], V[ia]) >= EPS);
+      if (ib !== -1) {
+        const cost = V[ia].cost + V[ib].cost;
+        if (cost < best - EPS) {
+          best = cost;
+          const [fromStart, fromGoal] = a === 0 ? [ia, ib] : [ib, ia];
+          improve(steps, improvements, it, cost, pathTo(V, fromStart).concat(pathTo(V, fromGoal).reverse().slice(1)));
+        }
+      }
+    }
+    a = 1 - a;
+  }
+
+  return finish(grid, steps, improvements);
+}
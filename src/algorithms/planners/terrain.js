@@ -0,0 +1,103 @@
+/********************
+ * Terrain, one-way cells and elevation
+ * Besides { wall, weight } a cell may carry
+ *   terrain    one of Terrains (absent: plain floor)
+ *   oneWay     one of Directions: no move may go against the arrow, whether
+ *              it leaves or enters the cell (crossing it sideways is fine)
+ *   elevation  0..MAX_ELEVATION (absent: 0)
+ *
+ * What terrain costs depends on who drives it: an agent profile gives every
+ * terrain a factor on the cell weight (null when the agent cannot enter it)
+ * and the extra cost per level of climbing (`uphill`) and descending
+ * (`downhill`). `opts.agent` picks the profile from `opts.profiles`.
+ *
+ * edgeModel(opts) -> { factor(cell), transition(from, to, dr, dc) } is what
+ * stepCost(), segmentCost() and traceSegment() take to price an edge:
+ * weight × factor per cell, plus the slope and one-way cost of moving from
+ * one cell into the next (Infinity when forbidden). Factors are at least 1
+ * and slopes never pay back, so the grid heuristics stay admissible.
+ ********************/
+
+export const Terrains = {
+  ROAD: "road",
+  GRASS: "grass",
+  MUD: "mud",
+  WATER: "water",
+  RESTRICTED: "restricted",
+};
+
+export const TerrainLabels = {
+  [Terrains.ROAD]: "Road",
+  [Terrains.GRASS]: "Grass",
+  [Terrains.MUD]: "Mud",
+  [Terrains.WATER]: "Water",
+  [Terrains.RESTRICTED]: "Restricted",
+};
+
+// Arrow directions as (dr, dc)
+export const Directions = {
+  N: "n",
+  E: "e",
+  S: "s",
+  W: "w",
+};
+
+export const DIRECTION_VECTORS = {
+  [Directions.N]: [-1, 0],
+  [Directions.E]: [0, 1],
+  [Directions.S]: [1, 0],
+  [Directions.W]: [0, -1],
+};
+
+export const MAX_ELEVATION = 9;
+
+export const AgentProfiles = {
+  ROBOT: "robot",
+  ROVER: "rover",
+  AMPHIBIOUS: "amphibious",
+};
+
+export const AgentProfileLabels = {
+  [AgentProfiles.ROBOT]: "Wheeled robot",
+  [AgentProfiles.ROVER]: "Tracked rover",
+  [AgentProfiles.AMPHIBIOUS]: "Amphibious",
+};
+
+export const DEFAULT_PROFILES = {
+  [AgentProfiles.ROBOT]: { road: 1, grass: 2, mud: 5, water: null, restricted: null, uphill: 2, downhill: 0.5 },
+  [AgentProfiles.ROVER]: { road: 1.5, grass: 1.5, mud: 2, water: null, restricted: null, uphill: 1, downhill: 0.5 },
+  [AgentProfiles.AMPHIBIOUS]: { road: 1.5, grass: 2, mud: 2, water: 1.5, restricted: null, uphill: 3, downhill: 1 },
+};
+
+// Whether the move (dr, dc) agrees with a cell's arrow (or it has none).
+function along(oneWay, dr, dc) {
+  if (!oneWay) return true;
+  const [ar, ac] = DIRECTION_VECTORS[oneWay];
+  return ar * dr + ac * dc > -1e-9;
+}
+
+// The costs of `opts.agent`; entries a saved profile leaves out keep their
+// defaults.
+export function agentProfile(opts = {}) {
+  const agent = DEFAULT_PROFILES[opts.agent] ? opts.agent : AgentProfiles.ROBOT;
+  return { ...DEFAULT_PROFILES[agent], ...opts.profiles?.[agent] };
+}
+
+export function edgeModel(opts = {}) {
+  const profile = agentProfile(opts);
+  const uphill = profile.uphill ?? 0,
+    downhill = profile.downhill ?? 0;
+  return {
+    factor: (cell) => (cell.terrain ? profile[cell.terrain] ?? Infinity : 1),
+    transition(from, to, dr, dc) {
+      if (!along(from.oneWay, dr, dc) || !along(to.oneWay, dr, dc)) return Infinity;
+      const rise = (to.elevation ?? 0) - (from.elevation ?? 0);
+      return rise > 0 ? rise * uphill : -rise * downhill;
+    },
+  };
+}
+
+// Whether any cell carries terrain, an arrow or elevation.
+export function hasTerrain(grid) {
+  return grid.some((row) => row.some((cell) => cell.terrain || cell.oneWay || cell.elevation));
+}
@@ -0,0 +1,94 @@
+import { MinHeap } from "./heap.js";
+import { progressReporter } from "./trace.js";
+import { euclid, fillPath, key, lineFree, neighbors, segmentCost } from "./grid.js";
+
+// Theta* (Nash et al.): A* whose successors may inherit their grandparent as
+// parent when there is line of sight, giving any-angle paths. With `lazy`,
+// line of sight is assumed when a node is generated and only verified when it
+// is expanded (Lazy Theta*), which saves most of the lineFree() calls.
+// Returns `polyline` (the any-angle waypoints) and `path` (the cells it crosses).
+function runTheta(grid, start, goal, opts, lazy) {
+  const rows = grid.length,
+    cols = grid[0].length;
+  const diag = opts.diag ?? false;
+  const pq = new MinHeap();
+  const g = {};
+  const parent = {};
+  const pos = {};
+  const closed = new Set();
+  const steps = [];
+  const report = progressReporter(steps, opts.onProgress);
+  const sKey = key(start.r, start.c);
+  g[sKey] = 0;
+  parent[sKey] = sKey;
+  pos[sKey] = start;
+  pq.push({ prio: euclid(start, goal), node: sKey });
+  let found = false;
+
+  while (pq.size) {
+    const cur = pq.pop();
+    if (closed.has(cur.node)) continue;
+    const s = pos[cur.node];
+
+    if (lazy && !lineFree(grid, pos[parent[cur.node]], s)) {
+      // assumed shortcut is blocked: fall back to the best closed neighbour
+      let best = Infinity;
+      for (const nb of neighbors(s.r, s.c, rows, cols, diag, grid, opts.corners)) {
+        const nk = key(nb.r, nb.c);
+        if (!closed.has(nk)) continue;
+        const alt = g[nk] + segmentCost(grid, nb, s);
+        if (alt < best) {
+          best = alt;
+          parent[cur.node] = nk;
+        }
+      }
+      g[cur.node] = best;
+    }
+
+    closed.add(cur.node);
+    const step = { node: { r: s.r, c: s.c }, open: [] };
+    steps.push(step);
+    report();
+    if (s.r === goal.r && s.c === goal.c) {
+      found = true;
+      break;
+    }
+
+    const pk = parent[cur.node];
+    for (const nb of neighbors(s.r, s.c, rows, cols, diag, grid, opts.corners)) {
+      if (grid[nb.r][nb.c].wall) continue;
+      const nk = key(nb.r, nb.c);
+      if (closed.has(nk)) continue;
+      let from = cur.node;
+      if (lazy || lineFree(grid, pos[pk], nb)) from = pk;
+      const tentative = g[from] + segmentCost(grid, pos[from], nb);
+      if (g[nk] === undefined || tentative < g[nk]) {
+        g[nk] = tentative;
+        parent[nk] = from;
+        pos[nk] = nb;
+        pq.push({ prio: tentative + euclid(nb, goal), node: nk });
+        step.open.push(nb);
+      }
+    }
+  }
+
+  const polyline = [];
+  if (found) {
+    let k = key(goal.r, goal.c);
+    polyline.push(pos[k]);
+    while (k !== sKey) {
+      k = parent[k];
+      polyline.push(pos[k]);
+    }
+    polyline.reverse();
+  }
+  return { visited: steps.map((x) => x.node), steps, polyline, path: fillPath(polyline) };
+}
+
+export function runThetaStar(grid, start, goal, opts = {}) {
+  return runTheta(grid, start, goal, opts, false);
+}
+
+export function runLazyThetaStar(grid, start, goal, opts = {}) {
+  return runTheta(grid, start, goal, opts, true);
+}
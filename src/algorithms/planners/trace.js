@@ -0,0 +1,152 @@
+import { key } from "./grid.js";
+
+// A planner trace is a list of per-step events: { node, open } where `node` is
+// the cell expanded (closed) at that step and `open` the cells pushed onto the
+// open list by it. Replaying a prefix of the trace rebuilds both sets (see
+// FrameCursor).
+
+// Largest open-list size reached over the whole trace.
+export function peakOpen(steps) {
+  const open = new Set();
+  let peak = 0;
+  for (const s of steps) {
+    open.delete(key(s.node.r, s.node.c));
+    for (const o of s.open) open.add(key(o.r, o.c));
+    peak = Math.max(peak, open.size);
+  }
+  return peak;
+}
+
+// Streams newly recorded steps to `onProgress` at most every `interval` ms.
+// Call the returned function once per iteration; `fraction` is the share of
+// the budget used so far, or null when the planner cannot tell.
+export function progressReporter(steps, onProgress, interval = 50) {
+  if (!onProgress) return () => {};
+  let sent = 0;
+  let last = Date.now();
+  return (fraction = null) => {
+    const now = Date.now();
+    if (now - last < interval) return;
+    last = now;
+    onProgress({ expansions: steps.length, fraction, steps: steps.slice(sent) });
+    sent = steps.length;
+  };
+}
+
+/******************** Incremental playback ********************/
+// The playback timeline is every expansion, then every path entry (cells, or
+// polyline vertices for any-angle planners, poses for kinematic ones).
+export function timelineLength(trace) {
+  return trace.steps.length + (trace.polyline ?? trace.poses ?? trace.path).length;
+}
+
+// Expansions revealed per playback tick: at least 3, more for long traces so
+// they still finish within ~2000 ticks.
+export function playbackBatch(stepCount) {
+  return Math.max(3, Math.ceil(stepCount / 2000));
+}
+
+// FrameCursor replays a trace (expansions, then path cells) into flat typed
+// arrays indexed by r * cols + c. Seeking forward only applies the new steps;
+// seeking backward rewinds and replays. Every cell whose state changed is
+// added to `dirty` so a renderer can repaint just those cells.
+// Steps tagged `side: "goal"` (bidirectional search) use the *_B states.
+// `onPath` holds 1 + the route leg of each path cell (see route.js).
+// Steps carrying a `vertex` (sampling planners) also rebuild the tree:
+// `points[id]`, `parents[id]` and `sides[id]`, with `rewiredAt[id]` the last
+// step that re-parented a vertex, and `best` the latest improvement reached.
+export const CellState = { NONE: 0, OPEN: 1, CLOSED: 2, OPEN_B: 3, CLOSED_B: 4 };
+const isOpen = (s) => s === CellState.OPEN || s === CellState.OPEN_B;
+const isClosed = (s) => s === CellState.CLOSED || s === CellState.CLOSED_B;
+
+export class FrameCursor {
+  constructor(trace, rows, cols) {
+    this.trace = trace;
+    this.cols = cols;
+    this.state = new Uint8Array(rows * cols);
+    this.onPath = new Uint8Array(rows * cols);
+    this.openCount = 0;
+    this.closedCount = 0;
+    this.pos = 0;
+    this.current = -1;
+    this.pathShown = 0; // revealed path entries
+    this.dirty = new Set();
+    this.points = [];
+    this.parents = [];
+    this.sides = [];
+    this.rewiredAt = [];
+    this.best = null;
+  }
+  get length() {
+    return timelineLength(this.trace);
+  }
+  // Clock for dynamic obstacles: the tick of the expanded state while
+  // searching (time-aware planners record it), then one tick per path cell.
+  get tick() {
+    if (this.pathShown > 0) return this.pathShown - 1;
+    return this.trace.steps[this.pos - 1]?.t ?? 0;
+  }
+  seek(n) {
+    const { steps, path } = this.trace;
+    n = Math.max(0, Math.min(this.length, n));
+    if (n < this.pos) this.#rewind();
+    while (this.pos < n) {
+      const p = this.pos++;
+      if (p < steps.length) {
+        const s = steps[p];
+        const back = s.side === "goal";
+        this.#set(this.#idx(s.node), back ? CellState.CLOSED_B : CellState.CLOSED);
+        for (const o of s.open) this.#set(this.#idx(o), back ? CellState.OPEN_B : CellState.OPEN);
+        if (s.vertex) this.#grow(s, p);
+      } else if (this.trace.polyline || this.trace.poses) {
+        // any-angle paths and vehicle trajectories are drawn as lines, not as filled cells
+      } else {
+        const k = p - steps.length;
+        const i = this.#idx(path[k]);
+        if (!this.onPath[i]) {
+          this.onPath[i] = (this.trace.pathLegs?.[k] ?? 0) + 1;
+          this.dirty.add(i);
+        }
+      }
+    }
+    this.current = this.pos > 0 && this.pos <= steps.length ? this.#idx(steps[this.pos - 1].node) : -1;
+    this.pathShown = Math.max(0, this.pos - steps.length);
+    return this;
+  }
+  #grow(s, p) {
+    this.points[s.id] = s.vertex;
+    this.parents[s.id] = s.parent;
+    this.sides[s.id] = s.side;
+    for (const [id, parent] of s.rewire ?? []) {
+      this.parents[id] = parent;
+      this.rewiredAt[id] = p;
+    }
+    if (s.best) this.best = s.best;
+  }
+  #idx(p) {
+    return p.r * this.cols + p.c;
+  }
+  #set(i, s) {
+    const prev = this.state[i];
+    if (prev === s) return;
+    if (isOpen(prev)) this.openCount--;
+    else if (isClosed(prev)) this.closedCount--;
+    if (isOpen(s)) this.openCount++;
+    else if (isClosed(s)) this.closedCount++;
+    this.state[i] = s;
+    this.dirty.add(i);
+  }
+  #rewind() {
+    for (let i = 0; i < this.state.length; i++) {
+      if (this.state[i] || this.onPath[i]) this.dirty.add(i);
+    }
+    this.state.fill(0);
+    this.onPath.fill(0);
+    this.openCount = this.closedCount = this.pos = 0;
+    this.points = [];
+    this.parents = [];
+    this.sides = [];
+    this.rewiredAt = [];
+    this.best = null;
+  }
+}
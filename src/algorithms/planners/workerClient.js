@@ -0,0 +1,52 @@
+/******************** Main-thread side of planner.worker.js ********************/
+// Runs plan() in a fresh worker. Resolves with the planner result, rejects
+// with an AbortError when `signal` fires; the worker is terminated either way
+// so a cancelled search stops consuming CPU immediately.
+export function planInWorker(scene, algorithm, options = {}, handlers = {}) {
+  return runInWorker({ scene, algorithm }, options, handlers);
+}
+
+// Same for solveMAPF(): several agents on one grid.
+export function solveInWorker(grid, agents, options = {}, handlers = {}) {
+  return runInWorker({ task: "mapf", grid, agents }, options, handlers);
+}
+
+function runInWorker(message, options, { onProgress, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const worker = new Worker(new URL("./planner.worker.js", import.meta.url), { type: "module" });
+
+    const finish = () => {
+      worker.terminate();
+      signal?.removeEventListener("abort", onAbort);
+    };
+    function onAbort() {
+      finish();
+      reject(abortError());
+    }
+    signal?.addEventListener("abort", onAbort);
+
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type === "progress") onProgress?.(msg);
+      else if (msg.type === "done") {
+        finish();
+        resolve(msg.result);
+      } else if (msg.type === "error") {
+        finish();
+        reject(new Error(msg.message));
+      }
+    };
+    worker.onerror = (e) => {
+      finish();
+      reject(new Error(e.message || "Planner worker failed"));
+    };
+    // onProgress is a function and cannot be cloned into the worker
+    const { onProgress: _drop, ...cloneable } = options;
+    worker.postMessage({ ...message, options: cloneable });
+  });
+}
+
+function abortError() {
+  return new DOMException("Planning cancelled", "AbortError");
+}
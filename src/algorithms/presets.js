@@ -0,0 +1,86 @@
+import { Algorithms, AgentProfiles, Terrains, makeGrid } from "./planners/index.js";
+import { SCENE_VERSION, parseScene } from "./scene.js";
+
+/********************
+ * Gallery presets
+ * Hand-built scenes that each show off one behaviour. A preset is
+ * { id, title, description, build } where build() returns a scene file
+ * object (see scene.js); presetScene() validates it like an import.
+ ********************/
+
+// Sets `cell` on every cell of the rectangle r0..r1 × c0..c1 (inclusive).
+function fill(grid, r0, c0, r1, c1, cell) {
+  for (let r = r0; r <= r1; r++) for (let c = c0; c <= c1; c++) Object.assign(grid[r][c], cell);
+}
+
+const WALL = { wall: true };
+
+function scene(grid, start, goal, algorithm, options = {}) {
+  return { version: SCENE_VERSION, rows: grid.length, cols: grid[0].length, grid, start, goal, planner: { algorithm, options } };
+}
+
+export const Presets = [
+  {
+    id: "trap",
+    title: "A* vs Dijkstra: the trap",
+    description: "A cup facing the start. A* follows its heuristic into the cup before it finds the way around, while Dijkstra floods outwards evenly. Compare the expanded nodes in Compare.",
+    build() {
+      const g = makeGrid(24, 38);
+      fill(g, 5, 22, 18, 22, WALL);
+      fill(g, 5, 12, 5, 22, WALL);
+      fill(g, 18, 12, 18, 22, WALL);
+      return scene(g, { r: 12, c: 4 }, { r: 12, c: 33 }, Algorithms.ASTAR);
+    },
+  },
+  {
+    id: "narrow-passage",
+    title: "Narrow passage",
+    description: "A thick wall with a single one-cell gap. Uniform sampling rarely lands in the gap, so RRT* needs many iterations to thread it.",
+    build() {
+      const g = makeGrid(24, 38);
+      fill(g, 0, 17, 23, 20, WALL);
+      fill(g, 12, 17, 12, 20, { wall: false });
+      return scene(g, { r: 3, c: 3 }, { r: 20, c: 34 }, Algorithms.RRTSTAR);
+    },
+  },
+  {
+    id: "weighted-detour",
+    title: "Heavy-weight detour",
+    description: "A band of weight-15 cells lies across the straight route. The cheapest path walks around its end, which planners that ignore weights (BFS, Greedy, JPS) will not do.",
+    build() {
+      const g = makeGrid(24, 38);
+      fill(g, 0, 16, 19, 21, { weight: 15 });
+      return scene(g, { r: 4, c: 3 }, { r: 4, c: 34 }, Algorithms.DIJKSTRA);
+    },
+  },
+  {
+    id: "open-room",
+    title: "Large open room",
+    description: "A 60 × 96 hall with a grid of pillars and diagonal moves on. Handy for comparing how much of a big map each planner expands.",
+    build() {
+      const g = makeGrid(60, 96);
+      fill(g, 0, 0, 0, 95, WALL);
+      fill(g, 59, 0, 59, 95, WALL);
+      fill(g, 0, 0, 59, 0, WALL);
+      fill(g, 0, 95, 59, 95, WALL);
+      for (let r = 8; r < 56; r += 12) for (let c = 10; c < 90; c += 12) fill(g, r, c, r + 1, c + 1, WALL);
+      return scene(g, { r: 5, c: 5 }, { r: 54, c: 90 }, Algorithms.ASTAR, { diag: true });
+    },
+  },
+  {
+    id: "river-crossing",
+    title: "River crossing",
+    description: "Grassland split by a river with one road bridge far upstream. The wheeled robot takes the bridge; switch the agent to Amphibious and it swims straight across.",
+    build() {
+      const g = makeGrid(24, 38);
+      fill(g, 0, 0, 23, 37, { terrain: Terrains.GRASS });
+      fill(g, 0, 17, 23, 20, { terrain: Terrains.WATER });
+      fill(g, 2, 0, 3, 37, { terrain: Terrains.ROAD });
+      return scene(g, { r: 20, c: 3 }, { r: 20, c: 34 }, Algorithms.ASTAR, { agent: AgentProfiles.ROBOT });
+    },
+  },
+];
+
+export function presetScene(preset) {
+  return parseScene(preset.build());
+}
@@ -0,0 +1,289 @@
+/********************
+ * Scene files
+ * Versioned JSON shape written by Export and read by Import and the CLI:
+ *
+ *   { version, rows, cols, start: {r,c}, goal: {r,c},
+ *     grid: [[{wall, weight, terrain?, oneWay?, elevation?}]],
+ *     waypoints?: [{r,c}], obstacles?: [{ points: [{r,c}], mode }], seed?,
+ *     planner?: { algorithm, options } }
+ *
+ * parseScene() migrates older files to SCENE_VERSION and validates the
+ * result, throwing a SceneError that lists every problem it found.
+ ********************/
+import {
+  AgentProfiles,
+  CornerRules,
+  CostModels,
+  DEFAULT_OPTIONS,
+  Directions,
+  Heuristics,
+  MAX_ELEVATION,
+  ObstacleModes,
+  Terrains,
+  normalizeSeed,
+  resolveAlgorithm,
+} from "./planners/index.js";
+
+export const SCENE_VERSION = 1;
+export const MIN_SIZE = 8;
+export const MAX_SIZE = 1024; // fits the 1024×1024 MovingAI benchmark maps
+export const MIN_WEIGHT = 1;
+export const MAX_WEIGHT = 20;
+export const MAX_WAYPOINTS = 32;
+export const MAX_OBSTACLES = 32;
+export const MAX_OBSTACLE_POINTS = 64;
+
+const MAX_REPORTED = 20; // per-cell problems listed before summarising
+// String planner options and the values they accept
+const OPTION_CHOICES = { corners: CornerRules, costModel: CostModels, heuristic: Heuristics, agent: AgentProfiles };
+
+export class SceneError extends Error {
+  constructor(errors) {
+    super(errors.length === 1 ? errors[0] : `${errors.length} problems in scene file`);
+    this.name = "SceneError";
+    this.errors = errors;
+  }
+}
+
+// Terrain layers are only written where set, so plain maps stay compact.
+function serializeCell({ wall, weight, terrain, oneWay, elevation }) {
+  return { wall, weight, ...(terrain ? { terrain } : {}), ...(oneWay ? { oneWay } : {}), ...(elevation ? { elevation } : {}) };
+}
+
+export function serializeScene({ rows, cols, grid, start, goal, waypoints, obstacles, seed, planner }) {
+  return {
+    version: SCENE_VERSION,
+    rows,
+    cols,
+    start,
+    goal,
+    ...(waypoints?.length ? { waypoints } : {}),
+    ...(obstacles?.length ? { obstacles: obstacles.map(({ points, mode }) => ({ points, mode })) } : {}),
+    ...(seed != null ? { seed } : {}),
+    ...(planner ? { planner } : {}),
+    grid: grid.map((row) => row.map(serializeCell)),
+  };
+}
+
+// MIGRATIONS[v] upgrades a version-v object to v + 1.
+const MIGRATIONS = [
+  // 0: unversioned files from before the schema; fill in rows/cols from the
+  // grid when they are missing.
+  (data) => ({
+    ...data,
+    version: 1,
+    rows: data.rows ?? (Array.isArray(data.grid) ? data.grid.length : undefined),
+    cols: data.cols ?? (Array.isArray(data.grid?.[0]) ? data.grid[0].length : undefined),
+  }),
+];
+
+export function migrateScene(data) {
+  let out = data;
+  let version = out.version ?? 0;
+  while (version < SCENE_VERSION) {
+    out = MIGRATIONS[version](out);
+    version = out.version;
+  }
+  return out;
+}
+
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const show = (v) => (v === undefined ? "nothing" : JSON.stringify(v));
+
+function checkPoint(errors, name, p, rows, cols, grid) {
+  if (!isObject(p) || !Number.isInteger(p.r) || !Number.isInteger(p.c)) {
+    errors.push(`${name}: expected { r, c } with integer coordinates, got ${show(p)}`);
+    return;
+  }
+  if (p.r < 0 || p.r >= rows || p.c < 0 || p.c >= cols) {
+    errors.push(`${name}: (${p.r}, ${p.c}) is outside the ${rows}×${cols} grid`);
+    return;
+  }
+  if (grid?.[p.r]?.[p.c]?.wall === true) errors.push(`${name}: (${p.r}, ${p.c}) is on a wall`);
+}
+
+// Start and goal may carry a heading in degrees (see hybrid.js).
+function checkHeading(errors, name, p) {
+  if (isObject(p) && p.heading !== undefined && !Number.isFinite(p.heading)) errors.push(`${name}.heading: expected a number of degrees, got ${show(p.heading)}`);
+}
+
+// Terrain factors are >= 1 (null: impassable) and slope costs >= 0, which
+// keeps the A* heuristics admissible.
+function checkProfiles(errors, profiles) {
+  for (const [agent, profile] of Object.entries(profiles)) {
+    const at = `planner.options.profiles.${agent}`;
+    if (!Object.values(AgentProfiles).includes(agent)) errors.push(`${at}: unknown agent, expected one of ${Object.values(AgentProfiles).join(", ")}`);
+    else if (!isObject(profile)) errors.push(`${at}: expected an object, got ${show(profile)}`);
+    else {
+      for (const t of Object.values(Terrains)) {
+        const f = profile[t];
+        if (f !== undefined && f !== null && !(Number.isFinite(f) && f >= 1)) errors.push(`${at}.${t}: expected a number >= 1 or null (impassable), got ${show(f)}`);
+      }
+      for (const k of ["uphill", "downhill"]) {
+        const x = profile[k];
+        if (x !== undefined && !(Number.isFinite(x) && x >= 0)) errors.push(`${at}.${k}: expected a number >= 0, got ${show(x)}`);
+      }
+    }
+  }
+}
+
+function checkObstacles(errors, obstacles, rows, cols, grid) {
+  if (!Array.isArray(obstacles)) {
+    errors.push(`obstacles: expected an array of { points, mode }, got ${show(obstacles)}`);
+    return;
+  }
+  if (obstacles.length > MAX_OBSTACLES) errors.push(`obstacles: at most ${MAX_OBSTACLES} are supported, got ${obstacles.length}`);
+  const modes = Object.values(ObstacleModes);
+  obstacles.slice(0, MAX_OBSTACLES).forEach((o, i) => {
+    const at = `obstacles[${i}]`;
+    if (!isObject(o)) {
+      errors.push(`${at}: expected { points, mode }, got ${show(o)}`);
+      return;
+    }
+    if (!modes.includes(o.mode)) errors.push(`${at}.mode: expected one of ${modes.join(", ")}, got ${show(o.mode)}`);
+    if (!Array.isArray(o.points) || !o.points.length || o.points.length > MAX_OBSTACLE_POINTS) {
+      errors.push(`${at}.points: expected 1–${MAX_OBSTACLE_POINTS} cells, got ${Array.isArray(o.points) ? o.points.length : show(o.points)}`);
+      return;
+    }
+    o.points.forEach((p, j) => checkPoint(errors, `${at}.points[${j}]`, p, rows, cols, grid));
+  });
+}
+
+// Returns a list of human-readable problems; empty when `data` is a valid
+// current-version scene.
+export function validateScene(data) {
+  if (!isObject(data)) return [`expected a JSON object, got ${Array.isArray(data) ? "an array" : show(data)}`];
+  const errors = [];
+  if (data.version !== SCENE_VERSION) errors.push(`version: expected ${SCENE_VERSION}, got ${show(data.version)}`);
+
+  const { rows, cols, grid } = data;
+  const sizeOk = (n) => Number.isInteger(n) && n >= MIN_SIZE && n <= MAX_SIZE;
+  if (!sizeOk(rows)) errors.push(`rows: expected an integer between ${MIN_SIZE} and ${MAX_SIZE}, got ${show(rows)}`);
+  if (!sizeOk(cols)) errors.push(`cols: expected an integer between ${MIN_SIZE} and ${MAX_SIZE}, got ${show(cols)}`);
+
+  if (!Array.isArray(grid)) {
+    errors.push(`grid: expected an array of rows, got ${show(grid)}`);
+  } else {
+    if (grid.length !== rows) errors.push(`grid: has ${grid.length} rows but rows is ${show(rows)}`);
+    const cellErrors = [];
+    grid.forEach((row, r) => {
+      if (!Array.isArray(row)) {
+        cellErrors.push(`grid[${r}]: expected an array of cells`);
+        return;
+      }
+      if (row.length !== cols) cellErrors.push(`grid[${r}]: has ${row.length} cells but cols is ${show(cols)}`);
+      row.forEach((cell, c) => {
+        const at = `grid[${r}][${c}]`;
+        if (!isObject(cell)) cellErrors.push(`${at}: expected { wall, weight }, got ${show(cell)}`);
+        else {
+          if (typeof cell.wall !== "boolean") cellErrors.push(`${at}.wall: expected true or false, got ${show(cell.wall)}`);
+          if (typeof cell.weight !== "number" || !Number.isFinite(cell.weight) || cell.weight < MIN_WEIGHT || cell.weight > MAX_WEIGHT) {
+            cellErrors.push(`${at}.weight: expected a number between ${MIN_WEIGHT} and ${MAX_WEIGHT}, got ${show(cell.weight)}`);
+          }
+          if (cell.terrain !== undefined && !Object.values(Terrains).includes(cell.terrain)) {
+            cellErrors.push(`${at}.terrain: expected one of ${Object.values(Terrains).join(", ")}, got ${show(cell.terrain)}`);
+          }
+          if (cell.oneWay !== undefined && !Object.values(Directions).includes(cell.oneWay)) {
+            cellErrors.push(`${at}.oneWay: expected one of ${Object.values(Directions).join(", ")}, got ${show(cell.oneWay)}`);
+          }
+          if (cell.elevation !== undefined && !(Number.isFinite(cell.elevation) && cell.elevation >= 0 && cell.elevation <= MAX_ELEVATION)) {
+            cellErrors.push(`${at}.elevation: expected a number between 0 and ${MAX_ELEVATION}, got ${show(cell.elevation)}`);
+          }
+        }
+      });
+    });
+    errors.push(...cellErrors.slice(0, MAX_REPORTED));
+    if (cellErrors.length > MAX_REPORTED) errors.push(`…and ${cellErrors.length - MAX_REPORTED} more grid problems`);
+  }
+
+  if (Number.isInteger(rows) && Number.isInteger(cols)) {
+    const g = Array.isArray(grid) ? grid : null;
+    checkPoint(errors, "start", data.start, rows, cols, g);
+    checkPoint(errors, "goal", data.goal, rows, cols, g);
+    checkHeading(errors, "start", data.start);
+    checkHeading(errors, "goal", data.goal);
+    if (data.waypoints !== undefined) {
+      if (!Array.isArray(data.waypoints)) errors.push(`waypoints: expected an array of { r, c }, got ${show(data.waypoints)}`);
+      else {
+        if (data.waypoints.length > MAX_WAYPOINTS) errors.push(`waypoints: at most ${MAX_WAYPOINTS} are supported, got ${data.waypoints.length}`);
+        data.waypoints.slice(0, MAX_WAYPOINTS).forEach((p, i) => checkPoint(errors, `waypoints[${i}]`, p, rows, cols, g));
+      }
+    }
+    if (data.obstacles !== undefined) checkObstacles(errors, data.obstacles, rows, cols, g);
+  }
+
+  if (data.seed !== undefined && normalizeSeed(data.seed) === null) errors.push(`seed: expected a non-negative 32-bit integer, got ${show(data.seed)}`);
+  if (data.planner !== undefined) {
+    const { planner } = data;
+    if (!isObject(planner)) errors.push(`planner: expected an object, got ${show(planner)}`);
+    else {
+      if (planner.algorithm !== undefined && !resolveAlgorithm(planner.algorithm)) errors.push(`planner.algorithm: unknown algorithm ${show(planner.algorithm)}`);
+      if (planner.options !== undefined) {
+        if (!isObject(planner.options)) errors.push(`planner.options: expected an object, got ${show(planner.options)}`);
+        else {
+          for (const [k, v] of Object.entries(planner.options)) {
+            if (!(k in DEFAULT_OPTIONS)) continue; // unknown options are ignored
+            const expected = typeof DEFAULT_OPTIONS[k];
+            if (typeof v !== expected || (expected === "number" && !Number.isFinite(v))) {
+              errors.push(`planner.options.${k}: expected a ${expected}, got ${show(v)}`);
+            }
+          }
+          for (const [k, values] of Object.entries(OPTION_CHOICES)) {
+            const v = planner.options[k];
+            if (typeof v === "string" && !Object.values(values).includes(v)) {
+              errors.push(`planner.options.${k}: expected one of ${Object.values(values).join(", ")}, got ${show(v)}`);
+            }
+          }
+          const eps = planner.options.epsilon;
+          if (typeof eps === "number" && !(eps >= 1)) errors.push(`planner.options.epsilon: expected a number >= 1, got ${show(eps)}`);
+          if (isObject(planner.options.profiles)) checkProfiles(errors, planner.options.profiles);
+        }
+      }
+    }
+  }
+  return errors;
+}
+
+// Keeps `start`/`goal` when they are inside `grid` on a free cell; otherwise
+// uses the first free cell from the top-left (start) or bottom-right (goal).
+// Used when importing maps that carry no endpoints.
+export function placeEndpoints(grid, start, goal) {
+  const rows = grid.length,
+    cols = grid[0].length;
+  const ok = (p) => p && p.r >= 0 && p.r < rows && p.c >= 0 && p.c < cols && !grid[p.r][p.c].wall;
+  const scan = (fromEnd) => {
+    for (let i = 0; i < rows * cols; i++) {
+      const k = fromEnd ? rows * cols - 1 - i : i;
+      const r = Math.floor(k / cols),
+        c = k % cols;
+      if (!grid[r][c].wall) return { r, c };
+    }
+    return { r: 0, c: 0 };
+  };
+  return { start: ok(start) ? start : scan(false), goal: ok(goal) ? goal : scan(true) };
+}
+
+// Migrates and validates parsed JSON; returns the scene or throws SceneError.
+export function parseScene(data) {
+  if (isObject(data) && data.version !== undefined) {
+    if (!Number.isInteger(data.version) || data.version < 0) throw new SceneError([`version: expected a non-negative integer, got ${show(data.version)}`]);
+    if (data.version > SCENE_VERSION) {
+      throw new SceneError([`version: file is version ${data.version}, but this app reads up to version ${SCENE_VERSION}`]);
+    }
+  }
+  const scene = isObject(data) ? migrateScene(data) : data;
+  const errors = validateScene(scene);
+  if (errors.length) throw new SceneError(errors);
+  return scene;
+}
+
+// JSON text -> scene; syntax errors are reported the same way.
+export function parseSceneText(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new SceneError([`not valid JSON: ${err.message.split("\n")[0]}`]);
+  }
+  return parseScene(data);
+}
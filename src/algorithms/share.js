@@ -0,0 +1,48 @@
+import { SceneError, parseSceneText } from "./scene.js";
+
+/********************
+ * Share links
+ * A link carries the whole scene file (see scene.js: grid, endpoints,
+ * planner and options) in the fragment of the /share route:
+ *
+ *   https://host/share#<code>
+ *
+ * where <code> is the scene JSON, deflated and base64url-encoded. The
+ * fragment never reaches the server, so only the browser limits its length;
+ * links longer than MAX_SHARE_LENGTH are refused in favour of exporting.
+ ********************/
+
+export const MAX_SHARE_LENGTH = 60000;
+const FORMAT = "deflate-raw";
+
+function toBase64Url(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const bin = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(bin, (ch) => ch.charCodeAt(0));
+}
+
+async function pipe(bytes, stream) {
+  return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+}
+
+// Scene file object (serializeScene) -> link code.
+export async function encodeScene(data) {
+  const bytes = await pipe(new TextEncoder().encode(JSON.stringify(data)), new CompressionStream(FORMAT));
+  return toBase64Url(bytes);
+}
+
+// Link code -> validated scene; throws SceneError when the link is damaged.
+export async function decodeScene(code) {
+  let text;
+  try {
+    text = new TextDecoder().decode(await pipe(fromBase64Url(code), new DecompressionStream(FORMAT)));
+  } catch {
+    throw new SceneError(["the link is incomplete or damaged; ask for it to be shared again"]);
+  }
+  return parseSceneText(text);
+}
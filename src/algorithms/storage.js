@@ -0,0 +1,139 @@
+import { SceneError, parseScene } from "./scene.js";
+
+/********************
+ * Local persistence in IndexedDB
+ * Two object stores in the "path-planner" database:
+ *   autosave   the editor's scene under AUTOSAVE_KEY, restored on reload
+ *   scenarios  the named library, entries keyed by `id`:
+ *              { id, name, tags: [string], created, updated, scene }
+ * Scenes are stored as scene files (see scene.js), timestamps as ms since
+ * the epoch.
+ *
+ * The whole library exports as one archive,
+ *   { format: LIBRARY_FORMAT, version, exported, scenarios: [entry] },
+ * and parseLibrary() validates every scene in it like an import. Importing
+ * keeps entry ids, so importing an archive twice replaces rather than
+ * duplicates its scenarios.
+ ********************/
+
+const DB_NAME = "path-planner";
+const DB_VERSION = 1;
+const AUTOSAVE = "autosave";
+const SCENARIOS = "scenarios";
+const AUTOSAVE_KEY = "current";
+export const LIBRARY_FORMAT = "path-planner-library";
+export const LIBRARY_VERSION = 1;
+
+let dbPromise = null;
+
+function openDb() {
+  dbPromise ??= new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") throw new Error("this browser has no IndexedDB");
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(AUTOSAVE)) db.createObjectStore(AUTOSAVE);
+      if (!db.objectStoreNames.contains(SCENARIOS)) db.createObjectStore(SCENARIOS, { keyPath: "id" });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  }).catch((err) => {
+    dbPromise = null; // retry on the next call
+    throw err;
+  });
+  return dbPromise;
+}
+
+// Runs `fn(store)` in a transaction; resolves with the result of the
+// request it returns (if any) once the transaction has committed.
+async function transact(name, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode);
+    const req = fn(tx.objectStore(name));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export function readAutosave() {
+  return transact(AUTOSAVE, "readonly", (store) => store.get(AUTOSAVE_KEY));
+}
+
+export function writeAutosave(data) {
+  return transact(AUTOSAVE, "readwrite", (store) => store.put(data, AUTOSAVE_KEY));
+}
+
+// Newest first.
+export async function listScenarios() {
+  const all = await transact(SCENARIOS, "readonly", (store) => store.getAll());
+  return all.sort((a, b) => b.updated - a.updated);
+}
+
+export function putScenarios(entries) {
+  return transact(SCENARIOS, "readwrite", (store) => {
+    for (const e of entries) store.put(e);
+  });
+}
+
+export function deleteScenario(id) {
+  return transact(SCENARIOS, "readwrite", (store) => store.delete(id));
+}
+
+export function newScenario(name, scene, tags = []) {
+  const now = Date.now();
+  return { id: crypto.randomUUID(), name, tags, created: now, updated: now, scene };
+}
+
+// "a, b,,a " -> ["a", "b"]
+export function parseTags(text) {
+  return [...new Set(text.split(",").map((t) => t.trim()).filter(Boolean))];
+}
+
+// Case-insensitive match of every word of `query` against name and tags.
+export function matchesQuery(entry, query) {
+  const hay = [entry.name, ...entry.tags].join(" ").toLowerCase();
+  return query.toLowerCase().split(/\s+/).every((w) => hay.includes(w));
+}
+
+export function serializeLibrary(entries) {
+  return { format: LIBRARY_FORMAT, version: LIBRARY_VERSION, exported: new Date().toISOString(), scenarios: entries };
+}
+
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+// Parsed archive JSON -> library entries; throws SceneError listing the
+// problems of every entry that cannot be imported.
+export function parseLibrary(data) {
+  if (!isObject(data) || data.format !== LIBRARY_FORMAT) throw new SceneError(["not a scenario library archive"]);
+  if (data.version > LIBRARY_VERSION) {
+    throw new SceneError([`version: archive is version ${data.version}, but this app reads up to version ${LIBRARY_VERSION}`]);
+  }
+  if (!Array.isArray(data.scenarios)) throw new SceneError(["scenarios: expected an array"]);
+  const errors = [];
+  const now = Date.now();
+  const entries = data.scenarios.map((e, i) => {
+    const at = `scenarios[${i}]${typeof e?.name === "string" ? ` (${e.name})` : ""}`;
+    if (!isObject(e)) {
+      errors.push(`${at}: expected an object`);
+      return null;
+    }
+    try {
+      parseScene(e.scene);
+    } catch (err) {
+      errors.push(...(err.errors ?? [err.message]).map((msg) => `${at}: ${msg}`));
+      return null;
+    }
+    return {
+      id: typeof e.id === "string" && e.id ? e.id : crypto.randomUUID(),
+      name: typeof e.name === "string" && e.name.trim() ? e.name : `Scenario ${i + 1}`,
+      tags: Array.isArray(e.tags) ? e.tags.filter((t) => typeof t === "string") : [],
+      created: Number.isFinite(e.created) ? e.created : now,
+      updated: Number.isFinite(e.updated) ? e.updated : now,
+      scene: e.scene,
+    };
+  });
+  if (errors.length) throw new SceneError(errors);
+  return entries;
+}
@@ -0,0 +1,49 @@
+import { useEffect, useRef, useState } from "react";
+import { parseScene, serializeScene } from "./scene.js";
+import { readAutosave, writeAutosave } from "./storage.js";
+
+/********************
+ * Autosave of the editor's scene (see storage.js)
+ * On mount, restores the last autosaved scene through `onRestore` unless
+ * `skipRestore` (a share link is being opened); saved data that no longer
+ * validates is ignored. Afterwards `parts` (the serializeScene() arguments)
+ * is written AUTOSAVE_DELAY ms after it last changed, so a drag is saved
+ * once. Nothing is written before the restore has finished, or the default
+ * map would overwrite the saved one.
+ *
+ * Returns the time of the last successful save, or null.
+ ********************/
+
+const AUTOSAVE_DELAY = 800;
+
+export function useAutosave(parts, { onRestore, skipRestore }) {
+  const [restored, setRestored] = useState(false);
+  const [savedAt, setSavedAt] = useState(null);
+  const started = useRef(false);
+
+  useEffect(() => {
+    if (started.current) return;
+    started.current = true;
+    (async () => {
+      try {
+        const data = skipRestore ? null : await readAutosave();
+        if (data) onRestore(parseScene(data));
+      } catch (err) {
+        console.warn("Autosaved scene not restored", err);
+      }
+      setRestored(true);
+    })();
+  }, [onRestore, skipRestore]);
+
+  useEffect(() => {
+    if (!restored) return;
+    const id = setTimeout(() => {
+      writeAutosave(serializeScene(parts))
+        .then(() => setSavedAt(Date.now()))
+        .catch((err) => console.warn("Autosave failed", err));
+    }, AUTOSAVE_DELAY);
+    return () => clearTimeout(id);
+  }, [parts, restored]);
+
+  return savedAt;
+}
@@ -0,0 +1,247 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Plus, X, Play, Zap, ArrowLeft, Trophy } from "lucide-react";
+import { Algorithms, AlgorithmInfo, FrameCursor, playbackBatch, timelineLength } from "../algorithms/planners/index.js";
+import { planInWorker } from "../algorithms/planners/workerClient.js";
+import GridCanvas from "./GridCanvas.jsx";
+import PlaybackBar from "./PlaybackBar.jsx";
+
+/********************
+ * Side-by-side comparison
+ * Snapshots the scene on open, runs 2–4 planners on it and replays them in
+ * lockstep off one shared cursor. Planners run one after another so the
+ * wall-clock times are not skewed by competing workers.
+ ********************/
+
+const MIN_PANELS = 2;
+const MAX_PANELS = 4;
+const DEFAULT_ALGOS = [Algorithms.ASTAR, Algorithms.DIJKSTRA, Algorithms.RRTSTAR];
+
+// Summary columns; lower is better for all of them
+const COLUMNS = [
+  { key: "expansions", label: "Nodes expanded", fmt: (v) => String(v) },
+  { key: "cost", label: "Path cost", fmt: (v) => (v === Infinity ? "∞" : (Math.round(v * 100) / 100).toString()) },
+  { key: "length", label: "Path length", fmt: (v) => v.toFixed(2) },
+  { key: "timeMs", label: "Planning time (ms)", fmt: (v) => v.toFixed(1) },
+];
+
+let nextPanelId = 1;
+const makePanel = (algorithm, diag) => ({ id: nextPanelId++, algorithm, diag, result: null, error: null });
+
+export default function ComparisonView({ grid, start, goal, waypoints, obstacles, options, speed, onClose }) {
+  const [scene] = useState(() => ({ grid, start, goal, waypoints, obstacles }));
+  const [panels, setPanels] = useState(() => DEFAULT_ALGOS.map((a) => makePanel(a, options.diag)));
+  const [cursor, setCursor] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [running, setRunning] = useState(false);
+  const abortRef = useRef(null);
+
+  const results = panels.map((p) => p.result).filter(Boolean);
+  const maxSteps = Math.max(0, ...results.map((r) => r.steps.length));
+  const maxLength = Math.max(0, ...results.map(timelineLength));
+
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  useEffect(() => {
+    if (!playing) return;
+    if (cursor >= maxLength) {
+      setPlaying(false);
+      return;
+    }
+    const id = setTimeout(() => {
+      setCursor((n) => Math.min(maxLength, n + (n < maxSteps ? playbackBatch(maxSteps) : 1)));
+    }, speed);
+    return () => clearTimeout(id);
+  }, [playing, cursor, maxLength, maxSteps, speed]);
+
+  async function runAll(thenPlay) {
+    abortRef.current?.abort();
+    const ctrl = new AbortController();
+    abortRef.current = ctrl;
+    setPlaying(false);
+    setCursor(0);
+    setRunning(true);
+    setPanels((ps) => ps.map((p) => ({ ...p, result: null, error: null })));
+    const done = {};
+    for (const p of panels) {
+      try {
+        done[p.id] = { result: await planInWorker(scene, p.algorithm, { ...options, diag: p.diag }, { signal: ctrl.signal }), error: null };
+      } catch (err) {
+        if (ctrl.signal.aborted) return;
+        done[p.id] = { result: null, error: err.message };
+      }
+    }
+    abortRef.current = null;
+    setRunning(false);
+    setPanels((ps) => ps.map((p) => ({ ...p, ...done[p.id] })));
+    const end = Math.max(0, ...Object.values(done).map((d) => (d.result ? timelineLength(d.result) : 0)));
+    setCursor(thenPlay ? 0 : end);
+    setPlaying(thenPlay);
+  }
+
+  function cancel() {
+    abortRef.current?.abort();
+    abortRef.current = null;
+    setRunning(false);
+  }
+
+  function updatePanel(id, patch) {
+    setPanels((ps) => ps.map((p) => (p.id === id ? { ...p, ...patch, result: null, error: null } : p)));
+  }
+
+  function togglePlay() {
+    if (!maxLength) return runAll(true);
+    if (cursor >= maxLength) setCursor(0);
+    setPlaying((p) => !p);
+  }
+
+  function seek(n) {
+    setPlaying(false);
+    setCursor(Math.max(0, Math.min(maxLength, n)));
+  }
+
+  // Best value per column among planners that found a path
+  const winners = useMemo(() => {
+    const out = {};
+    for (const col of COLUMNS) {
+      const vals = panels.filter((p) => p.result?.found).map((p) => p.result[col.key]);
+      out[col.key] = vals.length ? Math.min(...vals) : null;
+    }
+    return out;
+  }, [panels]);
+
+  const btn = "inline-flex items-center gap-2 rounded-2xl px-3 py-2 disabled:opacity-50";
+  return (
+    <section className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <button onClick={onClose} className={`${btn} bg-slate-800 hover:bg-slate-700`}>
+          <ArrowLeft className="h-4 w-4" /> Back to editor
+        </button>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setPanels((ps) => [...ps, makePanel(Algorithms.ASTAR, options.diag)])}
+            disabled={running || panels.length >= MAX_PANELS}
+            className={`${btn} bg-slate-800 hover:bg-slate-700`}
+          >
+            <Plus className="h-4 w-4" /> Panel
+          </button>
+          <button onClick={() => runAll(true)} disabled={running} className={`${btn} bg-emerald-500 hover:bg-emerald-400`}>
+            <Play className="h-4 w-4" /> Race
+          </button>
+          <button onClick={() => runAll(false)} disabled={running} className={`${btn} bg-sky-500 hover:bg-sky-400`}>
+            <Zap className="h-4 w-4" /> Compute all
+          </button>
+          {running && (
+            <button onClick={cancel} className={`${btn} bg-rose-600 hover:bg-rose-500`}>
+              <X className="h-4 w-4" /> Cancel
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="rounded-2xl bg-slate-900/60 border border-slate-800 p-3">
+        <PlaybackBar
+          cursor={cursor}
+          length={maxLength}
+          expansions={maxSteps}
+          playing={playing}
+          planning={running ? { label: "planning…" } : null}
+          hasTrace={results.length > 0 && !running}
+          onToggle={togglePlay}
+          onStep={(d) => seek(cursor + d)}
+          onSeek={seek}
+        />
+        <div className={`grid gap-3 ${panels.length > 1 ? "md:grid-cols-2" : ""}`}>
+          {panels.map((p) => (
+            <ComparePanel
+              key={p.id}
+              panel={p}
+              scene={scene}
+              cursor={cursor}
+              disabled={running}
+              canRemove={panels.length > MIN_PANELS}
+              onChange={(patch) => updatePanel(p.id, patch)}
+              onRemove={() => setPanels((ps) => ps.filter((x) => x.id !== p.id))}
+            />
+          ))}
+        </div>
+      </div>
+
+      <div className="rounded-2xl bg-slate-900/70 border border-slate-800 p-4 overflow-x-auto">
+        <table className="w-full text-sm tabular-nums">
+          <thead className="text-slate-400 text-xs">
+            <tr>
+              <th className="text-left font-medium py-1.5">Planner</th>
+              {COLUMNS.map((c) => (
+                <th key={c.key} className="text-right font-medium py-1.5">{c.label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {panels.map((p) => (
+              <tr key={p.id} className="border-t border-slate-800">
+                <td className="py-1.5">
+                  {p.algorithm}
+                  {p.diag && <span className="ml-1 text-xs text-slate-500">(diag)</span>}
+                </td>
+                {COLUMNS.map((c) => {
+                  const v = p.result?.[c.key];
+                  const best = p.result?.found && v === winners[c.key];
+                  return (
+                    <td key={c.key} className={`text-right py-1.5 ${best ? "text-emerald-300 font-semibold" : ""}`}>
+                      {p.error ? "error" : !p.result ? "–" : !p.result.found && c.key !== "expansions" && c.key !== "timeMs" ? "no path" : c.fmt(v)}
+                      {best && <Trophy className="inline h-3.5 w-3.5 ml-1 -mt-0.5" />}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  );
+}
+
+function ComparePanel({ panel, scene, cursor, disabled, canRemove, onChange, onRemove }) {
+  const { result } = panel;
+  const frameCursor = useMemo(
+    () => (result ? new FrameCursor(result, scene.grid.length, scene.grid[0].length) : null),
+    [result, scene]
+  );
+  const frame = useMemo(() => frameCursor?.seek(cursor) ?? null, [frameCursor, cursor]);
+  const done = result && cursor >= timelineLength(result);
+  const movers = scene.obstacles?.length
+    ? { list: scene.obstacles, time: frame?.tick ?? 0, robot: frame?.pathShown > 0 && !result.polyline ? result.path[frame.pathShown - 1] : null }
+    : null;
+
+  return (
+    <div className="rounded-xl border border-slate-800 p-2">
+      <div className="flex flex-wrap items-center gap-2 mb-2 text-sm">
+        <select
+          value={panel.algorithm}
+          disabled={disabled}
+          onChange={(e) => onChange({ algorithm: e.target.value })}
+          className="rounded-lg bg-slate-800 border border-slate-700 px-2 py-1"
+        >
+          {Object.values(Algorithms).map((a) => (
+            <option key={a} value={a}>{a}</option>
+          ))}
+        </select>
+        <label className="flex items-center gap-1.5 text-xs">
+          <input type="checkbox" className="accent-emerald-500" checked={panel.diag} disabled={disabled} onChange={(e) => onChange({ diag: e.target.checked })} />
+          Diagonals
+        </label>
+        {!AlgorithmInfo[panel.algorithm].weights && <span className="text-[10px] text-amber-300/80">ignores weights</span>}
+        <span className="ml-auto text-xs text-slate-400 tabular-nums">
+          {panel.error ? panel.error : result ? (done ? (result.found ? "done" : "no path") : "running") : ""}
+        </span>
+        {canRemove && (
+          <button onClick={onRemove} disabled={disabled} className="rounded-lg p-1 hover:bg-slate-800 disabled:opacity-40" title="Remove panel">
+            <X className="h-4 w-4" />
+          </button>
+        )}
+      </div>
+      <GridCanvas grid={scene.grid} start={scene.start} goal={scene.goal} waypoints={scene.waypoints} frame={frame} cursor={cursor} movers={movers} />
+    </div>
+  );
+}
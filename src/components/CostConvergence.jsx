@@ -0,0 +1,49 @@
+import React from "react";
+import { TrendingDown } from "lucide-react";
+
+// Best-cost-so-far curve of an anytime sampling planner against tree size.
+// `improvements` are the { step, iteration, cost } records of the trace,
+// `total` its step count; clicking the plot seeks the playback there.
+const W = 600,
+  H = 80,
+  PAD = 4;
+
+export default function CostConvergence({ improvements, total, cursor, onSeek }) {
+  if (!improvements?.length || !total) return null;
+  const first = improvements[0],
+    last = improvements[improvements.length - 1];
+  const hi = first.cost,
+    lo = last.cost;
+  const x = (step) => PAD + ((W - 2 * PAD) * step) / total;
+  const y = (cost) => (hi === lo ? H / 2 : PAD + ((H - 2 * PAD) * (hi - cost)) / (hi - lo));
+  let d = `M ${x(first.step)} ${y(first.cost)}`;
+  for (const b of improvements.slice(1)) d += ` H ${x(b.step)} V ${y(b.cost)}`;
+  d += ` H ${x(total)}`;
+  const at = Math.min(cursor, total);
+  const shown = improvements.filter((b) => b.step < at).pop();
+
+  return (
+    <div className="mt-3 rounded-xl bg-slate-950/50 border border-slate-800 p-2 text-xs text-slate-400">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-1">
+        <span className="flex items-center gap-1.5 text-slate-300">
+          <TrendingDown className="h-3.5 w-3.5" /> Best cost vs. tree size
+        </span>
+        <span className="tabular-nums">
+          {shown ? `now ${shown.cost.toFixed(2)} · ` : ""}first {first.cost.toFixed(2)} at vertex {first.step} (iteration {first.iteration}) → {lo.toFixed(2)} after {improvements.length} improvement{improvements.length === 1 ? "" : "s"}
+        </span>
+      </div>
+      <svg
+        viewBox={`0 0 ${W} ${H}`}
+        preserveAspectRatio="none"
+        className="w-full h-20 cursor-pointer"
+        onClick={(e) => {
+          const rect = e.currentTarget.getBoundingClientRect();
+          onSeek(Math.round(((e.clientX - rect.left) / rect.width) * total));
+        }}
+      >
+        <path d={d} fill="none" stroke="#34d399" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+        <line x1={x(at)} x2={x(at)} y1={0} y2={H} stroke="#fde047" strokeWidth="1" vectorEffect="non-scaling-stroke" />
+      </svg>
+    </div>
+  );
+}
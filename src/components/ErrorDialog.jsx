@@ -0,0 +1,49 @@
+import React, { useEffect } from "react";
+import { AlertTriangle, X } from "lucide-react";
+
+/********************
+ * Modal listing what went wrong, e.g. every problem in an imported file.
+ * Closes on Escape, the close button or a click on the backdrop.
+ ********************/
+
+export default function ErrorDialog({ title, message, errors = [], onClose }) {
+  useEffect(() => {
+    const onKey = (e) => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-slate-950/70 p-4" onClick={onClose}>
+      <div
+        role="alertdialog"
+        aria-modal="true"
+        aria-labelledby="error-dialog-title"
+        className="w-full max-w-lg rounded-2xl bg-slate-900 border border-rose-800/60 p-5 shadow-xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-start justify-between gap-3">
+          <h2 id="error-dialog-title" className="font-semibold flex items-center gap-2 text-rose-300">
+            <AlertTriangle className="h-5 w-5" /> {title}
+          </h2>
+          <button onClick={onClose} className="rounded-lg p-1 hover:bg-slate-800" title="Close">
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+        {message && <p className="mt-2 text-sm text-slate-300">{message}</p>}
+        {errors.length > 0 && (
+          <ul className="mt-3 max-h-72 overflow-y-auto space-y-1 rounded-xl bg-slate-950/60 p-3 text-xs font-mono text-slate-300">
+            {errors.map((err, i) => (
+              <li key={i} className="break-words">• {err}</li>
+            ))}
+          </ul>
+        )}
+        <div className="mt-4 flex justify-end">
+          <button onClick={onClose} className="rounded-xl px-4 py-2 text-sm bg-slate-800 hover:bg-slate-700">
+            OK
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+import React, { useEffect, useMemo } from "react";
+import { useNavigate, useOutletContext } from "react-router-dom";
+import { Images, X } from "lucide-react";
+import { Presets, presetScene } from "../algorithms/presets.js";
+import SceneThumbnail from "./SceneThumbnail.jsx";
+
+/********************
+ * The /gallery route: preset scenes (see presets.js) shown over the editor.
+ * Loading one hands it to the editor's `onLoad` from the outlet context and
+ * returns to /; Escape, the close button or the backdrop return without
+ * changing anything.
+ ********************/
+
+export default function Gallery() {
+  const { onLoad } = useOutletContext();
+  const navigate = useNavigate();
+  const scenes = useMemo(() => Presets.map((p) => ({ ...p, scene: presetScene(p) })), []);
+
+  useEffect(() => {
+    const onKey = (e) => e.key === "Escape" && navigate("/");
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [navigate]);
+
+  return (
+    <div className="fixed inset-0 z-40 flex items-center justify-center bg-slate-950/70 p-4" onClick={() => navigate("/")}>
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="gallery-title"
+        className="w-full max-w-5xl max-h-full overflow-y-auto rounded-2xl bg-slate-900 border border-slate-700 p-5 shadow-xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-start justify-between gap-3">
+          <div>
+            <h2 id="gallery-title" className="font-semibold flex items-center gap-2">
+              <Images className="h-5 w-5" /> Gallery
+            </h2>
+            <p className="mt-1 text-sm text-slate-400">Preset scenarios. Loading one replaces the current map and planner settings.</p>
+          </div>
+          <button onClick={() => navigate("/")} className="rounded-lg p-1 hover:bg-slate-800" title="Close">
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+        <div className="mt-4 grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+          {scenes.map((p) => (
+            <button
+              key={p.id}
+              onClick={() => {
+                onLoad(p.scene);
+                navigate("/");
+              }}
+              className="text-left rounded-xl bg-slate-800/60 border border-slate-700 hover:border-slate-400 p-3"
+            >
+              <SceneThumbnail scene={p.scene} className="rounded-lg border border-slate-700" />
+              <div className="mt-2 font-medium text-sm">{p.title}</div>
+              <div className="text-xs text-slate-400">
+                {p.scene.planner.algorithm} · {p.scene.rows}×{p.scene.cols}
+              </div>
+              <p className="mt-1 text-xs text-slate-300">{p.description}</p>
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+import React, { useState } from "react";
+import { Wand2 } from "lucide-react";
+import { GeneratorInfo, Generators, defaultParams } from "../algorithms/generators/index.js";
+
+/********************
+ * Map generator menu
+ * Keeps the last-used parameters per generator and hands
+ * (kind, params, { connected, animate }) to `onGenerate`.
+ ********************/
+
+export default function GeneratorPanel({ disabled, onGenerate }) {
+  const [kind, setKind] = useState(Generators.BACKTRACKER);
+  const [params, setParams] = useState(() => Object.fromEntries(Object.values(Generators).map((g) => [g, defaultParams(g)])));
+  const [connected, setConnected] = useState(true);
+  const [animate, setAnimate] = useState(true);
+  const info = GeneratorInfo[kind];
+
+  const setParam = (key, value) => setParams((p) => ({ ...p, [kind]: { ...p[kind], [key]: value } }));
+
+  return (
+    <div className="mt-3 space-y-2 text-sm">
+      <select
+        value={kind}
+        onChange={(e) => setKind(e.target.value)}
+        className="w-full rounded-xl bg-slate-800 border border-slate-700 px-3 py-2"
+      >
+        {Object.values(Generators).map((g) => (
+          <option key={g} value={g}>{g}</option>
+        ))}
+      </select>
+      {info.params.map((p) => (
+        <label key={p.key} className="flex items-center justify-between gap-2 text-xs">
+          <span className="w-28 shrink-0">{p.label}</span>
+          <input
+            type="range"
+            className="flex-1"
+            min={p.min}
+            max={p.max}
+            step={p.step}
+            value={params[kind][p.key]}
+            onChange={(e) => setParam(p.key, Number(e.target.value))}
+          />
+          <span className="w-10 text-right tabular-nums">{params[kind][p.key]}</span>
+        </label>
+      ))}
+      {info.note && <p className="text-xs text-slate-400">{info.note}</p>}
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-xs">
+        <label className="flex items-center gap-1.5">
+          <input type="checkbox" className="accent-emerald-500" checked={connected} onChange={(e) => setConnected(e.target.checked)} />
+          Keep start & goal connected
+        </label>
+        <label className="flex items-center gap-1.5">
+          <input type="checkbox" className="accent-emerald-500" checked={animate} onChange={(e) => setAnimate(e.target.checked)} />
+          Animate
+        </label>
+      </div>
+      <button
+        onClick={() => onGenerate(kind, params[kind], { connected, animate })}
+        disabled={disabled}
+        className="w-full inline-flex items-center justify-center gap-2 rounded-xl px-3 py-2 bg-slate-800 hover:bg-slate-700 disabled:opacity-50"
+      >
+        <Wand2 className="h-4 w-4" /> Generate
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,814 @@
+import React, { useCallback, useEffect, useLayoutEffect, useRef, useState } from "react";
+import { ZoomIn, ZoomOut, Maximize } from "lucide-react";
+import { CellState, DIRECTION_VECTORS, ObstacleModes, Terrains, lineCells, obstacleAt, positionAt } from "../algorithms/planners/index.js";
+
+/********************
+ * Canvas grid renderer
+ * - Cells are painted 1px-per-cell into an offscreen layer, which is scaled
+ *   onto the visible canvas, so a 1024x1024 map is one drawImage per frame.
+ * - Only cells that changed (grid edits, FrameCursor.dirty) are repainted in
+ *   the layer, terrain in its own colour and lighter the higher it lies;
+ *   grid lines, weight and elevation labels, one-way arrows, sampling-planner trees, PRM
+ *   roadmaps, potential heatmaps, any-angle polylines, vehicle trajectories
+ *   and markers are drawn on top; start/goal headings show as arrows.
+ * - Left button paints, right/middle button or Space+drag pans, wheel zooms.
+ * - `overlay` draws tool feedback on top: { cells, selection, ghost } where
+ *   cells are previewed shape cells and selection/ghost are { r0, c0, r1, c1 }.
+ * - `agents` draws a multi-agent plan at one tick: { list, time, conflicts }
+ *   with list entries { start, goal, path }; conflicts at `time` are bold.
+ * - `movers` draws dynamic obstacles at one tick: { list, draft, time, robot }
+ *   where `draft` is the route being drawn and `robot` the planned robot's
+ *   cell at `time` (ringed red when it hits an obstacle).
+ * - `costmap` shades the robot's cost map: { layers, inflated, clearance }
+ *   with `layers` from costmapLayers() and two flags choosing what to show.
+ ********************/
+
+const COLORS = {
+  bg: [15, 23, 42], // slate-900
+  wall: [100, 116, 139], // slate-500
+  weight: [120, 53, 15], // amber-900
+  closed: [3, 105, 161], // sky-700
+  open: [139, 92, 246], // violet-500
+  closedB: [190, 18, 60], // rose-700
+  openB: [251, 146, 60], // orange-400
+  path: [52, 211, 153], // emerald-400
+  line: "#1e293b", // slate-800
+  label: "rgba(251, 191, 36, 0.9)", // amber-400
+  current: "#fde047", // yellow-300
+  start: "#0ea5e9", // sky-500
+  goal: "#f472b6", // pink-400
+  preview: "rgba(226, 232, 240, 0.35)", // slate-200
+  selection: "#e2e8f0", // slate-200
+  ghost: "rgba(52, 211, 153, 0.18)", // emerald-400
+  tree: "rgba(56, 189, 248, 0.55)", // sky-400
+  treeB: "rgba(251, 146, 60, 0.55)", // orange-400
+  rewire: "#fde047", // yellow-300
+  roadmap: "rgba(148, 163, 184, 0.35)", // slate-400
+  roadmapNode: "rgba(226, 232, 240, 0.75)", // slate-200
+  trajectory: "#f8fafc", // slate-50
+  trapped: "#ef4444", // red-500
+  conflict: "#ef4444", // red-500
+  mover: "#f97316", // orange-500
+  moverRoute: "rgba(249, 115, 22, 0.45)", // orange-500
+  draft: "rgba(248, 250, 252, 0.8)", // slate-50
+  robot: "#f8fafc", // slate-50
+  inflated: [239, 68, 68], // red-500
+  vehicle: "rgba(110, 231, 183, 0.7)", // emerald-300
+  vehicleBody: "rgba(110, 231, 183, 0.25)", // emerald-300
+};
+
+// Route legs, in order, and multi-agent agents; the first is the plain path colour
+const LEG_COLORS = [
+  COLORS.path,
+  [56, 189, 248], // sky-400
+  [251, 191, 36], // amber-400
+  [232, 121, 249], // fuchsia-400
+  [163, 230, 53], // lime-400
+  [251, 113, 133], // rose-400
+  [103, 232, 249], // cyan-300
+  [253, 186, 116], // orange-300
+];
+// Terrain ground colours; the legend swatches in the visualizer match them
+const TERRAIN_COLORS = {
+  [Terrains.ROAD]: [87, 83, 78], // stone-600
+  [Terrains.GRASS]: [22, 101, 52], // green-800
+  [Terrains.MUD]: [54, 83, 20], // lime-900
+  [Terrains.WATER]: [30, 64, 175], // blue-800
+  [Terrains.RESTRICTED]: [136, 19, 55], // rose-900
+};
+const HIGH_GROUND = [226, 232, 240]; // slate-200, blended in per elevation level
+const ELEVATION_TINT = 0.05;
+const ARROW = "rgba(248, 250, 252, 0.75)"; // slate-50
+const ELEVATION_LABEL = "rgba(186, 230, 253, 0.9)"; // sky-200
+const legColor = (leg) => LEG_COLORS[leg % LEG_COLORS.length];
+const WAYPOINT = "#fbbf24"; // amber-400
+
+// Potential heatmap colour ramp, low to high
+const HEAT = [
+  [30, 64, 175], // blue-800
+  [16, 185, 129], // emerald-500
+  [250, 204, 21], // yellow-400
+  [220, 38, 38], // red-600
+];
+const HEAT_ALPHA = 0.55;
+
+function heatColor(t) {
+  const x = Math.min(0.9999, Math.max(0, t)) * (HEAT.length - 1);
+  const i = Math.floor(x);
+  return blend(HEAT[i], HEAT[i + 1], x - i).map(Math.round);
+}
+
+// Log-scaled potential field as a 1px-per-cell canvas; walls stay clear.
+function heatLayer(potential, rows, cols) {
+  let lo = Infinity,
+    hi = -Infinity;
+  for (const u of potential) {
+    if (u === Infinity) continue;
+    lo = Math.min(lo, u);
+    hi = Math.max(hi, u);
+  }
+  const canvas = document.createElement("canvas");
+  canvas.width = cols;
+  canvas.height = rows;
+  const ctx = canvas.getContext("2d");
+  const img = ctx.createImageData(cols, rows);
+  const buf = new Uint32Array(img.data.buffer);
+  const span = Math.log1p(hi - lo) || 1;
+  potential.forEach((u, i) => {
+    if (u !== Infinity) buf[i] = pack(heatColor(Math.log1p(u - lo) / span));
+  });
+  ctx.putImageData(img, 0, 0);
+  return canvas;
+}
+
+// Inflated zone in red, clearance cost on the heat ramp with opacity
+// growing with the extra cost; a 1px-per-cell canvas like heatLayer().
+function costmapLayer({ inflated, clearance, maxExtra }, showInflated, showClearance, rows, cols) {
+  const canvas = document.createElement("canvas");
+  canvas.width = cols;
+  canvas.height = rows;
+  const ctx = canvas.getContext("2d");
+  const img = ctx.createImageData(cols, rows);
+  const buf = new Uint32Array(img.data.buffer);
+  for (let i = 0; i < rows * cols; i++) {
+    if (showInflated && inflated[i]) buf[i] = pack(COLORS.inflated, 110);
+    else if (showClearance && clearance[i] > 0) {
+      const t = clearance[i] / maxExtra;
+      buf[i] = pack(heatColor(t), Math.round(40 + 120 * t));
+    }
+  }
+  ctx.putImageData(img, 0, 0);
+  return canvas;
+}
+
+const MIN_SCALE = 0.25; // CSS px per cell
+const MAX_SCALE = 64;
+const LINES_FROM = 6; // draw grid lines at or above this zoom
+const LABELS_FROM = 14; // draw weight labels at or above this zoom
+const REWIRE_FADE = 40; // steps a rewired tree edge stays highlighted
+
+function blend(base, over, a) {
+  return [base[0] + (over[0] - base[0]) * a, base[1] + (over[1] - base[1]) * a, base[2] + (over[2] - base[2]) * a];
+}
+
+// ImageData is little-endian RGBA
+function pack([r, g, b], a = 255) {
+  return ((a << 24) | (b << 16) | (g << 8) | r) >>> 0;
+}
+
+const rgb = ([r, g, b]) => `rgb(${r}, ${g}, ${b})`;
+
+function cellColor(cell, state, onPath) {
+  if (onPath) return legColor(onPath - 1);
+  if (cell.wall) return COLORS.wall;
+  let rgb = cell.terrain ? TERRAIN_COLORS[cell.terrain] : COLORS.bg;
+  if (cell.elevation) rgb = blend(rgb, HIGH_GROUND, ELEVATION_TINT * cell.elevation);
+  if (cell.weight > 1) rgb = blend(rgb, COLORS.weight, 0.2 + 0.5 * Math.min(1, (cell.weight - 1) / 19));
+  if (state === CellState.CLOSED) rgb = blend(rgb, COLORS.closed, 0.3);
+  else if (state === CellState.OPEN) rgb = blend(rgb, COLORS.open, 0.4);
+  else if (state === CellState.CLOSED_B) rgb = blend(rgb, COLORS.closedB, 0.3);
+  else if (state === CellState.OPEN_B) rgb = blend(rgb, COLORS.openB, 0.4);
+  return rgb.map(Math.round);
+}
+
+// Routes, goals, conflicts and the agents themselves at `time`.
+function drawAgents(ctx, { list, time, conflicts }, scale, px, py) {
+  const rad = Math.max(4, scale * 0.38);
+  ctx.lineJoin = "round";
+  list.forEach(({ start, goal, path }, k) => {
+    const color = rgb(legColor(k));
+    ctx.strokeStyle = color;
+    if (path) {
+      ctx.globalAlpha = 0.45;
+      ctx.lineWidth = Math.max(1.5, scale * 0.1);
+      ctx.beginPath();
+      path.forEach((p, i) => ctx[i ? "lineTo" : "moveTo"](px(p), py(p)));
+      ctx.stroke();
+    }
+    ctx.globalAlpha = 0.6;
+    ctx.lineWidth = 1.5;
+    const s = rad * 0.7;
+    ctx.strokeRect(px(start) - s, py(start) - s, 2 * s, 2 * s);
+    ctx.globalAlpha = 1;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(px(goal), py(goal), rad, 0, Math.PI * 2);
+    ctx.stroke();
+  });
+
+  for (const cf of conflicts ?? []) {
+    const now = cf.t === time || (cf.kind === "edge" && cf.t - 1 === time);
+    ctx.globalAlpha = now ? 1 : 0.35;
+    ctx.strokeStyle = COLORS.conflict;
+    ctx.lineWidth = now ? 3 : 1.5;
+    ctx.beginPath();
+    if (cf.kind === "edge") {
+      ctx.moveTo(px(cf.cell), py(cf.cell));
+      ctx.lineTo(px(cf.to), py(cf.to));
+    } else {
+      ctx.arc(px(cf.cell), py(cf.cell), rad * 1.35, 0, Math.PI * 2);
+    }
+    ctx.stroke();
+  }
+  ctx.globalAlpha = 1;
+
+  list.forEach(({ start, path }, k) => {
+    const p = path ? positionAt(path, time) : start;
+    ctx.fillStyle = rgb(legColor(k));
+    ctx.beginPath();
+    ctx.arc(px(p), py(p), rad, 0, Math.PI * 2);
+    ctx.fill();
+    if (rad >= 6) {
+      ctx.fillStyle = "#020617";
+      ctx.font = `bold ${Math.round(rad * 1.1)}px ui-sans-serif, system-ui`;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillText(String(k + 1), px(p), py(p) + 0.5);
+    }
+  });
+}
+
+// Obstacle routes, the obstacles at `time`, the robot and any collision.
+function drawMovers(ctx, { list, draft, time, robot }, scale, px, py) {
+  const half = Math.max(3, scale * 0.4);
+  const line = (points, closed) => {
+    ctx.beginPath();
+    points.forEach((p, i) => ctx[i ? "lineTo" : "moveTo"](px(p), py(p)));
+    if (closed) ctx.closePath();
+    ctx.stroke();
+  };
+  ctx.lineWidth = Math.max(1, scale * 0.08);
+  ctx.lineJoin = "round";
+  ctx.setLineDash([5, 4]);
+  ctx.strokeStyle = COLORS.moverRoute;
+  for (const o of list) if (o.points.length > 1) line(o.points, o.mode === ObstacleModes.LOOP);
+  if (draft?.length) {
+    ctx.strokeStyle = COLORS.draft;
+    line(draft, false);
+  }
+  ctx.setLineDash([]);
+  if (draft?.length) {
+    ctx.fillStyle = COLORS.draft;
+    for (const p of draft) {
+      ctx.beginPath();
+      ctx.arc(px(p), py(p), Math.max(2, scale * 0.15), 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+
+  if (robot) {
+    ctx.fillStyle = COLORS.robot;
+    ctx.beginPath();
+    ctx.arc(px(robot), py(robot), half * 0.8, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  ctx.fillStyle = COLORS.mover;
+  for (const o of list) {
+    const p = obstacleAt(o, time);
+    ctx.fillRect(px(p) - half, py(p) - half, 2 * half, 2 * half);
+    if (robot && robot.r === p.r && robot.c === p.c) {
+      ctx.strokeStyle = COLORS.conflict;
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      ctx.arc(px(p), py(p), half * 1.6, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+  }
+}
+
+// Vehicle footprint (length × width, in cells) at a pose { r, c, heading }.
+function vehicleOutline(ctx, pose, { length, width }, scale, px, py) {
+  ctx.save();
+  ctx.translate(px(pose), py(pose));
+  ctx.rotate((pose.heading * Math.PI) / 180);
+  ctx.beginPath();
+  ctx.rect((-length / 2) * scale, (-width / 2) * scale, length * scale, width * scale);
+  // nose, so the driving direction reads at a glance
+  ctx.moveTo((length / 2) * scale, 0);
+  ctx.lineTo((length / 2 - Math.min(length, width) / 2) * scale, (-width / 2) * scale);
+  ctx.moveTo((length / 2) * scale, 0);
+  ctx.lineTo((length / 2 - Math.min(length, width) / 2) * scale, (width / 2) * scale);
+  ctx.restore();
+}
+
+// The first `shown` poses of a kinematic plan: the trajectory (dashed where
+// reversing), the footprint about every vehicle length and the vehicle at
+// the tip.
+function drawTrajectory(ctx, { poses, posesLegs, vehicle }, shown, scale, px, py) {
+  const pts = poses.slice(0, shown);
+  ctx.lineWidth = Math.max(2, scale * 0.14);
+  ctx.lineJoin = ctx.lineCap = "round";
+  for (let i = 1; i < pts.length; i++) {
+    ctx.strokeStyle = rgb(legColor(posesLegs?.[i] ?? 0));
+    ctx.setLineDash(pts[i].dir < 0 ? [scale * 0.3, scale * 0.25] : []);
+    ctx.beginPath();
+    ctx.moveTo(px(pts[i - 1]), py(pts[i - 1]));
+    ctx.lineTo(px(pts[i]), py(pts[i]));
+    ctx.stroke();
+  }
+  ctx.setLineDash([]);
+  ctx.lineCap = "butt";
+  ctx.strokeStyle = COLORS.vehicle;
+  ctx.lineWidth = Math.max(1, scale * 0.05);
+  let driven = 0;
+  pts.forEach((p, i) => {
+    if (i) driven += Math.hypot(p.r - pts[i - 1].r, p.c - pts[i - 1].c);
+    if (i && driven < vehicle.length) return;
+    driven = 0;
+    vehicleOutline(ctx, p, vehicle, scale, px, py);
+    ctx.stroke();
+  });
+  const tip = pts[pts.length - 1];
+  if (tip) {
+    ctx.fillStyle = COLORS.vehicleBody;
+    ctx.lineWidth = Math.max(1.5, scale * 0.1);
+    vehicleOutline(ctx, tip, vehicle, scale, px, py);
+    ctx.fill();
+    ctx.stroke();
+  }
+}
+
+export default function GridCanvas({ grid, start, goal, waypoints, frame, cursor, overlay, agents, movers, costmap, onPaintStart, onPaint, onPaintEnd, onHover }) {
+  const rows = grid.length,
+    cols = grid[0].length;
+  const wrapRef = useRef(null);
+  const canvasRef = useRef(null);
+  const layerRef = useRef(null); // { canvas, ctx, img, buf, rows, cols, grid, frame, heat?, cost? }
+  const viewRef = useRef({ scale: 1, ox: 0, oy: 0 });
+  const dragRef = useRef(null); // { mode: "paint" | "pan", last, x, y }
+  const spaceRef = useRef(false);
+  const rafRef = useRef(0);
+  const propsRef = useRef({});
+  const hoverRef = useRef(null);
+  const [size, setSize] = useState({ w: 0, h: 0 });
+  const [hover, setHover] = useState(null);
+
+  useEffect(() => {
+    propsRef.current = { grid, start, goal, waypoints, frame, overlay, agents, movers, costmap, onPaintStart, onPaint, onPaintEnd, onHover };
+  });
+
+  const draw = useCallback(() => {
+    rafRef.current = 0;
+    const canvas = canvasRef.current;
+    const layer = layerRef.current;
+    if (!canvas || !layer) return;
+    const { grid, start, goal, waypoints, frame, overlay, agents, movers, costmap } = propsRef.current;
+    const dpr = window.devicePixelRatio || 1;
+    const { scale, ox, oy } = viewRef.current;
+    const w = canvas.width / dpr,
+      h = canvas.height / dpr;
+    const ctx = canvas.getContext("2d");
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.fillStyle = "#020617";
+    ctx.fillRect(0, 0, w, h);
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(layer.canvas, ox, oy, layer.cols * scale, layer.rows * scale);
+    if (frame?.trace.potential) {
+      if (layer.heat?.potential !== frame.trace.potential) {
+        layer.heat = { potential: frame.trace.potential, canvas: heatLayer(frame.trace.potential, layer.rows, layer.cols) };
+      }
+      ctx.globalAlpha = HEAT_ALPHA;
+      ctx.drawImage(layer.heat.canvas, ox, oy, layer.cols * scale, layer.rows * scale);
+      ctx.globalAlpha = 1;
+    }
+    if (costmap && (costmap.inflated || costmap.clearance)) {
+      const c = layer.cost;
+      if (c?.layers !== costmap.layers || c.inflated !== costmap.inflated || c.clearance !== costmap.clearance) {
+        layer.cost = { ...costmap, canvas: costmapLayer(costmap.layers, costmap.inflated, costmap.clearance, layer.rows, layer.cols) };
+      }
+      ctx.drawImage(layer.cost.canvas, ox, oy, layer.cols * scale, layer.rows * scale);
+    }
+
+    // visible window
+    const c0 = Math.max(0, Math.floor(-ox / scale)),
+      c1 = Math.min(layer.cols, Math.ceil((w - ox) / scale));
+    const r0 = Math.max(0, Math.floor(-oy / scale)),
+      r1 = Math.min(layer.rows, Math.ceil((h - oy) / scale));
+
+    if (scale >= LINES_FROM) {
+      ctx.strokeStyle = COLORS.line;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      for (let c = c0; c <= c1; c++) {
+        const x = Math.round(ox + c * scale) + 0.5;
+        ctx.moveTo(x, oy + r0 * scale);
+        ctx.lineTo(x, oy + r1 * scale);
+      }
+      for (let r = r0; r <= r1; r++) {
+        const y = Math.round(oy + r * scale) + 0.5;
+        ctx.moveTo(ox + c0 * scale, y);
+        ctx.lineTo(ox + c1 * scale, y);
+      }
+      ctx.stroke();
+    }
+
+    if (scale >= LABELS_FROM) {
+      ctx.font = `${Math.round(scale * 0.4)}px ui-sans-serif, system-ui`;
+      for (let r = r0; r < r1; r++) {
+        for (let c = c0; c < c1; c++) {
+          const cell = grid[r][c];
+          if (!cell.wall && cell.weight > 1) {
+            ctx.fillStyle = COLORS.label;
+            ctx.textAlign = "right";
+            ctx.textBaseline = "bottom";
+            ctx.fillText(String(cell.weight), ox + (c + 1) * scale - 2, oy + (r + 1) * scale - 1);
+          }
+          if (cell.elevation) {
+            ctx.fillStyle = ELEVATION_LABEL;
+            ctx.textAlign = "left";
+            ctx.textBaseline = "top";
+            ctx.fillText(String(cell.elevation), ox + c * scale + 2, oy + r * scale + 1);
+          }
+        }
+      }
+    }
+
+    if (scale >= LINES_FROM) {
+      // one-way arrows: a chevron pointing along the allowed direction
+      ctx.strokeStyle = ARROW;
+      ctx.lineWidth = Math.max(1, scale * 0.08);
+      ctx.beginPath();
+      const d = scale * 0.22;
+      for (let r = r0; r < r1; r++) {
+        for (let c = c0; c < c1; c++) {
+          const dir = grid[r][c].oneWay;
+          if (!dir) continue;
+          const [dr, dc] = DIRECTION_VECTORS[dir];
+          const cx = ox + (c + 0.5) * scale,
+            cy = oy + (r + 0.5) * scale;
+          ctx.moveTo(cx - dc * d - dr * d, cy - dr * d - dc * d);
+          ctx.lineTo(cx + dc * d, cy + dr * d);
+          ctx.lineTo(cx - dc * d + dr * d, cy - dr * d + dc * d);
+        }
+      }
+      ctx.stroke();
+    }
+
+    if (frame && frame.current >= 0) {
+      const r = Math.floor(frame.current / layer.cols),
+        c = frame.current % layer.cols;
+      ctx.strokeStyle = COLORS.current;
+      ctx.lineWidth = 2;
+      ctx.strokeRect(ox + c * scale + 1, oy + r * scale + 1, Math.max(1, scale - 2), Math.max(1, scale - 2));
+    }
+
+    const px = (p) => ox + (p.c + 0.5) * scale,
+      py = (p) => oy + (p.r + 0.5) * scale;
+
+    if (frame?.trace.roadmap) {
+      const { nodes, edges } = frame.trace.roadmap;
+      ctx.strokeStyle = COLORS.roadmap;
+      ctx.lineWidth = Math.max(1, scale * 0.06);
+      ctx.beginPath();
+      for (const [i, j] of edges) {
+        ctx.moveTo(px(nodes[i]), py(nodes[i]));
+        ctx.lineTo(px(nodes[j]), py(nodes[j]));
+      }
+      ctx.stroke();
+      ctx.setLineDash([4, 3]);
+      ctx.beginPath();
+      for (const [a, b] of frame.trace.links ?? []) {
+        ctx.moveTo(px(a), py(a));
+        ctx.lineTo(px(b), py(b));
+      }
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.fillStyle = COLORS.roadmapNode;
+      const rad = Math.max(1.5, scale * 0.12);
+      for (const p of nodes) {
+        ctx.beginPath();
+        ctx.arc(px(p), py(p), rad, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+
+    if (frame?.trace.trajectory) {
+      const { trajectory, steps } = frame.trace;
+      const shown = trajectory.slice(0, Math.min(frame.pos, steps.length));
+      ctx.strokeStyle = COLORS.trajectory;
+      ctx.lineWidth = Math.max(1.5, scale * 0.12);
+      ctx.lineJoin = "round";
+      ctx.beginPath();
+      shown.forEach((p, i) => ctx[i ? "lineTo" : "moveTo"](px(p), py(p)));
+      ctx.stroke();
+      const t = frame.trace.trapped;
+      if (t && frame.pos >= steps.length) {
+        const rad = Math.max(6, scale * 0.6);
+        ctx.strokeStyle = COLORS.trapped;
+        ctx.lineWidth = 2.5;
+        ctx.beginPath();
+        ctx.arc(px(t), py(t), rad, 0, Math.PI * 2);
+        const d = rad * 0.55;
+        ctx.moveTo(px(t) - d, py(t) - d);
+        ctx.lineTo(px(t) + d, py(t) + d);
+        ctx.moveTo(px(t) + d, py(t) - d);
+        ctx.lineTo(px(t) - d, py(t) + d);
+        ctx.stroke();
+      }
+    }
+
+    if (frame?.points.length) {
+      // tree edges, one path per colour; recent rewires stand out
+      ctx.lineWidth = Math.max(1, scale * 0.08);
+      for (const [color, pick] of [
+        [COLORS.tree, (id) => !frame.sides[id]],
+        [COLORS.treeB, (id) => frame.sides[id] === "goal"],
+        [COLORS.rewire, (id) => frame.pos - frame.rewiredAt[id] <= REWIRE_FADE],
+      ]) {
+        ctx.strokeStyle = color;
+        ctx.beginPath();
+        frame.points.forEach((p, id) => {
+          const parent = frame.points[frame.parents[id]];
+          if (!parent || !pick(id)) return;
+          ctx.moveTo(px(parent), py(parent));
+          ctx.lineTo(px(p), py(p));
+        });
+        ctx.stroke();
+      }
+      // best solution so far, until the final path is revealed
+      if (frame.best && frame.pathShown === 0) {
+        ctx.strokeStyle = rgb(COLORS.path);
+        ctx.lineWidth = Math.max(1.5, scale * 0.12);
+        ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+        frame.best.polyline.forEach((p, i) => ctx[i ? "lineTo" : "moveTo"](px(p), py(p)));
+        ctx.stroke();
+        ctx.setLineDash([]);
+      }
+    }
+
+    if (frame?.trace.polyline && frame.pathShown > 0) {
+      const pts = frame.trace.polyline.slice(0, frame.pathShown);
+      const legs = frame.trace.polylineLegs;
+      ctx.lineWidth = Math.max(2, scale * 0.18);
+      ctx.lineJoin = "round";
+      // each segment takes the colour of the leg its end vertex belongs to
+      pts.forEach((p, i) => {
+        ctx.strokeStyle = ctx.fillStyle = rgb(legColor(legs?.[i] ?? 0));
+        if (i) {
+          ctx.beginPath();
+          ctx.moveTo(px(pts[i - 1]), py(pts[i - 1]));
+          ctx.lineTo(px(p), py(p));
+          ctx.stroke();
+        }
+        ctx.beginPath();
+        ctx.arc(px(p), py(p), Math.max(2, scale * 0.15), 0, Math.PI * 2);
+        ctx.fill();
+      });
+    }
+
+    if (frame?.trace.poses && frame.pathShown > 0) drawTrajectory(ctx, frame.trace, frame.pathShown, scale, px, py);
+
+    if (overlay?.cells?.length) {
+      ctx.fillStyle = COLORS.preview;
+      for (const p of overlay.cells) {
+        if (p.r < r0 || p.r >= r1 || p.c < c0 || p.c >= c1) continue;
+        ctx.fillRect(ox + p.c * scale, oy + p.r * scale, scale, scale);
+      }
+    }
+    if (overlay?.ghost) {
+      const g = overlay.ghost;
+      ctx.fillStyle = COLORS.ghost;
+      ctx.fillRect(ox + g.c0 * scale, oy + g.r0 * scale, (g.c1 - g.c0 + 1) * scale, (g.r1 - g.r0 + 1) * scale);
+    }
+    for (const rect of [overlay?.selection, overlay?.ghost]) {
+      if (!rect) continue;
+      ctx.strokeStyle = COLORS.selection;
+      ctx.lineWidth = 1.5;
+      ctx.setLineDash([5, 4]);
+      ctx.strokeRect(ox + rect.c0 * scale, oy + rect.r0 * scale, (rect.c1 - rect.c0 + 1) * scale, (rect.r1 - rect.r0 + 1) * scale);
+      ctx.setLineDash([]);
+    }
+
+    if (agents) drawAgents(ctx, agents, scale, px, py);
+    if (movers) drawMovers(ctx, movers, scale, px, py);
+
+    const markers = [[start, COLORS.start, "S"], [goal, COLORS.goal, "G"]];
+    (waypoints ?? []).forEach((p, i) => markers.push([p, WAYPOINT, String(i + 1)]));
+    for (const [p, color, label] of markers) {
+      if (!p) continue;
+      const cx = ox + (p.c + 0.5) * scale,
+        cy = oy + (p.r + 0.5) * scale;
+      const rad = Math.max(4, scale * 0.38);
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.arc(cx, cy, rad, 0, Math.PI * 2);
+      ctx.fill();
+      if (p.heading !== undefined) {
+        // heading arrow from the rim of the marker
+        const a = (p.heading * Math.PI) / 180;
+        const tip = rad + Math.max(5, scale * 0.5);
+        ctx.strokeStyle = color;
+        ctx.lineWidth = Math.max(1.5, scale * 0.1);
+        ctx.beginPath();
+        ctx.moveTo(cx + rad * Math.cos(a), cy + rad * Math.sin(a));
+        ctx.lineTo(cx + tip * Math.cos(a), cy + tip * Math.sin(a));
+        for (const side of [-0.5, 0.5]) {
+          ctx.moveTo(cx + tip * Math.cos(a), cy + tip * Math.sin(a));
+          ctx.lineTo(cx + tip * Math.cos(a) - rad * 0.7 * Math.cos(a + side), cy + tip * Math.sin(a) - rad * 0.7 * Math.sin(a + side));
+        }
+        ctx.stroke();
+      }
+      if (rad >= 6) {
+        ctx.fillStyle = "#020617";
+        ctx.font = `bold ${Math.round(rad * 1.1)}px ui-sans-serif, system-ui`;
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+        ctx.fillText(label, cx, cy + 0.5);
+      }
+    }
+  }, []);
+
+  const schedule = useCallback(() => {
+    if (!rafRef.current) rafRef.current = requestAnimationFrame(draw);
+  }, [draw]);
+
+  useEffect(() => () => cancelAnimationFrame(rafRef.current), []);
+
+  const fit = useCallback(() => {
+    const { w, h } = size;
+    if (!w || !h) return;
+    const scale = Math.min(w / cols, h / rows);
+    viewRef.current = { scale, ox: (w - cols * scale) / 2, oy: (h - rows * scale) / 2 };
+    schedule();
+  }, [size, rows, cols, schedule]);
+
+  // Track container width; height follows the map aspect ratio, capped.
+  useEffect(() => {
+    const el = wrapRef.current;
+    const ro = new ResizeObserver(([entry]) => {
+      const w = entry.contentRect.width;
+      const h = Math.round(Math.min(Math.max(w * (rows / cols), 240), window.innerHeight * 0.75));
+      setSize((s) => (s.w === w && s.h === h ? s : { w, h }));
+    });
+    ro.observe(el);
+    return () => ro.disconnect();
+  }, [rows, cols]);
+
+  useLayoutEffect(() => {
+    const canvas = canvasRef.current;
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = Math.round(size.w * dpr);
+    canvas.height = Math.round(size.h * dpr);
+    fit();
+  }, [size, fit]);
+
+  // Repaint changed cells into the offscreen layer.
+  useLayoutEffect(() => {
+    let L = layerRef.current;
+    let full = false;
+    if (!L || L.rows !== rows || L.cols !== cols) {
+      const canvas = document.createElement("canvas");
+      canvas.width = cols;
+      canvas.height = rows;
+      const ctx = canvas.getContext("2d");
+      const img = ctx.createImageData(cols, rows);
+      L = layerRef.current = { canvas, ctx, img, buf: new Uint32Array(img.data.buffer), rows, cols, grid: null, frame: null };
+      full = true;
+    }
+    const paint = (r, c) => {
+      const i = r * cols + c;
+      L.buf[i] = pack(cellColor(grid[r][c], frame ? frame.state[i] : 0, frame ? frame.onPath[i] : 0));
+    };
+
+    if (full || frame !== L.frame) {
+      for (let r = 0; r < rows; r++) for (let c = 0; c < cols; c++) paint(r, c);
+    } else {
+      if (grid !== L.grid) {
+        for (let r = 0; r < rows; r++) {
+          if (grid[r] === L.grid[r]) continue;
+          for (let c = 0; c < cols; c++) if (grid[r][c] !== L.grid[r][c]) paint(r, c);
+        }
+      }
+      if (frame) for (const i of frame.dirty) paint(Math.floor(i / cols), i % cols);
+    }
+    frame?.dirty.clear();
+    L.grid = grid;
+    L.frame = frame;
+    L.ctx.putImageData(L.img, 0, 0);
+    schedule();
+  }, [grid, frame, cursor, rows, cols, schedule]);
+
+  useEffect(() => {
+    schedule();
+  }, [start, goal, waypoints, overlay, agents, movers, costmap, schedule]);
+
+  function toCell(e) {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const { scale, ox, oy } = viewRef.current;
+    const c = Math.floor((e.clientX - rect.left - ox) / scale);
+    const r = Math.floor((e.clientY - rect.top - oy) / scale);
+    return r >= 0 && r < rows && c >= 0 && c < cols ? { r, c } : null;
+  }
+
+  function zoomAt(factor, x, y) {
+    const v = viewRef.current;
+    const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, v.scale * factor));
+    const k = scale / v.scale;
+    viewRef.current = { ...v, scale, ox: x - (x - v.ox) * k, oy: y - (y - v.oy) * k };
+    schedule();
+  }
+
+  // Wheel must be non-passive to stop the page from scrolling.
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const rect = canvas.getBoundingClientRect();
+      zoomAt(Math.pow(1.0015, -e.deltaY), e.clientX - rect.left, e.clientY - rect.top);
+    };
+    canvas.addEventListener("wheel", onWheel, { passive: false });
+    return () => canvas.removeEventListener("wheel", onWheel);
+  });
+
+  useEffect(() => {
+    const down = (e) => {
+      if (e.code === "Space" && e.target === document.body) {
+        spaceRef.current = true;
+        e.preventDefault();
+      }
+    };
+    const up = (e) => {
+      if (e.code === "Space") spaceRef.current = false;
+    };
+    window.addEventListener("keydown", down);
+    window.addEventListener("keyup", up);
+    return () => {
+      window.removeEventListener("keydown", down);
+      window.removeEventListener("keyup", up);
+    };
+  }, []);
+
+  function onPointerDown(e) {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    if (e.button === 1 || e.button === 2 || spaceRef.current) {
+      dragRef.current = { mode: "pan", x: e.clientX, y: e.clientY };
+      return;
+    }
+    if (e.button !== 0) return;
+    const cell = toCell(e);
+    dragRef.current = { mode: "paint", last: cell };
+    if (cell) propsRef.current.onPaintStart?.(cell.r, cell.c);
+  }
+
+  function onPointerMove(e) {
+    const cell = toCell(e);
+    setHover((h) => (h?.r === cell?.r && h?.c === cell?.c ? h : cell));
+    if (cell?.r !== hoverRef.current?.r || cell?.c !== hoverRef.current?.c) {
+      hoverRef.current = cell;
+      propsRef.current.onHover?.(cell);
+    }
+    const d = dragRef.current;
+    if (!d) return;
+    if (d.mode === "pan") {
+      const v = viewRef.current;
+      viewRef.current = { ...v, ox: v.ox + e.clientX - d.x, oy: v.oy + e.clientY - d.y };
+      d.x = e.clientX;
+      d.y = e.clientY;
+      schedule();
+      return;
+    }
+    if (!cell || (d.last && d.last.r === cell.r && d.last.c === cell.c)) return;
+    // interpolate so fast drags leave no gaps
+    const cells = d.last ? lineCells(d.last, cell).slice(1) : [cell];
+    for (const p of cells) propsRef.current.onPaint?.(p.r, p.c);
+    d.last = cell;
+  }
+
+  function onPointerUp() {
+    if (dragRef.current?.mode === "paint") propsRef.current.onPaintEnd?.();
+    dragRef.current = null;
+  }
+
+  const zoomBtn = "inline-flex items-center justify-center h-7 w-7 rounded-lg bg-slate-800/90 hover:bg-slate-700";
+  const hoverCell = hover && grid[hover.r]?.[hover.c];
+  return (
+    <div ref={wrapRef} className="relative w-full select-none" style={{ height: size.h || undefined }}>
+      <canvas
+        ref={canvasRef}
+        style={{ width: size.w, height: size.h }}
+        className="block rounded-lg cursor-crosshair touch-none"
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerCancel={onPointerUp}
+        onPointerLeave={() => {
+          setHover(null);
+          hoverRef.current = null;
+          propsRef.current.onHover?.(null);
+        }}
+        onContextMenu={(e) => e.preventDefault()}
+      />
+      <div className="absolute top-2 right-2 flex gap-1 text-slate-200">
+        <button className={zoomBtn} title="Zoom in" onClick={() => zoomAt(1.25, size.w / 2, size.h / 2)}><ZoomIn className="h-4 w-4"/></button>
+        <button className={zoomBtn} title="Zoom out" onClick={() => zoomAt(0.8, size.w / 2, size.h / 2)}><ZoomOut className="h-4 w-4"/></button>
+        <button className={zoomBtn} title="Fit to view" onClick={fit}><Maximize className="h-4 w-4"/></button>
+      </div>
+      {hoverCell && (
+        <div className="absolute bottom-2 left-2 rounded-md bg-slate-950/80 px-2 py-0.5 text-[11px] text-slate-300 tabular-nums pointer-events-none">
+          r{hover.r} c{hover.c}{hoverCell.wall ? " wall" : ""}{hoverCell.weight > 1 ? ` w=${hoverCell.weight}` : ""}
+        </div>
+      )}
+    </div>
+  );
+}
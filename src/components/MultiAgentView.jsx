@@ -0,0 +1,315 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { ArrowLeft, Plus, Dices, Trash2, X, Zap, Play, Pause, SkipBack, SkipForward, AlertTriangle } from "lucide-react";
+import { MapfSolvers, positionAt, randInt, seededRandom } from "../algorithms/planners/index.js";
+import { solveInWorker } from "../algorithms/planners/workerClient.js";
+import GridCanvas from "./GridCanvas.jsx";
+
+/********************
+ * Multi-agent mode
+ * Snapshots the map on open; agents are added by clicking a start and then
+ * a goal, or at random. The solved plan plays back on one shared clock with
+ * every agent moving a cell (or waiting) per tick. "Independent" shows each
+ * agent's own shortest path instead, with the conflicts coordination had to
+ * resolve.
+ ********************/
+
+// Same order as the agent colours in GridCanvas
+const AGENT_SWATCHES = ["bg-emerald-400", "bg-sky-400", "bg-amber-400", "bg-fuchsia-400", "bg-lime-400", "bg-rose-400", "bg-cyan-300", "bg-orange-300"];
+const MAX_AGENTS = 32;
+const TICK_MS = 10; // playback delay per tick, in units of the speed setting
+
+const sameCell = (a, b) => a && b && a.r === b.r && a.c === b.c;
+const fmtCell = (p) => `(${p.r}, ${p.c})`;
+
+export default function MultiAgentView({ grid, start, goal, seed, diag: initialDiag, speed, onClose }) {
+  const [scene] = useState(() => ({ grid, agents: [{ start, goal }] }));
+  const [agents, setAgents] = useState(scene.agents);
+  const [placing, setPlacing] = useState(null); // null | { start? }
+  const [randomCount, setRandomCount] = useState(4);
+  const [solver, setSolver] = useState(MapfSolvers.CBS);
+  const [diag, setDiag] = useState(initialDiag);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [running, setRunning] = useState(null); // { expansions, fraction }
+  const [independent, setIndependent] = useState(false);
+  const [time, setTime] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const abortRef = useRef(null);
+  const rolls = useRef(0);
+
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const shown = result && (independent ? result.independent : result);
+  const end = shown ? Math.max(0, ...shown.paths.filter(Boolean).map((p) => p.length - 1)) : 0;
+
+  useEffect(() => {
+    if (!playing) return;
+    if (time >= end) {
+      setPlaying(false);
+      return;
+    }
+    const id = setTimeout(() => setTime((t) => t + 1), speed * TICK_MS);
+    return () => clearTimeout(id);
+  }, [playing, time, end, speed]);
+
+  // Editing the agents invalidates the plan
+  function changeAgents(next) {
+    abortRef.current?.abort();
+    abortRef.current = null;
+    setRunning(null);
+    setAgents(next);
+    setResult(null);
+    setError(null);
+    setPlaying(false);
+    setTime(0);
+  }
+
+  function taken(p) {
+    return agents.some((a) => sameCell(a.start, p) || sameCell(a.goal, p));
+  }
+
+  function clickCell(r, c) {
+    if (!placing) return;
+    const p = { r, c };
+    if (scene.grid[r][c].wall || taken(p) || sameCell(placing.start, p)) return;
+    if (!placing.start) setPlacing({ start: p });
+    else {
+      changeAgents([...agents, { start: placing.start, goal: p }]);
+      setPlacing(null);
+    }
+  }
+
+  function addRandom() {
+    const rand = seededRandom(seed, `agents-${rolls.current++}`);
+    const rows = scene.grid.length,
+      cols = scene.grid[0].length;
+    const used = new Set(agents.flatMap((a) => [a.start, a.goal]).map((p) => p.r * cols + p.c));
+    const pick = () => {
+      for (let tries = 0; tries < rows * cols * 4; tries++) {
+        const r = randInt(rand, rows),
+          c = randInt(rand, cols);
+        if (scene.grid[r][c].wall || used.has(r * cols + c)) continue;
+        used.add(r * cols + c);
+        return { r, c };
+      }
+      return null;
+    };
+    const next = [...agents];
+    for (let i = 0; i < randomCount && next.length < MAX_AGENTS; i++) {
+      const s = pick(),
+        g = pick();
+      if (!s || !g) break;
+      next.push({ start: s, goal: g });
+    }
+    changeAgents(next);
+  }
+
+  async function solve() {
+    abortRef.current?.abort();
+    const ctrl = new AbortController();
+    abortRef.current = ctrl;
+    setPlacing(null);
+    setPlaying(false);
+    setTime(0);
+    setError(null);
+    setRunning({ expansions: 0, fraction: 0 });
+    try {
+      const res = await solveInWorker(scene.grid, agents, { solver, diag }, {
+        signal: ctrl.signal,
+        onProgress: ({ expansions, fraction }) => setRunning({ expansions, fraction }),
+      });
+      setResult(res);
+      setPlaying(true);
+    } catch (err) {
+      if (ctrl.signal.aborted) return;
+      setResult(null);
+      setError(err.message);
+    }
+    abortRef.current = null;
+    setRunning(null);
+  }
+
+  function cancel() {
+    abortRef.current?.abort();
+    abortRef.current = null;
+    setRunning(null);
+  }
+
+  function seek(t) {
+    setPlaying(false);
+    setTime(Math.max(0, Math.min(end, t)));
+  }
+
+  const overlay = useMemo(
+    () => ({ list: agents.map((a, k) => ({ ...a, path: shown?.paths[k] ?? null })), time, conflicts: shown?.conflicts ?? [] }),
+    [agents, shown, time]
+  );
+  const now = (shown?.conflicts ?? []).filter((cf) => cf.t === time || (cf.kind === "edge" && cf.t - 1 === time));
+
+  const btn = "inline-flex items-center gap-2 rounded-2xl px-3 py-2 disabled:opacity-50";
+  const small = "inline-flex items-center justify-center rounded-xl h-8 w-8 bg-slate-800 hover:bg-slate-700 disabled:opacity-40";
+  const toggle = (on) => `rounded-xl px-3 py-1.5 border ${on ? "bg-white text-slate-900 border-white" : "bg-slate-800 border-slate-700 hover:bg-slate-700"}`;
+  return (
+    <section className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <button onClick={onClose} className={`${btn} bg-slate-800 hover:bg-slate-700`}>
+          <ArrowLeft className="h-4 w-4" /> Back to editor
+        </button>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          {Object.values(MapfSolvers).map((s) => (
+            <button key={s} onClick={() => setSolver(s)} className={toggle(solver === s)}>
+              {s}
+            </button>
+          ))}
+          <label className="flex items-center gap-2 px-2">
+            <input type="checkbox" checked={diag} onChange={(e) => setDiag(e.target.checked)} /> Diagonal moves
+          </label>
+          <button onClick={solve} disabled={running !== null || !agents.length} className={`${btn} bg-sky-500 hover:bg-sky-400`}>
+            <Zap className="h-4 w-4" /> Solve
+          </button>
+          {running && (
+            <button onClick={cancel} className={`${btn} bg-rose-600 hover:bg-rose-500`}>
+              <X className="h-4 w-4" /> Cancel
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="grid md:grid-cols-3 gap-4">
+        <div className="md:col-span-2 rounded-2xl bg-slate-900/60 border border-slate-800 p-3">
+          <div className="flex flex-wrap items-center gap-2 mb-3 text-xs text-slate-400">
+            <button onClick={() => seek(time - 1)} disabled={!shown || time === 0} className={small} title="Previous tick"><SkipBack className="h-4 w-4"/></button>
+            <button
+              onClick={() => {
+                if (time >= end) setTime(0);
+                setPlaying((p) => !p);
+              }}
+              disabled={!shown}
+              className={small}
+              title={playing ? "Pause" : "Play"}
+            >
+              {playing ? <Pause className="h-4 w-4"/> : <Play className="h-4 w-4"/>}
+            </button>
+            <button onClick={() => seek(time + 1)} disabled={!shown || time >= end} className={small} title="Next tick"><SkipForward className="h-4 w-4"/></button>
+            <input type="range" min={0} max={end} value={time} disabled={!shown} onChange={(e) => seek(Number(e.target.value))} className="flex-1 min-w-[8rem]" />
+            <span className="tabular-nums">
+              {running
+                ? `solving… ${running.expansions} expansions (${Math.round(running.fraction * 100)}%)`
+                : shown ? `tick ${time}/${end}` : "idle"}
+            </span>
+            {result && (
+              <span className="flex gap-1">
+                <button onClick={() => setIndependent(false)} className={toggle(!independent)}>Coordinated</button>
+                <button onClick={() => setIndependent(true)} className={toggle(independent)}>Independent</button>
+              </span>
+            )}
+          </div>
+          <GridCanvas grid={scene.grid} start={null} goal={null} agents={overlay} onPaintStart={clickCell} />
+          {placing && (
+            <p className="mt-2 text-xs text-sky-300">Click a free cell for agent {agents.length + 1}'s {placing.start ? "goal" : "start"}.</p>
+          )}
+          {now.length > 0 && (
+            <p className="mt-2 flex items-center gap-1.5 text-xs text-rose-300">
+              <AlertTriangle className="h-3.5 w-3.5" />
+              {now.map((cf) => `agents ${cf.a + 1} & ${cf.b + 1} ${cf.kind === "vertex" ? `meet at ${fmtCell(cf.cell)}` : `swap ${fmtCell(cf.cell)} ↔ ${fmtCell(cf.to)}`}`).join("; ")}
+            </p>
+          )}
+        </div>
+
+        <div className="rounded-2xl bg-slate-900/70 border border-slate-800 p-4 text-sm space-y-3">
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              onClick={() => setPlacing(placing ? null : {})}
+              disabled={agents.length >= MAX_AGENTS}
+              className={`${btn} ${placing ? "bg-white text-slate-900" : "bg-slate-800 hover:bg-slate-700"}`}
+            >
+              <Plus className="h-4 w-4" /> Agent
+            </button>
+            <button onClick={addRandom} disabled={agents.length >= MAX_AGENTS} className={`${btn} bg-slate-800 hover:bg-slate-700`}>
+              <Dices className="h-4 w-4" /> Random
+            </button>
+            <input
+              type="number"
+              min={1}
+              max={MAX_AGENTS}
+              value={randomCount}
+              onChange={(e) => setRandomCount(Math.max(1, Math.min(MAX_AGENTS, Number(e.target.value) || 1)))}
+              className="w-14 rounded-xl bg-slate-800 border border-slate-700 px-2 py-1.5"
+              title="Agents to add at random"
+            />
+            <button onClick={() => changeAgents([])} disabled={!agents.length} className={`${btn} bg-slate-800 hover:bg-slate-700`}>
+              <Trash2 className="h-4 w-4" /> Clear
+            </button>
+          </div>
+
+          <table className="w-full text-xs tabular-nums">
+            <thead className="text-slate-400">
+              <tr>
+                <th className="text-left font-medium py-1">Agent</th>
+                <th className="text-left font-medium py-1">Start → goal</th>
+                <th className="text-right font-medium py-1">Cost</th>
+                <th className="text-right font-medium py-1">Waits</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {agents.map((a, k) => {
+                const path = shown?.paths[k];
+                const waits = path ? path.filter((p, t) => t > 0 && sameCell(p, path[t - 1])).length : null;
+                const here = path ? positionAt(path, time) : null;
+                return (
+                  <tr key={k} className="border-t border-slate-800">
+                    <td className="py-1">
+                      <span className="inline-flex items-center gap-1.5">
+                        <span className={`h-2.5 w-2.5 rounded-sm ${AGENT_SWATCHES[k % AGENT_SWATCHES.length]}`} />
+                        {k + 1}
+                      </span>
+                    </td>
+                    <td className="py-1 text-slate-300" title={here ? `at ${fmtCell(here)} on tick ${time}` : undefined}>
+                      {fmtCell(a.start)} → {fmtCell(a.goal)}
+                    </td>
+                    <td className="py-1 text-right">{!shown ? "–" : path ? path.length - 1 : <span className="text-rose-300">failed</span>}</td>
+                    <td className="py-1 text-right">{waits ?? "–"}</td>
+                    <td className="py-1 text-right">
+                      <button onClick={() => changeAgents(agents.filter((_, i) => i !== k))} className="text-slate-500 hover:text-rose-300" title="Remove agent">
+                        <X className="h-3.5 w-3.5" />
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          {error && <p className="text-xs text-rose-300">{error}</p>}
+          {result && (
+            <dl className="grid grid-cols-2 gap-x-3 gap-y-1 text-xs tabular-nums">
+              <dt className="text-slate-400">Sum of costs</dt>
+              <dd className="text-right">{shown.paths.every(Boolean) ? shown.paths.reduce((sum, p) => sum + p.length - 1, 0) : "–"}</dd>
+              <dt className="text-slate-400">Makespan</dt>
+              <dd className="text-right">{end}</dd>
+              <dt className="text-slate-400">Conflicts</dt>
+              <dd className={`text-right ${shown.conflicts.length ? "text-rose-300" : "text-emerald-300"}`}>{shown.conflicts.length}</dd>
+              <dt className="text-slate-400">{result.solver === MapfSolvers.CBS ? "CBS nodes" : "Agents planned"}</dt>
+              <dd className="text-right">{result.highLevel}</dd>
+              <dt className="text-slate-400">Low-level expansions</dt>
+              <dd className="text-right">{result.expansions}</dd>
+              <dt className="text-slate-400">Time (ms)</dt>
+              <dd className="text-right">{result.timeMs.toFixed(1)}</dd>
+            </dl>
+          )}
+          {result && !result.found && (
+            <p className="text-xs text-amber-300">
+              {result.failedAgent !== -1
+                ? `${result.solver} could not route agent ${result.failedAgent + 1}${result.solver === MapfSolvers.PRIORITIZED ? "; try reordering the agents or CBS" : ""}.`
+                : "CBS hit its node limit before resolving every conflict; the independent paths are shown."}
+            </p>
+          )}
+          <p className="text-xs text-slate-500">
+            Each tick every agent moves one cell or waits; costs count ticks until an agent rests on its goal, and cell weights are ignored. CBS minimises the sum of costs; prioritized planning routes agents in list order and may fail where CBS succeeds.
+          </p>
+        </div>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,38 @@
+import React from "react";
+import { Play, Pause, SkipBack, SkipForward, ChevronsRight } from "lucide-react";
+
+// Transport controls for a planner trace: play/pause, single step, scrub and
+// jump to end. `length` is the timeline length, `expansions` where the path
+// part of the timeline begins.
+export default function PlaybackBar({ cursor, length, expansions, playing, planning, hasTrace, openCount, closedCount, result, onToggle, onStep, onSeek }) {
+  const btn = "inline-flex items-center justify-center rounded-xl h-8 w-8 bg-slate-800 hover:bg-slate-700 disabled:opacity-40";
+  const phase = planning
+    ? planning.label ?? `planning… ${planning.expansions} expansions${planning.fraction != null ? ` (${Math.round(planning.fraction * 100)}%)` : ""}`
+    : !hasTrace ? "idle" : cursor <= expansions ? `expansion ${cursor}/${expansions}` : `path ${cursor - expansions}/${length - expansions}`;
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-3 text-xs text-slate-400">
+      <button onClick={() => onStep(-1)} disabled={!hasTrace || cursor === 0} className={btn} title="Step back"><SkipBack className="h-4 w-4"/></button>
+      <button onClick={onToggle} disabled={planning !== null} className={btn} title={playing ? "Pause" : "Play"}>
+        {playing ? <Pause className="h-4 w-4"/> : <Play className="h-4 w-4"/>}
+      </button>
+      <button onClick={() => onStep(1)} disabled={!hasTrace || cursor >= length} className={btn} title="Step forward"><SkipForward className="h-4 w-4"/></button>
+      <button onClick={() => onSeek(length)} disabled={!hasTrace || cursor >= length} className={btn} title="Jump to end"><ChevronsRight className="h-4 w-4"/></button>
+      <input
+        type="range"
+        min={0}
+        max={length}
+        value={cursor}
+        disabled={!hasTrace}
+        onChange={(e) => onSeek(Number(e.target.value))}
+        className="flex-1 min-w-[8rem]"
+      />
+      <span className="tabular-nums">{phase}</span>
+      {openCount != null && <span className="tabular-nums">open {openCount} · closed {closedCount}</span>}
+      {result && (
+        <span className="tabular-nums text-slate-300">
+          {result.found ? `path ${result.path.length} cells · length ${result.length.toFixed(2)}` : "no path"}
+        </span>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,139 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { ImageIcon, X } from "lucide-react";
+import { gridSize, gridToRaster, imageToGrid, occupancyToGrid, rosOccupancy } from "../algorithms/formats/index.js";
+import { MAX_SIZE, MAX_WEIGHT, MIN_SIZE } from "../algorithms/scene.js";
+
+/********************
+ * Import settings for raster maps
+ * `source` is { name, mode: "image" | "ros", raster, meta?, maxval? }.
+ * Plain images are thresholded on luminance; ROS maps use the occupancy
+ * thresholds from their YAML. Both can be downsampled, with a live preview.
+ ********************/
+
+const PREVIEW = 280; // px, longest side
+
+export default function RasterImportDialog({ source, onApply, onClose }) {
+  const { raster } = source;
+  const longest = Math.max(raster.width, raster.height);
+  const maxFactor = Math.max(1, Math.min(64, Math.floor(longest / MIN_SIZE)));
+  const [factor, setFactor] = useState(() => Math.min(maxFactor, Math.max(1, Math.ceil(longest / 256))));
+  const [threshold, setThreshold] = useState(60);
+  const [grayWeights, setGrayWeights] = useState(false);
+  const [occupiedThresh, setOccupiedThresh] = useState(source.meta?.occupied_thresh ?? 0.65);
+  const [freeThresh, setFreeThresh] = useState(source.meta?.free_thresh ?? 0.196);
+  const [negate, setNegate] = useState(Boolean(source.meta?.negate));
+  const [unknownWall, setUnknownWall] = useState(false);
+  const [unknownWeight, setUnknownWeight] = useState(10);
+  const canvasRef = useRef(null);
+
+  const size = gridSize(raster, factor);
+  const sizeOk = [size.rows, size.cols].every((n) => n >= MIN_SIZE && n <= MAX_SIZE);
+
+  const result = useMemo(() => {
+    if (!sizeOk) return null;
+    if (source.mode === "ros") {
+      const occupancy = rosOccupancy({ negate }, source.maxval ?? 255);
+      return occupancyToGrid(raster, occupancy, { factor, occupiedThresh, freeThresh, unknownWeight: unknownWall ? null : unknownWeight });
+    }
+    return imageToGrid(raster, { factor, threshold, grayWeights });
+  }, [raster, source.mode, source.maxval, sizeOk, factor, threshold, grayWeights, occupiedThresh, freeThresh, negate, unknownWall, unknownWeight]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !result) return;
+    const { width, height, data } = gridToRaster(result.grid);
+    canvas.width = width;
+    canvas.height = height;
+    const img = new ImageData(width, height);
+    for (let i = 0; i < data.length; i++) {
+      img.data[4 * i] = img.data[4 * i + 1] = img.data[4 * i + 2] = data[i];
+      img.data[4 * i + 3] = 255;
+    }
+    canvas.getContext("2d").putImageData(img, 0, 0);
+  }, [result]);
+
+  const scale = PREVIEW / Math.max(size.rows, size.cols);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-slate-950/70 p-4" onClick={onClose}>
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="raster-import-title"
+        className="w-full max-w-2xl rounded-2xl bg-slate-900 border border-slate-700 p-5 shadow-xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-start justify-between gap-3 mb-4">
+          <h2 id="raster-import-title" className="font-semibold flex items-center gap-2">
+            <ImageIcon className="h-5 w-5" /> Import {source.mode === "ros" ? "occupancy grid" : "image"}
+            <span className="text-xs font-normal text-slate-400">{source.name} · {raster.width}×{raster.height} px</span>
+          </h2>
+          <button onClick={onClose} className="rounded-lg p-1 hover:bg-slate-800" title="Close">
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+        <div className="grid sm:grid-cols-2 gap-4">
+          <div className="space-y-3 text-sm">
+            <Slider label="Downsample" value={factor} min={1} max={maxFactor} step={1} onChange={setFactor} suffix={`${factor}×${factor} px`} />
+            {source.mode === "ros" ? (
+              <>
+                <Slider label="Occupied above" value={occupiedThresh} min={0} max={1} step={0.01} onChange={setOccupiedThresh} />
+                <Slider label="Free below" value={freeThresh} min={0} max={1} step={0.01} onChange={setFreeThresh} />
+                <label className="flex items-center gap-2 text-xs">
+                  <input type="checkbox" className="accent-emerald-500" checked={negate} onChange={(e) => setNegate(e.target.checked)} />
+                  Negate (white is occupied)
+                </label>
+                <label className="flex items-center gap-2 text-xs">
+                  <input type="checkbox" className="accent-emerald-500" checked={unknownWall} onChange={(e) => setUnknownWall(e.target.checked)} />
+                  Treat unknown space as walls
+                </label>
+                {!unknownWall && <Slider label="Unknown weight" value={unknownWeight} min={1} max={MAX_WEIGHT} step={1} onChange={setUnknownWeight} />}
+              </>
+            ) : (
+              <>
+                <Slider label="Wall below" value={threshold} min={0} max={255} step={1} onChange={setThreshold} />
+                <label className="flex items-center gap-2 text-xs">
+                  <input type="checkbox" className="accent-emerald-500" checked={grayWeights} onChange={(e) => setGrayWeights(e.target.checked)} />
+                  Map lighter greys to weights (as written by PNG export)
+                </label>
+              </>
+            )}
+            <p className={`text-xs tabular-nums ${sizeOk ? "text-slate-400" : "text-rose-300"}`}>
+              Grid: {size.rows} × {size.cols}
+              {!sizeOk && ` — must be between ${MIN_SIZE} and ${MAX_SIZE} per side; adjust the downsampling`}
+            </p>
+          </div>
+          <div className="flex items-center justify-center rounded-xl bg-slate-950/60 p-2 min-h-[200px]">
+            {result && (
+              <canvas
+                ref={canvasRef}
+                style={{ width: size.cols * scale, height: size.rows * scale, imageRendering: "pixelated" }}
+                className="border border-slate-800"
+              />
+            )}
+          </div>
+        </div>
+        <div className="mt-4 flex justify-end gap-2 text-sm">
+          <button onClick={onClose} className="rounded-xl px-4 py-2 bg-slate-800 hover:bg-slate-700">Cancel</button>
+          <button
+            onClick={() => onApply(result)}
+            disabled={!result}
+            className="rounded-xl px-4 py-2 bg-emerald-500 hover:bg-emerald-400 disabled:opacity-50"
+          >
+            Import
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function Slider({ label, value, min, max, step, onChange, suffix }) {
+  return (
+    <label className="flex items-center justify-between gap-2 text-xs">
+      <span className="w-28 shrink-0">{label}</span>
+      <input type="range" className="flex-1" min={min} max={max} step={step} value={value} onChange={(e) => onChange(Number(e.target.value))} />
+      <span className="w-24 text-right tabular-nums">{suffix ?? value}</span>
+    </label>
+  );
+}
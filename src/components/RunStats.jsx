@@ -0,0 +1,99 @@
+import React from "react";
+import { BarChart3, Trash2 } from "lucide-react";
+
+/********************
+ * Results of the latest planner runs
+ * `history` is newest-first; each entry is a summarized plan() result plus
+ * { id, diag, seed, epsilon, refCost } where epsilon is the weighted-A* factor
+ * (null when 1 or unused) and refCost the background Dijkstra reference
+ * (undefined while pending, null when not needed or unreachable). A path
+ * from a planner that ignores terrain costs ∞ when it crosses terrain the
+ * agent cannot enter.
+ ********************/
+
+const fmt = (v, digits = 2) => (v == null ? "–" : v === Infinity ? "∞" : Number.isInteger(v) ? String(v) : v.toFixed(digits));
+
+function optimalityGap(entry) {
+  if (!entry.found || entry.refCost == null || entry.refCost === 0) return null;
+  return (entry.cost - entry.refCost) / entry.refCost;
+}
+
+function gapText(entry) {
+  if (!entry.found) return "–";
+  if (entry.refCost === undefined) return "computing…";
+  const gap = optimalityGap(entry);
+  return gap == null ? "–" : gap === Infinity ? "∞" : `${(gap * 100).toFixed(1)}%`;
+}
+
+export default function RunStats({ history, onClear }) {
+  if (!history.length) return null;
+  const last = history[0];
+  const cards = [
+    ["Path cost", last.found ? fmt(last.cost) : "no path"],
+    ["Steps", fmt(last.moves)],
+    ["Euclidean length", fmt(last.length)],
+    ["Expansions", fmt(last.expansions)],
+    ["Peak open list", fmt(last.peakOpen)],
+    ["Planning time", last.timeMs == null ? "–" : `${last.timeMs.toFixed(1)} ms`],
+    ["Gap vs Dijkstra", gapText(last)],
+  ];
+
+  return (
+    <section className="mt-6 rounded-2xl bg-slate-900/70 border border-slate-800 p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="font-semibold flex items-center gap-2">
+          <BarChart3 className="h-4 w-4" /> Results <span className="text-xs font-normal text-slate-400">{last.algorithm}{last.diag ? " · diagonals" : ""}{last.epsilon != null ? ` · ε ${last.epsilon}` : ""}{last.seed != null ? ` · seed ${last.seed}` : ""}</span>
+        </h2>
+        <button onClick={onClear} className="inline-flex items-center gap-1 rounded-xl px-2.5 py-1 text-xs bg-slate-800 hover:bg-slate-700">
+          <Trash2 className="h-3.5 w-3.5" /> Clear history
+        </button>
+      </div>
+      <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-7 gap-2 text-sm">
+        {cards.map(([label, value]) => (
+          <div key={label} className="rounded-xl bg-slate-800/70 px-3 py-2">
+            <div className="text-[11px] text-slate-400">{label}</div>
+            <div className="tabular-nums font-semibold">{value}</div>
+          </div>
+        ))}
+      </div>
+      {history.length > 1 && (
+        <div className="mt-4 overflow-x-auto">
+          <table className="w-full text-xs tabular-nums">
+            <thead className="text-slate-400">
+              <tr>
+                <th className="text-left font-medium py-1">#</th>
+                <th className="text-left font-medium py-1">Planner</th>
+                <th className="text-right font-medium py-1">Cost</th>
+                <th className="text-right font-medium py-1">Steps</th>
+                <th className="text-right font-medium py-1">Length</th>
+                <th className="text-right font-medium py-1">Expansions</th>
+                <th className="text-right font-medium py-1">Peak open</th>
+                <th className="text-right font-medium py-1">Time (ms)</th>
+                <th className="text-right font-medium py-1">Gap</th>
+              </tr>
+            </thead>
+            <tbody>
+              {history.map((h) => (
+                <tr key={h.id} className="border-t border-slate-800">
+                  <td className="py-1 text-slate-500">{h.id}</td>
+                  <td className="py-1">
+                    {h.algorithm}{h.diag ? " (diag)" : ""}
+                    {h.epsilon != null && <span className="ml-1 text-slate-500">ε {h.epsilon}</span>}
+                    {h.seed != null && <span className="ml-1 text-slate-500">seed {h.seed}</span>}
+                  </td>
+                  <td className="text-right py-1">{h.found ? fmt(h.cost) : "no path"}</td>
+                  <td className="text-right py-1">{fmt(h.moves)}</td>
+                  <td className="text-right py-1">{fmt(h.length)}</td>
+                  <td className="text-right py-1">{fmt(h.expansions)}</td>
+                  <td className="text-right py-1">{fmt(h.peakOpen)}</td>
+                  <td className="text-right py-1">{fmt(h.timeMs, 1)}</td>
+                  <td className="text-right py-1">{gapText(h)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,252 @@
+import React, { useEffect, useState } from "react";
+import { useNavigate, useOutletContext } from "react-router-dom";
+import { CopyPlus, Download, FolderOpen, Library, Save, Search, Trash2, Upload, X } from "lucide-react";
+import { SceneError, parseScene, serializeScene } from "../algorithms/scene.js";
+import {
+  deleteScenario,
+  listScenarios,
+  matchesQuery,
+  newScenario,
+  parseLibrary,
+  parseTags,
+  putScenarios,
+  serializeLibrary,
+} from "../algorithms/storage.js";
+import SceneThumbnail from "./SceneThumbnail.jsx";
+
+/********************
+ * The /library route: scenarios saved in this browser (see storage.js),
+ * shown over the editor. Saves the editor's current scene (`scene`, the
+ * serializeScene() arguments from the outlet context) under a name, and
+ * renames, tags, duplicates, deletes, searches and loads saved ones. The
+ * whole library exports and imports as one JSON archive.
+ ********************/
+
+function download(name, text) {
+  const url = URL.createObjectURL(new Blob([text], { type: "application/json" }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+export default function ScenarioLibrary() {
+  const { scene, onLoad, onError } = useOutletContext();
+  const navigate = useNavigate();
+  const [entries, setEntries] = useState(null); // null while loading
+  const [query, setQuery] = useState("");
+  const [name, setName] = useState("");
+
+  const fail = (title) => (err) => {
+    if (!(err instanceof SceneError)) console.error(title, err);
+    onError({ title, errors: err.errors ?? [err.message] });
+  };
+  const refresh = () => listScenarios().then(setEntries, fail("Could not open the library"));
+  // Writes entries and reloads the list
+  const store = (list, title) => putScenarios(list).then(refresh, fail(title));
+
+  useEffect(() => {
+    let cancelled = false;
+    listScenarios().then(
+      (list) => !cancelled && setEntries(list),
+      (err) => !cancelled && onError({ title: "Could not open the library", errors: [err.message] })
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [onError]);
+
+  useEffect(() => {
+    const onKey = (e) => e.key === "Escape" && navigate("/");
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [navigate]);
+
+  function saveCurrent() {
+    const label = name.trim() || `Scenario ${(entries?.length ?? 0) + 1}`;
+    store([newScenario(label, serializeScene(scene))], "Could not save the scenario");
+    setName("");
+  }
+
+  function update(entry, changes) {
+    store([{ ...entry, ...changes, updated: Date.now() }], "Could not update the scenario");
+  }
+
+  function load(entry) {
+    try {
+      onLoad(parseScene(entry.scene));
+      navigate("/");
+    } catch (err) {
+      fail(`Could not load ${entry.name}`)(err);
+    }
+  }
+
+  function remove(entry) {
+    if (!window.confirm(`Delete “${entry.name}” from the library?`)) return;
+    deleteScenario(entry.id).then(refresh, fail("Could not delete the scenario"));
+  }
+
+  async function importArchive(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      let data;
+      try {
+        data = JSON.parse(await file.text());
+      } catch (err) {
+        throw new SceneError([`${file.name}: not valid JSON: ${err.message.split("\n")[0]}`]);
+      }
+      await store(parseLibrary(data), "Could not import the library");
+    } catch (err) {
+      fail("Could not import the library")(err);
+    }
+  }
+
+  const shown = entries?.filter((e) => matchesQuery(e, query.trim())) ?? [];
+
+  return (
+    <div className="fixed inset-0 z-40 flex items-center justify-center bg-slate-950/70 p-4" onClick={() => navigate("/")}>
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="library-title"
+        className="w-full max-w-5xl max-h-full overflow-y-auto rounded-2xl bg-slate-900 border border-slate-700 p-5 shadow-xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-start justify-between gap-3">
+          <div>
+            <h2 id="library-title" className="font-semibold flex items-center gap-2">
+              <Library className="h-5 w-5" /> Scenario library
+            </h2>
+            <p className="mt-1 text-sm text-slate-400">Saved in this browser. Loading a scenario replaces the current map and planner settings.</p>
+          </div>
+          <button onClick={() => navigate("/")} className="rounded-lg p-1 hover:bg-slate-800" title="Close">
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+
+        <div className="mt-4 flex flex-wrap items-center gap-2 text-sm">
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && saveCurrent()}
+            placeholder="Name for the current scene"
+            className="flex-1 min-w-48 rounded-xl bg-slate-800 border border-slate-700 px-3 py-1.5"
+          />
+          <button onClick={saveCurrent} className="inline-flex items-center gap-1 rounded-xl px-3 py-1.5 bg-emerald-600 hover:bg-emerald-500">
+            <Save className="h-3.5 w-3.5" /> Save current
+          </button>
+          <button
+            onClick={() => download("path_planner_library.json", JSON.stringify(serializeLibrary(entries), null, 2))}
+            disabled={!entries?.length}
+            className="inline-flex items-center gap-1 rounded-xl px-3 py-1.5 bg-slate-800 hover:bg-slate-700 disabled:opacity-50"
+            title="Download every scenario as one archive"
+          >
+            <Download className="h-3.5 w-3.5" /> Export all
+          </button>
+          <label className="inline-flex items-center gap-1 rounded-xl px-3 py-1.5 bg-slate-800 hover:bg-slate-700 cursor-pointer" title="Add the scenarios of an exported library archive">
+            <Upload className="h-3.5 w-3.5" /> Import archive
+            <input type="file" accept=".json,application/json" onChange={importArchive} className="hidden" />
+          </label>
+        </div>
+
+        <div className="mt-3 relative text-sm">
+          <Search className="h-3.5 w-3.5 absolute left-3 top-1/2 -translate-y-1/2 text-slate-500" />
+          <input
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search names and tags"
+            className="w-full rounded-xl bg-slate-800 border border-slate-700 pl-8 pr-3 py-1.5"
+          />
+        </div>
+
+        {entries === null ? (
+          <p className="mt-4 text-sm text-slate-400">Loading…</p>
+        ) : shown.length === 0 ? (
+          <p className="mt-4 text-sm text-slate-400">{entries.length ? "No scenario matches the search." : "No saved scenarios yet."}</p>
+        ) : (
+          <div className="mt-4 grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+            {shown.map((e) => (
+              <ScenarioCard
+                key={`${e.id}:${e.updated}`} // fresh drafts after every change
+                entry={e}
+                onLoad={() => load(e)}
+                onRename={(n) => update(e, { name: n })}
+                onTag={(tags) => update(e, { tags })}
+                onTagClick={setQuery}
+                onDuplicate={() => store([newScenario(`${e.name} (copy)`, e.scene, e.tags)], "Could not duplicate the scenario")}
+                onDelete={() => remove(e)}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function ScenarioCard({ entry, onLoad, onRename, onTag, onTagClick, onDuplicate, onDelete }) {
+  const [name, setName] = useState(entry.name);
+  const [tags, setTags] = useState(entry.tags.join(", "));
+
+  const commitName = () => {
+    const n = name.trim();
+    if (n && n !== entry.name) onRename(n);
+    else setName(entry.name);
+  };
+  const commitTags = () => {
+    const t = parseTags(tags);
+    if (t.join(",") !== entry.tags.join(",")) onTag(t);
+    else setTags(entry.tags.join(", "));
+  };
+  const blurOnEnter = (e) => e.key === "Enter" && e.currentTarget.blur();
+
+  return (
+    <div className="rounded-xl bg-slate-800/60 border border-slate-700 p-3 text-sm">
+      <button onClick={onLoad} className="block w-full" title="Load into the editor">
+        <SceneThumbnail scene={entry.scene} className="rounded-lg border border-slate-700 hover:border-slate-400" />
+      </button>
+      <input
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        onBlur={commitName}
+        onKeyDown={blurOnEnter}
+        className="mt-2 w-full rounded-lg bg-transparent border border-transparent hover:border-slate-700 focus:border-slate-500 px-1 font-medium"
+        title="Rename"
+      />
+      <div className="px-1 text-xs text-slate-400">
+        {entry.scene.planner?.algorithm ?? "No planner"} · {entry.scene.rows}×{entry.scene.cols} · {new Date(entry.updated).toLocaleString()}
+      </div>
+      <input
+        value={tags}
+        onChange={(e) => setTags(e.target.value)}
+        onBlur={commitTags}
+        onKeyDown={blurOnEnter}
+        placeholder="Tags, comma separated"
+        className="mt-1 w-full rounded-lg bg-slate-900/60 border border-slate-700 px-2 py-1 text-xs"
+      />
+      {entry.tags.length > 0 && (
+        <div className="mt-1 flex flex-wrap gap-1">
+          {entry.tags.map((t) => (
+            <button key={t} onClick={() => onTagClick(t)} className="rounded-full bg-slate-700 hover:bg-slate-600 px-2 py-0.5 text-[11px]">
+              {t}
+            </button>
+          ))}
+        </div>
+      )}
+      <div className="mt-2 flex gap-1">
+        <button onClick={onLoad} className="flex-1 inline-flex items-center justify-center gap-1 rounded-lg px-2 py-1 bg-slate-700 hover:bg-slate-600">
+          <FolderOpen className="h-3.5 w-3.5" /> Load
+        </button>
+        <button onClick={onDuplicate} className="rounded-lg px-2 py-1 bg-slate-700 hover:bg-slate-600" title="Duplicate">
+          <CopyPlus className="h-3.5 w-3.5" />
+        </button>
+        <button onClick={onDelete} className="rounded-lg px-2 py-1 bg-slate-700 hover:bg-rose-700" title="Delete">
+          <Trash2 className="h-3.5 w-3.5" />
+        </button>
+      </div>
+    </div>
+  );
+}
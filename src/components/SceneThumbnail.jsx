@@ -0,0 +1,58 @@
+import React, { useEffect, useRef } from "react";
+import { Terrains } from "../algorithms/planners/index.js";
+import { MAX_WEIGHT } from "../algorithms/scene.js";
+
+/********************
+ * Small preview of a scene: one pixel per cell, scaled up without
+ * smoothing. Shows walls, weights, terrain and the start and goal cells.
+ ********************/
+
+const COLORS = {
+  bg: [15, 23, 42], // slate-900
+  wall: [100, 116, 139], // slate-500
+  weight: [180, 83, 9], // amber-700
+  start: [14, 165, 233], // sky-500
+  goal: [244, 114, 182], // pink-400
+};
+const TERRAIN_COLORS = {
+  [Terrains.ROAD]: [87, 83, 78], // stone-600
+  [Terrains.GRASS]: [22, 101, 52], // green-800
+  [Terrains.MUD]: [54, 83, 20], // lime-900
+  [Terrains.WATER]: [30, 64, 175], // blue-800
+  [Terrains.RESTRICTED]: [136, 19, 55], // rose-900
+};
+
+export default function SceneThumbnail({ scene, className = "" }) {
+  const ref = useRef(null);
+
+  useEffect(() => {
+    const canvas = ref.current;
+    const { rows, cols, grid, start, goal } = scene;
+    canvas.width = cols;
+    canvas.height = rows;
+    const img = new ImageData(cols, rows);
+    const put = (r, c, [R, G, B]) => {
+      const i = 4 * (r * cols + c);
+      img.data[i] = R;
+      img.data[i + 1] = G;
+      img.data[i + 2] = B;
+      img.data[i + 3] = 255;
+    };
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        const cell = grid[r][c];
+        if (cell.wall) put(r, c, COLORS.wall);
+        else {
+          const base = TERRAIN_COLORS[cell.terrain] ?? COLORS.bg;
+          const t = ((cell.weight ?? 1) - 1) / (MAX_WEIGHT - 1);
+          put(r, c, base.map((v, k) => Math.round(v + (COLORS.weight[k] - v) * t)));
+        }
+      }
+    }
+    put(start.r, start.c, COLORS.start);
+    put(goal.r, goal.c, COLORS.goal);
+    canvas.getContext("2d").putImageData(img, 0, 0);
+  }, [scene]);
+
+  return <canvas ref={ref} className={`w-full [image-rendering:pixelated] ${className}`} style={{ aspectRatio: `${scene.cols} / ${scene.rows}` }} />;
+}
@@ -0,0 +1,34 @@
+import React, { useEffect, useRef } from "react";
+import { useLocation, useNavigate, useOutletContext } from "react-router-dom";
+import { SceneError } from "../algorithms/scene.js";
+import { decodeScene } from "../algorithms/share.js";
+
+/********************
+ * The /share route: decodes the scene in the URL fragment (see share.js),
+ * hands it to the editor's `onLoad`, or the problems to `onError`, and
+ * replaces the link with / so reloading does not load it again. Each link
+ * is opened once, however often the editor re-renders meanwhile.
+ ********************/
+
+export default function SharedScene() {
+  const { onLoad, onError } = useOutletContext();
+  const { hash } = useLocation();
+  const navigate = useNavigate();
+  const opened = useRef(null);
+
+  useEffect(() => {
+    if (opened.current === hash) return;
+    opened.current = hash;
+    (async () => {
+      try {
+        if (hash.length < 2) throw new SceneError(["the link carries no scene"]);
+        onLoad(await decodeScene(hash.slice(1)));
+      } catch (err) {
+        onError({ title: "Could not open link", message: "The shared scene was not loaded:", errors: err.errors ?? [err.message] });
+      }
+      navigate("/", { replace: true });
+    })();
+  }, [hash, onLoad, onError, navigate]);
+
+  return null;
+}